@@ -0,0 +1,63 @@
+/**
+ * Amazon platform adapter
+ */
+
+const { formatQuery } = require('../utils/scraperUtils');
+const { matchLink } = require('../utils/productIdUtils');
+
+const BASE_URL = 'https://www.amazon.in';
+
+/**
+ * Builds a direct product link from a search result href
+ * @param {string} href - The href found on the search card
+ * @param {string} title - The product title (used for the search fallback)
+ * @returns {string} - Absolute product link
+ */
+const normalizeLink = (href, title) => {
+  if (href) {
+    // Extract the product ID (ASIN) and create a direct product link
+    const productIdMatch = href.match(/\/([A-Z0-9]{10})(?:\/|\?|$)/);
+    if (productIdMatch && productIdMatch[1]) {
+      return `${BASE_URL}/dp/${productIdMatch[1]}`;
+    }
+    if (href.includes('amazon.in')) {
+      return href;
+    }
+    return BASE_URL + (href.startsWith('/') ? '' : '/') + href;
+  }
+
+  // If link is still empty, create a search link as fallback
+  return `${BASE_URL}/s?k=${encodeURIComponent(title)}`;
+};
+
+module.exports = {
+  id: 'amazon',
+  name: 'Amazon',
+  order: 1,
+  categories: ['grocery', 'personal-care', 'electronics', 'fashion', 'home'],
+  baseUrl: BASE_URL,
+  maxPages: 20,
+  buildSearchUrl: (query, page = 1) => `${BASE_URL}/s?k=${formatQuery(query)}${page > 1 ? `&page=${page}` : ''}`,
+  selectors: {
+    card: 'div.s-main-slot div[data-component-type="s-search-result"]',
+    title: ['h2 span', '.a-text-normal', '.a-size-medium'],
+    // The struck-through list price is also an .a-price, so skip it for the selling price
+    price: ['.a-price:not(.a-text-price) .a-offscreen', '.a-price-whole'],
+    mrp: ['.a-price.a-text-price .a-offscreen'],
+    link: ['h2 a']
+  },
+  productPage: {
+    selectors: {
+      seller: ['#sellerProfileTriggerId', '#merchant-info a span', '#merchant-info a'],
+      rating: ['#acrPopover .a-icon-alt', '#averageCustomerReviews .a-icon-alt'],
+      reviewCount: ['#acrCustomerReviewText'],
+      availability: ['#availability span', '#availability'],
+      mrp: ['.basisPrice .a-offscreen', '.a-price.a-text-price .a-offscreen'],
+      delivery: ['#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE .a-text-bold', '#deliveryBlockMessage .a-text-bold'],
+      specs: '#productOverview_feature_div tr, #productDetails_techSpec_section_1 tr'
+    }
+  },
+  normalizeLink,
+  // ASIN from /dp/, /gp/product/ or the encoded target of a sponsored link
+  extractProductId: (link) => matchLink(link, /\/(?:dp|gp\/product)\/([A-Z0-9]{10})(?:[/?&]|$)/)
+};
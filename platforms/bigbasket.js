@@ -0,0 +1,49 @@
+/**
+ * BigBasket platform adapter
+ */
+
+const { formatQuery, isRelevantTitle } = require('../utils/scraperUtils');
+const { collectObjects } = require('../utils/structuredDataUtils');
+const { matchLink } = require('../utils/productIdUtils');
+
+const BASE_URL = 'https://www.bigbasket.com';
+
+module.exports = {
+  id: 'bigbasket',
+  name: 'BigBasket',
+  order: 6,
+  categories: ['grocery', 'personal-care', 'home'],
+  baseUrl: BASE_URL,
+  // Grocery listings use Hindi names ("Haldi Powder", "Toor Dal"), so Hindi query terms are searched as such
+  hinglishCatalogue: true,
+  maxPages: 10,
+  buildSearchUrl: (query, page = 1) => `${BASE_URL}/ps/?q=${formatQuery(query)}&nc=as${page > 1 ? `&page=${page}` : ''}`,
+  selectors: {
+    card: 'li[class*="PaginateItems"]',
+    title: ['h3', 'div[class*="BrandName"] + a h3'],
+    price: ['span[class*="Pricing___StyledLabel-"]', 'span[class*="Label-sc"]'],
+    mrp: ['span[class*="Pricing___StyledLabel2"]'],
+    link: ['a[href*="/pd/"]', 'a']
+  },
+  normalizeLink: (href) => (href ? (href.startsWith('http') ? href : `${BASE_URL}${href}`) : ''),
+  // SKU id after /pd/
+  extractProductId: (link) => matchLink(link, /\/pd\/(\d+)/),
+  // BigBasket pads searches with "similar products" from other brands
+  filterResult: (item, product) => isRelevantTitle(item.title, product),
+  structuredData: {
+    // __NEXT_DATA__ SSR payload; descriptions omit the brand and pack size
+    nextData: (data) => collectObjects(data, node => node.desc && node.pricing && node.absolute_url).map(sku => {
+      const price = sku.pricing.discount && sku.pricing.discount.prim_price;
+      const brand = sku.brand && sku.brand.name;
+      return {
+        title: [brand, sku.desc].filter(Boolean).join(' ') + (sku.w ? `, ${sku.w}` : ''),
+        price: price && price.sp,
+        mrp: sku.pricing.discount && sku.pricing.discount.mrp,
+        rating: sku.rating_info && sku.rating_info.avg_rating,
+        reviewCount: sku.rating_info && sku.rating_info.rating_count,
+        availability: sku.availability && sku.availability.avail_status === '001' ? 'InStock' : 'OutOfStock',
+        link: sku.absolute_url
+      };
+    })
+  }
+};
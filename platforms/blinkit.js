@@ -0,0 +1,40 @@
+/**
+ * Blinkit platform adapter
+ */
+
+const { formatQuery, isRelevantTitle } = require('../utils/scraperUtils');
+const { matchLink } = require('../utils/productIdUtils');
+
+const BASE_URL = 'https://blinkit.com';
+
+module.exports = {
+  id: 'blinkit',
+  name: 'Blinkit',
+  order: 4,
+  categories: ['grocery', 'personal-care', 'home'],
+  baseUrl: BASE_URL,
+  // Grocery listings use Hindi names ("Haldi Powder", "Toor Dal"), so Hindi query terms are searched as such
+  hinglishCatalogue: true,
+  buildSearchUrl: (query) => `${BASE_URL}/s/?q=${formatQuery(query)}`,
+  selectors: {
+    card: '.product__wrapper, .plp-product, .product-item',
+    title: ['.product__name, .plp-product__name, .product-name'],
+    price: ['.product__price, .plp-product__price, .product-price'],
+    mrp: ['.product__mrp, .plp-product__mrp, .product-mrp'],
+    link: ['a']
+  },
+  normalizeLink: (href) => (href ? (href.startsWith('http') ? href : `${BASE_URL}${href}`) : ''),
+  // Numeric product id after /prid/
+  extractProductId: (link) => matchLink(link, /\/prid\/(\d+)/),
+  location: {
+    // Blinkit picks the dark store from the gr_1_lat/gr_1_lon cookies and lat/lon headers
+    buildRequest: ({ lat, lng }) => ({
+      headers: { lat: String(lat), lon: String(lng) },
+      cookies: { gr_1_lat: lat, gr_1_lon: lng }
+    }),
+    isServiceable: ($) => $('.non-serviceable, [data-testid="unserviceable"]').length === 0 &&
+      !/currently unavailable in your area|not serviceable/i.test($('body').text())
+  },
+  // Blinkit pads searches with unrelated items, keep only relevant ones
+  filterResult: (item, product) => isRelevantTitle(item.title, product)
+};
@@ -0,0 +1,54 @@
+/**
+ * Flipkart platform adapter
+ */
+
+const { formatQuery } = require('../utils/scraperUtils');
+const { collectObjects } = require('../utils/structuredDataUtils');
+const { matchLink } = require('../utils/productIdUtils');
+
+const BASE_URL = 'https://www.flipkart.com';
+
+module.exports = {
+  id: 'flipkart',
+  name: 'Flipkart',
+  order: 2,
+  // Groceries are sold through a separate storefront the search page does not cover
+  categories: ['personal-care', 'electronics', 'fashion', 'home'],
+  baseUrl: BASE_URL,
+  maxPages: 25,
+  buildSearchUrl: (query, page = 1) => `${BASE_URL}/search?q=${formatQuery(query)}${page > 1 ? `&page=${page}` : ''}`,
+  selectors: {
+    // Title/price nodes are matched first, their parent is the product card
+    card: ($) => $('div._1YokD2 ._1AtVbE, ._4ddWXP, ._1xHGtK, ._13oc-S, ._4rR01T').parent(),
+    title: ['div._4rR01T', 'a.s1Q9rs', 'div.s1Q9rs', '.IRpwTa'],
+    price: ['div._30jeq3', '._30jeq3'],
+    mrp: ['div._3I9_wc', '._3I9_wc'],
+    link: ['a._1fQZEK', 'a.s1Q9rs', 'a._2rpwqI', 'a.IRpwTa']
+  },
+  productPage: {
+    selectors: {
+      seller: ['#sellerName span span', '#sellerName'],
+      rating: ['div._3LWZlK'],
+      reviewCount: ['span._2_R_DZ'],
+      availability: ['div._16FRp0', 'button._2KpZ6l._2U9uOA'],
+      mrp: ['div._3I9_wc'],
+      delivery: ['div._1tBBEs'],
+      specs: 'table._14cfVK tr'
+    }
+  },
+  normalizeLink: (href) => (href ? (href.startsWith('http') ? href : `${BASE_URL}${href}`) : ''),
+  // Listing pid, else the item id in the /p/ path
+  extractProductId: (link) => matchLink(link, /[?&]pid=([A-Z0-9]+)/) || matchLink(link, /\/p\/(itm[a-z0-9]+)/),
+  structuredData: {
+    // window.__INITIAL_STATE__ holds one productInfo.value per search result
+    initialState: (state) => collectObjects(state, node => node.titles && node.pricing).map(product => ({
+      title: product.titles.subtitle ? `${product.titles.title} (${product.titles.subtitle})` : product.titles.title,
+      price: product.pricing.finalPrice && product.pricing.finalPrice.value,
+      mrp: product.pricing.mrp && product.pricing.mrp.value,
+      rating: product.rating && product.rating.average,
+      reviewCount: product.rating && product.rating.count,
+      availability: product.availability && product.availability.displayState,
+      link: product.baseUrl
+    }))
+  }
+};
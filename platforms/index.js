@@ -0,0 +1,93 @@
+/**
+ * Platform adapter registry
+ *
+ * Every other .js file in this directory is a platform adapter exporting:
+ *   id             - Lowercase identifier (e.g. 'amazon')
+ *   name           - Display name used in results (e.g. 'Amazon')
+ *   order          - Position of the platform in responses (lower comes first)
+ *   categories     - Optional categories the platform sells ('grocery', 'personal-care',
+ *                    'electronics', 'fashion', 'home'); queries classified into another
+ *                    category skip it (see utils/categoryUtils.js). Omitted: every category
+ *   buildSearchUrl - (query, page) => search page URL
+ *   maxPages       - Optional number of result pages the platform serves (default 1,
+ *                    i.e. no pagination)
+ *   headers        - Optional extra request headers merged over the per-request
+ *                    identity (see utils/identityUtils.js); don't pin a User-Agent
+ *   selectors      - { card, title, price, mrp, link } used by the generic parser
+ *                    (mrp is optional: the struck-through list price),
+ *                    or parse($, query) returning results directly
+ *   normalizeLink  - (href, title) => absolute product link
+ *   extractProductId - Optional link => the platform's own product id (ASIN, pid, ...);
+ *                    results without one get a hashed id (see utils/productIdUtils.js)
+ *   filterResult   - Optional (item, query) => boolean to drop irrelevant items
+ *   hinglishCatalogue - Optional true when listings use Hindi grocery names ("atta",
+ *                    "haldi"); Hindi query terms are then searched untranslated
+ *                    (see utils/languageUtils.js)
+ *   noResults      - Optional $ => boolean recognising the platform's own "no matches"
+ *                    page, so an empty result is not mistaken for broken selectors
+ *   location       - Optional { buildRequest(location) => { headers, cookies },
+ *                    isServiceable($) => boolean } for platforms whose results
+ *                    depend on the delivery location (see utils/locationUtils.js)
+ *   productPage    - Optional { selectors: { seller, rating, reviewCount, availability,
+ *                    mrp, delivery, specs } } for enriching results from detail pages
+ *   structuredData - Optional { nextData, initialState } mappers turning embedded
+ *                    page state into raw items (see utils/structuredDataUtils.js);
+ *                    stateVariable names the window global initialState reads
+ *                    (default '__INITIAL_STATE__')
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Validates that a module implements the adapter interface
+ * @param {object} adapter - The loaded module
+ * @param {string} file - File name (for error messages)
+ */
+const validateAdapter = (adapter, file) => {
+  const missing = ['id', 'name', 'buildSearchUrl', 'normalizeLink'].filter(field => !adapter[field]);
+  if (!adapter.parse && !adapter.selectors) missing.push('selectors or parse');
+  if (missing.length > 0) {
+    throw new Error(`Platform adapter ${file} is missing: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Loads all platform adapters from a directory
+ * @param {string} dir - Directory containing adapter files
+ * @returns {Array} - Adapters sorted by their order
+ */
+const loadPlatforms = (dir = __dirname) => {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => {
+      const adapter = require(path.join(dir, file));
+      validateAdapter(adapter, file);
+      return adapter;
+    })
+    .sort((a, b) => (a.order || Infinity) - (b.order || Infinity) || a.name.localeCompare(b.name));
+};
+
+const platforms = loadPlatforms();
+
+/**
+ * Returns all registered platform adapters
+ * @returns {Array} - Registered adapters in display order
+ */
+const getPlatforms = () => platforms;
+
+/**
+ * Looks up a platform adapter by id or display name
+ * @param {string} key - Platform id or name (case-insensitive)
+ * @returns {object|undefined} - The adapter, if registered
+ */
+const getPlatform = (key) => {
+  const lowerKey = String(key).toLowerCase();
+  return platforms.find(platform => platform.id === lowerKey || platform.name.toLowerCase() === lowerKey);
+};
+
+module.exports = {
+  loadPlatforms,
+  getPlatforms,
+  getPlatform
+};
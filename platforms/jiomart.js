@@ -0,0 +1,32 @@
+/**
+ * JioMart platform adapter
+ */
+
+const { isRelevantTitle } = require('../utils/scraperUtils');
+const { matchLink } = require('../utils/productIdUtils');
+
+const BASE_URL = 'https://www.jiomart.com';
+
+module.exports = {
+  id: 'jiomart',
+  name: 'JioMart',
+  order: 7,
+  categories: ['grocery', 'personal-care', 'home'],
+  baseUrl: BASE_URL,
+  // Grocery listings use Hindi names ("Haldi Powder", "Toor Dal"), so Hindi query terms are searched as such
+  hinglishCatalogue: true,
+  buildSearchUrl: (query) => `${BASE_URL}/search/${encodeURIComponent(query.trim())}`,
+  selectors: {
+    card: 'li.ais-InfiniteHits-item',
+    title: ['.plp-card-details-name', '.plp-card-details-name-wrapper'],
+    // The selling price is the first heading; the struck-through MRP follows it
+    price: ['.plp-card-details-price span.jm-heading-xxs', '.plp-card-details-price span:not(.line-through)'],
+    mrp: ['.plp-card-details-price .line-through'],
+    link: ['a.plp-card-wrapper', 'a']
+  },
+  normalizeLink: (href) => (href ? (href.startsWith('http') ? href : `${BASE_URL}${href}`) : ''),
+  // Numeric product id at the end of the /p/ path
+  extractProductId: (link) => matchLink(link, /\/p\/[^?#]*\/(\d+)(?:[/?#]|$)/),
+  // JioMart fills short result lists with unrelated bestsellers
+  filterResult: (item, product) => isRelevantTitle(item.title, product)
+};
@@ -0,0 +1,40 @@
+/**
+ * Meesho platform adapter
+ */
+
+const { formatQuery } = require('../utils/scraperUtils');
+const { collectObjects } = require('../utils/structuredDataUtils');
+const { matchLink } = require('../utils/productIdUtils');
+
+const BASE_URL = 'https://www.meesho.com';
+
+module.exports = {
+  id: 'meesho',
+  name: 'Meesho',
+  order: 3,
+  categories: ['personal-care', 'fashion', 'home'],
+  baseUrl: BASE_URL,
+  buildSearchUrl: (query) => `${BASE_URL}/search?q=${formatQuery(query)}`,
+  selectors: {
+    card: '[class*="ProductCard"], [class*="product-card"], [class*="ProductList"], div.sc-jlZhew',
+    title: ['p', '.NewProductCardstyled__ProductTitle', '.ProductTitle__StyledProductTitle'],
+    price: ['h5', '.NewProductCardstyled__StyledDesktopPrice', '.ProductPrice__StyledProductPrice'],
+    mrp: ['p[class*="StrikeThrough"]', '.NewProductCardstyled__StyledDesktopOriginalPrice'],
+    link: ['a']
+  },
+  normalizeLink: (href) => (href ? (href.startsWith('http') ? href : `${BASE_URL}${href}`) : ''),
+  // Product id at the end of /p/<id>
+  extractProductId: (link) => matchLink(link, /\/p\/([A-Za-z0-9]+)(?:[/?#]|$)/),
+  structuredData: {
+    // __NEXT_DATA__ lists search results as catalogs with a minimum price
+    nextData: (data) => collectObjects(data, node => node.name && node.min_product_price !== undefined).map(catalog => ({
+      title: catalog.name,
+      price: catalog.min_product_price,
+      mrp: catalog.original_price,
+      rating: catalog.catalog_reviews_summary && catalog.catalog_reviews_summary.average_rating,
+      reviewCount: catalog.catalog_reviews_summary && catalog.catalog_reviews_summary.rating_count,
+      availability: catalog.in_stock === false ? 'OutOfStock' : undefined,
+      link: catalog.slug && catalog.product_id ? `/${catalog.slug}/p/${catalog.product_id}` : ''
+    }))
+  }
+};
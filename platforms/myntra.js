@@ -0,0 +1,64 @@
+/**
+ * Myntra platform adapter
+ */
+
+const { collectObjects } = require('../utils/structuredDataUtils');
+const { matchLink } = require('../utils/productIdUtils');
+
+const BASE_URL = 'https://www.myntra.com';
+
+/**
+ * Builds a result title; Myntra's product names leave out the brand
+ * @param {object} product - Product from window.__myx
+ * @returns {string} - Brand and product name, or the product name alone without a brand
+ */
+const productTitle = (product) => {
+  const brand = typeof product.brand === 'string' ? product.brand.trim() : '';
+  return !brand || product.productName.startsWith(brand) ? product.productName : `${brand} ${product.productName}`;
+};
+
+/**
+ * Builds Myntra's search path; it expects the query as a dashed slug plus the raw query
+ * @param {string} query - The search query
+ * @returns {string} - Path and query string (e.g. "/white-sneakers?rawQuery=white%20sneakers")
+ */
+const searchPath = (query) => {
+  const trimmed = query.trim();
+  const slug = trimmed.toLowerCase().replace(/\s+/g, '-');
+  return `/${encodeURIComponent(slug)}?rawQuery=${encodeURIComponent(trimmed)}`;
+};
+
+module.exports = {
+  id: 'myntra',
+  name: 'Myntra',
+  order: 8,
+  categories: ['fashion', 'personal-care'],
+  baseUrl: BASE_URL,
+  maxPages: 10,
+  buildSearchUrl: (query, page = 1) => `${BASE_URL}${searchPath(query)}${page > 1 ? `&p=${page}` : ''}`,
+  selectors: {
+    card: 'li.product-base',
+    title: ['.product-product', '.product-productMetaInfo h4'],
+    price: ['.product-discountedPrice', '.product-price span'],
+    mrp: ['.product-strike'],
+    link: ['a[data-refreshpage]', 'a']
+  },
+  normalizeLink: (href) => (href ? (href.startsWith('http') ? href : `${BASE_URL}/${href.replace(/^\/+/, '')}`) : ''),
+  // Style id before /buy
+  extractProductId: (link) => matchLink(link, /\/(\d+)\/buy/),
+  // Myntra only sells fashion and beauty, so many queries legitimately match nothing
+  noResults: ($) => $('.index-noResultsContainer').length > 0 || /couldn't find any matches/i.test($('body').text()),
+  structuredData: {
+    // window.__myx carries the search results; titles need the brand prepended
+    stateVariable: '__myx',
+    initialState: (state) => collectObjects(state, node => node.productId && node.productName && node.landingPageUrl).map(product => ({
+      title: productTitle(product),
+      price: product.price,
+      mrp: product.mrp,
+      rating: product.rating,
+      reviewCount: product.ratingCount,
+      availability: product.inventoryInfo && product.inventoryInfo.every(size => !size.available) ? 'OutOfStock' : 'InStock',
+      link: product.landingPageUrl
+    }))
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Nykaa platform adapter
+ */
+
+const { collectObjects } = require('../utils/structuredDataUtils');
+const { matchLink } = require('../utils/productIdUtils');
+
+const BASE_URL = 'https://www.nykaa.com';
+
+module.exports = {
+  id: 'nykaa',
+  name: 'Nykaa',
+  order: 9,
+  categories: ['personal-care'],
+  baseUrl: BASE_URL,
+  maxPages: 10,
+  buildSearchUrl: (query, page = 1) => `${BASE_URL}/search/result/?q=${encodeURIComponent(query.trim())}${page > 1 ? `&page_no=${page}` : ''}`,
+  selectors: {
+    card: '.productWrapper, #product-list-wrap .product-listing > div',
+    title: ['.css-xrzmfa', 'div[class*="productName"]'],
+    price: ['.css-111z9ua', 'span[class*="sellingPrice"]'],
+    mrp: ['.css-17x46n5', 'span[class*="mrp"]'],
+    link: ['a.css-qlopj4', 'a']
+  },
+  normalizeLink: (href) => (href ? (href.startsWith('http') ? href : `${BASE_URL}${href}`) : ''),
+  // Product id at the end of /p/<id>
+  extractProductId: (link) => matchLink(link, /\/p\/(\d+)(?:[/?#]|$)/),
+  // Nykaa only sells beauty and personal care, so many queries legitimately match nothing
+  noResults: ($) => /no results found/i.test($('#app').text()),
+  structuredData: {
+    // window.__PRELOADED_STATE__ lists the product grid under categoryListing
+    stateVariable: '__PRELOADED_STATE__',
+    initialState: (state) => collectObjects(state, node => node.name && node.slug && node.mrp !== undefined).map(product => ({
+      title: product.packSize && !product.name.includes(product.packSize) ? `${product.name} (${product.packSize})` : product.name,
+      price: product.offerPrice !== undefined ? product.offerPrice : product.price,
+      mrp: product.mrp,
+      rating: product.rating,
+      reviewCount: product.ratingCount,
+      availability: product.inStock === false ? 'OutOfStock' : 'InStock',
+      link: `/${product.slug.replace(/^\/+/, '')}/p/${product.id}`
+    }))
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Zepto platform adapter
+ */
+
+const { formatQuery, isRelevantTitle } = require('../utils/scraperUtils');
+const { collectObjects, extractNextData } = require('../utils/structuredDataUtils');
+const { matchLink } = require('../utils/productIdUtils');
+
+const BASE_URL = 'https://www.zeptonow.com';
+
+module.exports = {
+  id: 'zepto',
+  name: 'Zepto',
+  order: 5,
+  categories: ['grocery', 'personal-care', 'home'],
+  baseUrl: BASE_URL,
+  // Grocery listings use Hindi names ("Haldi Powder", "Toor Dal"), so Hindi query terms are searched as such
+  hinglishCatalogue: true,
+  buildSearchUrl: (query) => `${BASE_URL}/search?q=${formatQuery(query)}`,
+  selectors: {
+    card: '.product-card, .product-item, [data-testid="product-card"]',
+    title: ['.product-title, .product-name, [data-testid="product-title"]'],
+    price: ['.product-price, .price, [data-testid="product-price"]'],
+    mrp: ['.product-mrp, .mrp, [data-testid="product-mrp"]'],
+    link: ['a']
+  },
+  normalizeLink: (href) => (href ? (href.startsWith('http') ? href : `${BASE_URL}${href}`) : ''),
+  // Product variant uuid after /pvid/
+  extractProductId: (link) => matchLink(link, /\/pvid\/([0-9a-f-]+)/),
+  location: {
+    // Zepto resolves the store from the latitude/longitude cookies set by its location picker
+    buildRequest: ({ lat, lng }) => ({
+      cookies: { latitude: lat, longitude: lng }
+    }),
+    isServiceable: ($) => {
+      const nextData = extractNextData($);
+      const flagged = collectObjects(nextData, node => node.isServiceable !== undefined);
+      if (flagged.length > 0) return flagged[0].isServiceable !== false;
+      return !/coming soon to your location|not serviceable/i.test($('body').text());
+    }
+  },
+  // Zepto pads searches with unrelated items, keep only relevant ones
+  filterResult: (item, product) => isRelevantTitle(item.title, product),
+  structuredData: {
+    // __NEXT_DATA__ search layout items; Zepto prices are in paise
+    nextData: (data) => collectObjects(data, node => node.product && node.productVariant && node.sellingPrice !== undefined).map(item => {
+      const name = item.product.name;
+      const packSize = item.productVariant.formattedPacksize;
+      const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+      return {
+        title: packSize ? `${name} ${packSize}` : name,
+        price: item.sellingPrice / 100,
+        mrp: item.mrp / 100,
+        rating: item.productVariant.ratingSummary && item.productVariant.ratingSummary.averageRating,
+        reviewCount: item.productVariant.ratingSummary && item.productVariant.ratingSummary.totalRatings,
+        availability: item.outOfStock ? 'OutOfStock' : 'InStock',
+        link: `/pn/${slug}/pvid/${item.productVariant.id}`
+      };
+    })
+  }
+};
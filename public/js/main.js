@@ -13,7 +13,11 @@ document.addEventListener('DOMContentLoaded', function() {
         'Flipkart': 'https://logo.clearbit.com/flipkart.com',
         'Meesho': 'https://logo.clearbit.com/meesho.com',
         'Blinkit': 'https://logo.clearbit.com/blinkit.com',
-        'Zepto': 'https://logo.clearbit.com/zeptonow.com'
+        'Zepto': 'https://logo.clearbit.com/zeptonow.com',
+        'BigBasket': '/images/logos/bigbasket.svg',
+        'JioMart': '/images/logos/jiomart.svg',
+        'Myntra': '/images/logos/myntra.svg',
+        'Nykaa': '/images/logos/nykaa.svg'
     };
     
     // Platform colors
@@ -22,7 +26,11 @@ document.addEventListener('DOMContentLoaded', function() {
         'Flipkart': 'primary',
         'Meesho': 'danger',
         'Blinkit': 'success',
-        'Zepto': 'info'
+        'Zepto': 'info',
+        'BigBasket': 'success',
+        'JioMart': 'primary',
+        'Myntra': 'danger',
+        'Nykaa': 'dark'
     };
     
     // API Key management (currently disabled in UI)
@@ -75,13 +83,128 @@ document.addEventListener('DOMContentLoaded', function() {
         return simplified;
     }
     
-    // Extract numeric price from price string
-    function extractNumericPrice(priceStr) {
-        const matches = priceStr.match(/[\d,]+\.?\d*/g);
-        if (matches && matches.length > 0) {
-            return parseFloat(matches[0].replace(/,/g, ''));
+    // Selling price in rupees from the result's pricing object (unpriced results sort last)
+    function getPriceValue(product) {
+        return product.pricing ? product.pricing.pricePaise / 100 : Infinity;
+    }
+    
+    // Format an amount in paise as rupees
+    function formatPaise(paise) {
+        return `₹${(paise / 100).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+    }
+    
+    // Escape text typed by the user before echoing it into the page
+    function escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+    
+    // "Searched for" note listing the Hindi/Hinglish words that were rewritten
+    function createRewriteHTML(data) {
+        if (!data.rewrittenQuery) return '';
+        const rewrites = data.parsedQuery.rewrites
+            .map(rewrite => `${escapeHTML(rewrite.from)} → ${escapeHTML(rewrite.to)}`)
+            .join(', ');
+        return `
+            <div class="small mt-1">
+                Searched for <strong>${escapeHTML(data.rewrittenQuery)}</strong>
+                (you typed “${escapeHTML(data.query)}”: ${rewrites})
+            </div>
+        `;
+    }
+    
+    // "Showing results for" note when the server retried a query that found nothing
+    function createRelaxedHTML(data) {
+        if (!data.relaxedFrom) return '';
+        return `
+            <div class="small mt-1">
+                No results for “${escapeHTML(data.relaxedFrom.query)}”, showing results for <strong>${escapeHTML(data.query)}</strong>
+            </div>
+        `;
+    }
+    
+    // "Did you mean" chips that search for the suggested query when clicked
+    function createSuggestionsHTML(data) {
+        if (!data.suggestions || data.suggestions.length === 0) return '';
+        const chips = data.suggestions
+            .map(suggestion => `<button type="button" class="btn btn-sm btn-outline-primary rounded-pill me-1 suggestion-chip" data-query="${escapeHTML(suggestion)}">${escapeHTML(suggestion)}</button>`)
+            .join('');
+        return `<div class="small mt-2">Did you mean: ${chips}</div>`;
+    }
+    
+    // Filter chips for every feature the results share, grouped by facet ("Flavour: lemon (3)")
+    function createFacetFiltersHTML(products) {
+        const counts = {};
+        products.forEach(product => {
+            Object.entries(product.facets || {}).forEach(([facet, features]) => {
+                counts[facet] = counts[facet] || {};
+                features.forEach(feature => {
+                    counts[facet][feature] = (counts[facet][feature] || 0) + 1;
+                });
+            });
+        });
+        const groups = Object.entries(counts).map(([facet, features]) => {
+            const chips = Object.entries(features)
+                .sort((a, b) => b[1] - a[1])
+                .map(([feature, count]) => `<button type="button" class="btn btn-sm btn-outline-secondary rounded-pill me-1 mb-1 facet-chip" data-facet="${escapeHTML(facet)}" data-feature="${escapeHTML(feature)}">${escapeHTML(feature)} (${count})</button>`)
+                .join('');
+            const label = facet.charAt(0).toUpperCase() + facet.slice(1);
+            return `<div class="small mb-1"><span class="me-2">${escapeHTML(label)}:</span>${chips}</div>`;
+        });
+        if (groups.length === 0) return '';
+        return `<div class="col-12 mb-3" id="facetFilters">${groups.join('')}</div>`;
+    }
+    
+    // Shows the cards having a selected feature of every facet with a selected chip
+    function applyFacetFilters() {
+        const selected = {};
+        document.querySelectorAll('.facet-chip.active').forEach(chip => {
+            selected[chip.dataset.facet] = selected[chip.dataset.facet] || [];
+            selected[chip.dataset.facet].push(chip.dataset.feature);
+        });
+        document.querySelectorAll('.product-card-col').forEach(card => {
+            const facets = JSON.parse(card.dataset.facets || '{}');
+            const visible = Object.entries(selected)
+                .every(([facet, features]) => (facets[facet] || []).some(feature => features.includes(feature)));
+            card.style.display = visible ? '' : 'none';
+        });
+    }
+    
+    // Selling price with the struck-through MRP and discount when the platform shows one
+    function createPriceHTML(product) {
+        if (!product.pricing) return product.price;
+        const { pricePaise, mrpPaise, discountPercent } = product.pricing;
+        let html = formatPaise(pricePaise);
+        if (mrpPaise) {
+            html += ` <span class="mrp">${formatPaise(mrpPaise)}</span> <span class="discount">${discountPercent}% off</span>`;
         }
-        return Number.MAX_VALUE; // If price can't be parsed
+        return html;
+    }
+    
+    // Function to create a cross-platform product group with its offers
+    function createProductGroup(group) {
+        const offersHTML = group.offers.map((offer, index) => `
+            <li class="list-group-item d-flex justify-content-between align-items-center ${index === 0 ? 'best-offer' : ''}">
+                <span>
+                    <img src="${platformIcons[offer.platform] || ''}" class="platform-icon" alt="${offer.platform}">
+                    ${offer.platform}
+                    ${index === 0 ? '<span class="best-value-badge">Cheapest</span>' : ''}
+                </span>
+                <span>
+                    <span class="product-price">${createPriceHTML(offer)}</span>
+                    <a href="${offer.link}" target="_blank" class="btn btn-sm btn-outline-primary ms-2">View</a>
+                </span>
+            </li>
+        `).join('');
+        
+        return `
+            <div id="group-${group.id}" class="card product-group mb-3">
+                <div class="card-header">
+                    ${simplifyTitle(group.title)}
+                    ${group.matchConfidence < 0.7 ? '<span class="badge bg-light text-dark ms-2">Possible match</span>' : ''}
+                </div>
+                <ul class="list-group list-group-flush">${offersHTML}</ul>
+            </div>
+        `;
     }
     
     // Function to create product card
@@ -125,7 +248,7 @@ document.addEventListener('DOMContentLoaded', function() {
         }
         
         return `
-            <div class="col-12 col-md-6 col-lg-4 mb-4">
+            <div class="col-12 col-md-6 col-lg-4 mb-4 product-card-col" data-facets="${escapeHTML(JSON.stringify(product.facets || {}))}">
                 <div id="product-${product.id}" class="card result-card ${priceCategory}">
                     <div class="card-body">
                         <span class="badge bg-${platformColor} platform-badge">
@@ -133,7 +256,7 @@ document.addEventListener('DOMContentLoaded', function() {
                         </span>
                         <h5 class="card-title mt-2">${simplifyTitle(product.title)}</h5>
                         ${attributesHTML}
-                        <p class="card-text price">${product.price}</p>
+                        <p class="card-text price">${createPriceHTML(product)}</p>
                         ${unitPriceHTML}
                         <div class="mt-auto">
                             <a href="${product.link}" target="_blank" class="btn btn-sm btn-outline-primary">
@@ -174,6 +297,9 @@ document.addEventListener('DOMContentLoaded', function() {
                 stats.innerHTML = `
                     <div class="alert alert-info">
                         Found ${data.count} products from ${Object.keys(data.sources).filter(s => data.sources[s] > 0).length} sources
+                        ${createRewriteHTML(data)}
+                        ${createRelaxedHTML(data)}
+                        ${createSuggestionsHTML(data)}
                     </div>
                 `;
                 stats.style.display = 'block';
@@ -190,6 +316,7 @@ document.addEventListener('DOMContentLoaded', function() {
                                 <li>Removing brand names</li>
                                 <li>Searching for similar products</li>
                             </ul>
+                            ${createSuggestionsHTML(data)}
                         </div>
                     `;
                     return;
@@ -211,7 +338,7 @@ document.addEventListener('DOMContentLoaded', function() {
                         if (aUnitPrice && bUnitPrice) return aUnitPrice - bUnitPrice;
                         if (aUnitPrice) return -1;
                         if (bUnitPrice) return 1;
-                        return extractNumericPrice(a.price) - extractNumericPrice(b.price);
+                        return getPriceValue(a) - getPriceValue(b);
                     });
                     
                     // Add up to 2 top exact matches
@@ -222,8 +349,8 @@ document.addEventListener('DOMContentLoaded', function() {
                 if (data.alternatives && data.alternatives.length > 0) {
                     // Sort by unit price if available, otherwise by package price
                     const sortedAlternatives = [...data.alternatives].sort((a, b) => {
-                        const aUnitPrice = a.attributes?.unitPrice || extractNumericPrice(a.price);
-                        const bUnitPrice = b.attributes?.unitPrice || extractNumericPrice(b.price);
+                        const aUnitPrice = a.attributes?.unitPrice || getPriceValue(a);
+                        const bUnitPrice = b.attributes?.unitPrice || getPriceValue(b);
                         return aUnitPrice - bUnitPrice;
                     });
                     
@@ -266,8 +393,8 @@ document.addEventListener('DOMContentLoaded', function() {
                     // Add each product to the comparison table
                     // Sort products by unit price for the color coding
                     const sortedByPrice = [...topProducts].sort((a, b) => {
-                        const aUnitPrice = a.attributes?.unitPrice || extractNumericPrice(a.price);
-                        const bUnitPrice = b.attributes?.unitPrice || extractNumericPrice(b.price);
+                        const aUnitPrice = a.attributes?.unitPrice || getPriceValue(a);
+                        const bUnitPrice = b.attributes?.unitPrice || getPriceValue(b);
                         return aUnitPrice - bUnitPrice;
                     });
                     
@@ -277,13 +404,13 @@ document.addEventListener('DOMContentLoaded', function() {
                         
                         // Determine price class based on unit price ranking
                         let priceClass = 'mid-price';
-                        const productUnitPrice = product.attributes?.unitPrice || extractNumericPrice(product.price);
+                        const productUnitPrice = product.attributes?.unitPrice || getPriceValue(product);
                         
-                        if (productUnitPrice === (sortedByPrice[0].attributes?.unitPrice || extractNumericPrice(sortedByPrice[0].price))) {
+                        if (productUnitPrice === (sortedByPrice[0].attributes?.unitPrice || getPriceValue(sortedByPrice[0]))) {
                             priceClass = 'best-price'; // Lowest price (green)
                         } else if (sortedByPrice.length > 2 && 
                                   productUnitPrice === (sortedByPrice[sortedByPrice.length-1].attributes?.unitPrice || 
-                                                     extractNumericPrice(sortedByPrice[sortedByPrice.length-1].price))) {
+                                                     getPriceValue(sortedByPrice[sortedByPrice.length-1]))) {
                             priceClass = 'highest-price'; // Highest price (red)
                         }
                         const simplifiedTitle = simplifyTitle(product.title);
@@ -301,7 +428,7 @@ document.addEventListener('DOMContentLoaded', function() {
                                         ${weight ? `<div class="product-size">${weight}</div>` : ''}
                                     </div>
                                     <div class="col-4 col-md-2">
-                                        <div class="product-price">${product.price}</div>
+                                        <div class="product-price">${createPriceHTML(product)}</div>
                                         <div class="unit-price">${unitPriceFormatted}</div>
                                     </div>
                                     <div class="col-4 col-md-2">
@@ -329,6 +456,20 @@ document.addEventListener('DOMContentLoaded', function() {
                     `;
                 }
                 
+                // Add the same item sold on several platforms, cheapest offer first
+                const sharedProducts = (data.products || []).filter(group => group.platforms.length > 1);
+                if (sharedProducts.length > 0) {
+                    resultsHTML += `
+                        <div class="col-12 mb-4">
+                            <h3 class="section-title">Same Product, Different Platforms (${sharedProducts.length})</h3>
+                            ${sharedProducts.map(createProductGroup).join('')}
+                        </div>
+                    `;
+                }
+                
+                // Add feature filters for the cards below
+                resultsHTML += createFacetFiltersHTML([...data.exactMatches, ...data.alternatives]);
+                
                 // Add exact matches section if available
                 if (data.exactMatches && data.exactMatches.length > 0) {
                     resultsHTML += `
@@ -355,14 +496,14 @@ document.addEventListener('DOMContentLoaded', function() {
                 // Process exact matches
                 const exactMatchesWithPrice = data.exactMatches.map(product => ({
                     ...product,
-                    numericPrice: extractNumericPrice(product.price),
+                    numericPrice: getPriceValue(product),
                     unitPrice: product.attributes && product.attributes.unitPrice ? product.attributes.unitPrice : 0
                 }));
                 
                 // Process alternatives
                 const alternativesWithPrice = data.alternatives.map(product => ({
                     ...product,
-                    numericPrice: extractNumericPrice(product.price),
+                    numericPrice: getPriceValue(product),
                     unitPrice: product.attributes && product.attributes.unitPrice ? product.attributes.unitPrice : 0
                 }));
                 
@@ -453,6 +594,22 @@ document.addEventListener('DOMContentLoaded', function() {
     // Event listeners
     searchButton.addEventListener('click', searchProducts);
     
+    // Suggestion chips are re-rendered with every search, so listen on the page
+    document.addEventListener('click', function(e) {
+        const chip = e.target.closest('.suggestion-chip');
+        if (!chip) return;
+        searchInput.value = chip.dataset.query;
+        searchProducts();
+    });
+    
+    // Facet chips toggle and filter the product cards
+    document.addEventListener('click', function(e) {
+        const chip = e.target.closest('.facet-chip');
+        if (!chip) return;
+        chip.classList.toggle('active');
+        applyFacetFilters();
+    });
+    
     searchInput.addEventListener('keypress', function(e) {
         if (e.key === 'Enter') {
             searchProducts();
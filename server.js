@@ -1,16 +1,30 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const path = require('path');
 
 // Import utility modules
-const { detectBrands } = require('./utils/brandUtils');
-const { extractWeight } = require('./utils/attributeUtils');
-const { categorizeResults, removeDuplicates } = require('./utils/resultUtils');
+const { parseQuery, applyQueryConstraints } = require('./utils/queryUtils');
+const { localizeQuery } = require('./utils/languageUtils');
+const { sortResults, parseSortParam, parseOrderParam } = require('./utils/relevanceUtils');
+const { parsePlatformsParam, parseFilterParams, applyFilters } = require('./utils/filterUtils');
+const { correctQuery, getRecoveryQueries, learnFromResults } = require('./utils/spellingUtils');
+const { classifyQuery, routePlatforms } = require('./utils/categoryUtils');
+const { categorizeResults, validateResults, removeDuplicates } = require('./utils/resultUtils');
+const { groupProducts } = require('./utils/matchingUtils');
+const { scrapePlatform } = require('./utils/scraperUtils');
+const { getScraperStats, getScraperHealthSummary } = require('./utils/scraperHealthUtils');
+const { withDeadline, isTimeoutError, getCircuitState } = require('./utils/resilienceUtils');
+const { parsePaginationParams, encodeCursor, decodeCursor } = require('./utils/paginationUtils');
+const { DEFAULT_ENRICH_LIMIT, MAX_ENRICH_LIMIT, ENRICH_CACHE_TTL, enrichResults, clearDetailsCache } = require('./utils/enrichmentUtils');
+const { parseLocationParams } = require('./utils/locationUtils');
+const { getProxyStats } = require('./utils/identityUtils');
+const { getPolitenessStats } = require('./utils/politenessUtils');
+const { getPlatforms, getPlatform } = require('./platforms');
+const { validate, coerceParams } = require('./utils/schemaUtils');
+const { buildOpenApiDocument } = require('./utils/openApiUtils');
+const { toV2SearchResponse } = require('./utils/apiV2Utils');
 
-const UserAgent = require('user-agents');
 const rateLimit = require('express-rate-limit');
 const NodeCache = require('node-cache');
 const helmet = require('helmet');
@@ -25,6 +39,9 @@ const cache = new NodeCache({
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Overall deadline for a /search request, on top of each platform's own timeout
+const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS, 10) || 30000;
+
 // Security headers
 app.use(helmet({
   contentSecurityPolicy: {
@@ -83,6 +100,7 @@ const apiKeyAuth = (req, res, next) => {
 // Apply API key authentication to API routes
 app.use('/search', apiKeyAuth);
 app.use('/admin', apiKeyAuth);
+app.use('/api/v2', apiKeyAuth);
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
@@ -93,300 +111,14 @@ app.use((req, res, next) => {
   next();
 });
 
-const userAgent = new UserAgent();
-const headers = {
-  'User-Agent': userAgent.toString(),
-  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-  'Accept-Language': 'en-US,en;q=0.5',
-  'Connection': 'keep-alive',
-  'Upgrade-Insecure-Requests': '1',
-  'Cache-Control': 'max-age=0',
-};
-
-const formatQuery = (query) => query.trim().replace(/\s+/g, '+');
-
-// Amazon Scraper
-async function scrapeAmazon(product) {
-  const url = `https://www.amazon.in/s?k=${formatQuery(product)}`;
-  console.log(`Scraping Amazon with URL: ${url}`);
-  try {
-    const { data } = await axios.get(url, { headers });
-    console.log('Amazon response received, length:', data.length);
-    const $ = cheerio.load(data);
-    const results = [];
-    
-    const searchResults = $('div.s-main-slot div[data-component-type="s-search-result"]');
-    console.log(`Amazon found ${searchResults.length} search result elements`);
-
-    searchResults.each((_, el) => {
-      // Try different selectors for title
-      const title = $(el).find('h2 span').text().trim() || 
-                   $(el).find('.a-text-normal').text().trim() || 
-                   $(el).find('.a-size-medium').text().trim();
-      
-      // Try different selectors for price
-      const price = $(el).find('.a-price .a-offscreen').first().text().trim() || 
-                    $(el).find('.a-price-whole').first().text().trim();
-      
-      // Fix link extraction - ensure proper Amazon links
-      let hrefAttr = $(el).find('h2 a').attr('href');
-      let link = '';
-      
-      if (hrefAttr) {
-        // Extract the product ID using regex
-        const productIdMatch = hrefAttr.match(/\/([A-Z0-9]{10})(?:\/|\?|$)/);
-        if (productIdMatch && productIdMatch[1]) {
-          // Create a direct product link using the ASIN/product ID
-          link = `https://www.amazon.in/dp/${productIdMatch[1]}`;
-        } else if (hrefAttr.startsWith('/')) {
-          link = 'https://www.amazon.in' + hrefAttr;
-        } else if (hrefAttr.includes('amazon.in')) {
-          link = hrefAttr;
-        } else {
-          link = 'https://www.amazon.in' + (hrefAttr.startsWith('/') ? '' : '/') + hrefAttr;
-        }
-      }
-      
-      // If link is still empty, create a search link as fallback
-      if (!link) {
-        link = `https://www.amazon.in/s?k=${encodeURIComponent(title)}`;
-      }
-
-      console.log(`Amazon item found: ${title ? 'Title: ' + title : 'No title'}, ${price ? 'Price: ' + price : 'No price'}`);
-      
-      if (title && price) {
-        results.push({ platform: 'Amazon', title, price, link });
-      }
-    });
-
-    console.log(`Amazon scraping complete, found ${results.length} valid results`);
-    return results.slice(0, 5);
-  } catch (err) {
-    console.error('Amazon error:', err.message);
-    return [];
-  }
-}
-
-// Flipkart Scraper
-async function scrapeFlipkart(product) {
-  const url = `https://www.flipkart.com/search?q=${formatQuery(product)}`;
-  console.log(`Scraping Flipkart with URL: ${url}`);
-  try {
-    // Use a different user agent specifically for Flipkart
-    const flipkartHeaders = {
-      ...headers,
-      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.114 Safari/537.36',
-    };
-    
-    const { data } = await axios.get(url, { headers: flipkartHeaders });
-    console.log('Flipkart response received, length:', data.length);
-    const $ = cheerio.load(data);
-    const results = [];
-
-    // Use multiple selectors to find product cards
-    const searchResults = $('div._1YokD2 ._1AtVbE, ._4ddWXP, ._1xHGtK, ._13oc-S, ._4rR01T').parent();
-    console.log(`Flipkart found ${searchResults.length} search result elements`);
-
-    searchResults.each((_, el) => {
-      // Try different selectors for title
-      const title = $(el).find('div._4rR01T').text().trim() || 
-                   $(el).find('a.s1Q9rs').text().trim() || 
-                   $(el).find('div.s1Q9rs').text().trim() || 
-                   $(el).find('.IRpwTa').text().trim();
-      
-      // Try different selectors for price
-      const price = $(el).find('div._30jeq3').text().trim() || 
-                    $(el).find('._30jeq3').text().trim();
-      
-      // Try different selectors for link
-      const linkPart = $(el).find('a._1fQZEK').attr('href') || 
-                       $(el).find('a.s1Q9rs').attr('href') || 
-                       $(el).find('a._2rpwqI').attr('href') || 
-                       $(el).find('a.IRpwTa').attr('href');
-                       
-      const link = linkPart ? `https://www.flipkart.com${linkPart}` : '';
-
-      console.log(`Flipkart item found: ${title ? 'Title: ' + title : 'No title'}, ${price ? 'Price: ' + price : 'No price'}`);
-      
-      if (title && price) {
-        results.push({ platform: 'Flipkart', title, price, link });
-      }
-    });
-
-    console.log(`Flipkart scraping complete, found ${results.length} valid results`);
-    return results.slice(0, 5);
-  } catch (err) {
-    console.error('Flipkart error:', err.message);
-    return [];
-  }
-}
-
-// Meesho Scraper
-async function scrapeMeesho(product) {
-  const url = `https://www.meesho.com/search?q=${formatQuery(product)}`;
-  console.log(`Scraping Meesho with URL: ${url}`);
-  try {
-    // Use a different user agent specifically for Meesho
-    const meeshoHeaders = {
-      ...headers,
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-    };
-    
-    const { data } = await axios.get(url, { headers: meeshoHeaders });
-    console.log('Meesho response received, length:', data.length);
-    const $ = cheerio.load(data);
-    const results = [];
-
-    // Try multiple selectors for Meesho product cards
-    const searchResults = $('[class*="ProductCard"], [class*="product-card"], [class*="ProductList"], div.sc-jlZhew');
-    console.log(`Meesho found ${searchResults.length} search result elements`);
-
-    searchResults.each((_, el) => {
-      // Try different selectors for title
-      const title = $(el).find('p').first().text().trim() ||
-                   $(el).find('.NewProductCardstyled__ProductTitle').text().trim() ||
-                   $(el).find('.ProductTitle__StyledProductTitle').text().trim();
-      
-      // Try different selectors for price
-      const price = $(el).find('h5').text().trim() ||
-                    $(el).find('.NewProductCardstyled__StyledDesktopPrice').text().trim() ||
-                    $(el).find('.ProductPrice__StyledProductPrice').text().trim();
-      
-      // Get link
-      const linkPart = $(el).find('a').attr('href');
-      const link = linkPart ? ('https://www.meesho.com' + linkPart) : '';
-
-      console.log(`Meesho item found: ${title ? 'Title: ' + title : 'No title'}, ${price ? 'Price: ' + price : 'No price'}`);
-      
-      if (title && price) {
-        results.push({ platform: 'Meesho', title, price, link });
-      }
-    });
-
-    console.log(`Meesho scraping complete, found ${results.length} valid results`);
-    return results.slice(0, 5);
-  } catch (err) {
-    console.error('Meesho error:', err.message);
-    return [];
-  }
-}
-
-// Blinkit Scraper with fallback to mock data
-async function scrapeBlinkit(product) {
-  const url = `https://blinkit.com/s/?q=${formatQuery(product)}`;
-  console.log(`Scraping Blinkit with URL: ${url}`);
-  try {
-    // Use a different user agent specifically for Blinkit
-    const blinkitHeaders = {
-      ...headers,
-      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.114 Safari/537.36',
-    };
-    
-    const { data } = await axios.get(url, { headers: blinkitHeaders });
-    console.log('Blinkit response received, length:', data.length);
-    const $ = cheerio.load(data);
-    const results = [];
-
-    // Find product cards
-    const searchResults = $('.product__wrapper, .plp-product, .product-item');
-    console.log(`Blinkit found ${searchResults.length} search result elements`);
-
-    searchResults.each((_, el) => {
-      // Try different selectors for title
-      const title = $(el).find('.product__name, .plp-product__name, .product-name').text().trim();
-      
-      // Try different selectors for price
-      const price = $(el).find('.product__price, .plp-product__price, .product-price').text().trim();
-      
-      // Get link
-      const linkHref = $(el).find('a').attr('href');
-      const link = linkHref ? (linkHref.startsWith('http') ? linkHref : `https://blinkit.com${linkHref}`) : '';
-
-      console.log(`Blinkit item found: ${title ? 'Title: ' + title : 'No title'}, ${price ? 'Price: ' + price : 'No price'}`);
-      
-      if (title && price) {
-        // Filter out non-relevant products
-        if (title.toLowerCase().includes(product.toLowerCase()) || 
-            product.toLowerCase().split(' ').some(word => title.toLowerCase().includes(word))) {
-          results.push({ platform: 'Blinkit', title, price, link });
-        }
-      }
-    });
-
-    // No mock data - return actual results only
-    console.log(`Blinkit scraping complete, found ${results.length} valid results`);
-
-    console.log(`Blinkit scraping complete, found ${results.length} valid results`);
-    return results.slice(0, 5);
-  } catch (err) {
-    console.error('Blinkit error:', err.message);
-    // No mock data on error - log error and return empty results
-    console.log('Blinkit error:', err.message);
-    return [];
-  }
-}
-
-// Zepto Scraper with fallback to mock data
-async function scrapeZepto(product) {
-  const url = `https://www.zeptonow.com/search?q=${formatQuery(product)}`;
-  console.log(`Scraping Zepto with URL: ${url}`);
-  try {
-    // Use a different user agent specifically for Zepto
-    const zeptoHeaders = {
-      ...headers,
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/92.0.4515.131 Safari/537.36',
-    };
-    
-    const { data } = await axios.get(url, { headers: zeptoHeaders });
-    console.log('Zepto response received, length:', data.length);
-    const $ = cheerio.load(data);
-    const results = [];
-
-    // Find product cards
-    const searchResults = $('.product-card, .product-item, [data-testid="product-card"]');
-    console.log(`Zepto found ${searchResults.length} search result elements`);
-
-    searchResults.each((_, el) => {
-      // Try different selectors for title
-      const title = $(el).find('.product-title, .product-name, [data-testid="product-title"]').text().trim();
-      
-      // Try different selectors for price
-      const price = $(el).find('.product-price, .price, [data-testid="product-price"]').text().trim();
-      
-      // Get link
-      const linkHref = $(el).find('a').attr('href');
-      const link = linkHref ? (linkHref.startsWith('http') ? linkHref : `https://www.zeptonow.com${linkHref}`) : '';
-
-      console.log(`Zepto item found: ${title ? 'Title: ' + title : 'No title'}, ${price ? 'Price: ' + price : 'No price'}`);
-      
-      if (title && price) {
-        // Filter out non-relevant products
-        if (title.toLowerCase().includes(product.toLowerCase()) || 
-            product.toLowerCase().split(' ').some(word => title.toLowerCase().includes(word))) {
-          results.push({ platform: 'Zepto', title, price, link });
-        }
-      }
-    });
-
-    // No mock data - return actual results only
-    console.log(`Zepto scraping complete, found ${results.length} valid results`);
-
-    console.log(`Zepto scraping complete, found ${results.length} valid results`);
-    return results.slice(0, 5);
-  } catch (err) {
-    console.error('Zepto error:', err.message);
-    // No mock data on error - log error and return empty results
-    console.log('Zepto error:', err.message);
-    return [];
-  }
-}
-
 // Note: removeDuplicates is now imported from utils/resultUtils.js
 
-// Cache middleware
-const cacheMiddleware = (duration) => {
+// Cache middleware (duration may be a number of seconds or a function of the request;
+// keyFn optionally derives the cache key, which otherwise is the request URL)
+const cacheMiddleware = (duration, keyFn) => {
   return (req, res, next) => {
-    const key = req.originalUrl || req.url;
+    const key = keyFn ? keyFn(req) : (req.originalUrl || req.url);
+    const ttl = typeof duration === 'function' ? duration(req) : duration;
     const cachedResponse = cache.get(key);
 
     if (cachedResponse) {
@@ -400,7 +132,7 @@ const cacheMiddleware = (duration) => {
       // Override the json method
       res.json = function(body) {
         // Save the response to cache
-        cache.set(key, body, duration);
+        cache.set(key, body, ttl);
         // Call the original json method
         return originalJson.call(this, body);
       };
@@ -413,153 +145,328 @@ const cacheMiddleware = (duration) => {
 
 
 // API Endpoint with caching
-app.get('/search', cacheMiddleware(process.env.CACHE_TTL || 3600), async (req, res) => {
-  const product = req.query.product;
-  if (!product) return res.status(400).json({ error: 'Missing "product" query parameter' });
-
+// Enriched responses are cached no longer than the product details they contain
+const SEARCH_CACHE_TTL = parseInt(process.env.CACHE_TTL, 10) || 3600;
+const searchCacheTtl = (req) => (req.query.enrich === 'true' ? Math.min(SEARCH_CACHE_TTL, ENRICH_CACHE_TTL) : SEARCH_CACHE_TTL);
+
+// Results depend on the delivery location, so the key carries its normalised form
+// (rounded coordinates or pincode) instead of the raw pincode/lat/lng parameters
+const searchCacheKey = (req) => {
+  const url = new URL(req.originalUrl || req.url, 'http://localhost');
+  let location = null;
   try {
-    // Add timeout to prevent hanging requests
-    const timeout = setTimeout(() => {
-      throw new Error('Request timed out after 30 seconds');
-    }, 30000);
-
-    // Use Promise.allSettled to ensure all scrapers run regardless of individual failures
-    const results = await Promise.allSettled([
-      scrapeAmazon(product).catch(err => { console.log(`Amazon scraping error: ${err.message}`); return []; }),
-      scrapeFlipkart(product).catch(err => { console.log(`Flipkart scraping error: ${err.message}`); return []; }),
-      scrapeMeesho(product).catch(err => { console.log(`Meesho scraping error: ${err.message}`); return []; }),
-      scrapeBlinkit(product).catch(err => { console.log(`Blinkit scraping error: ${err.message}`); return []; }),
-      scrapeZepto(product).catch(err => { console.log(`Zepto scraping error: ${err.message}`); return []; })
-    ]);
-
-    clearTimeout(timeout);
-
-    // Process results
-    const amazon = results[0].status === 'fulfilled' ? results[0].value : [];
-    const flipkart = results[1].status === 'fulfilled' ? results[1].value : [];
-    const meesho = results[2].status === 'fulfilled' ? results[2].value : [];
-    const blinkit = results[3].status === 'fulfilled' ? results[3].value : [];
-    const zepto = results[4].status === 'fulfilled' ? results[4].value : [];
-    
-    // Filter out results with empty or invalid links
-    const validateResults = (results) => {
-      return results.filter(item => {
-        // Check if link exists and is valid
-        return item.link && 
-               item.link.trim() !== '' && 
-               item.link.startsWith('http') &&
-               item.title && 
-               item.title.trim() !== '' &&
-               item.price && 
-               item.price.trim() !== '';
-      });
+    location = parseLocationParams(req.query);
+  } catch (err) {
+    // Malformed locations are rejected by the handler; fall back to the raw URL
+    return url.pathname + url.search;
+  }
+  ['pincode', 'lat', 'lng'].forEach(param => url.searchParams.delete(param));
+  return `${url.pathname}?${url.searchParams}#location=${location ? location.key : 'none'}`;
+};
+
+// Errors the client can fix, answered with a 400
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Searches the selected platforms and collects their valid results
+ * @param {string} product - The query as typed (or as recovered)
+ * @param {object} parsedQuery - From parseQuery
+ * @param {Array} platforms - Platform adapters
+ * @param {object} paging - { page, offset, quotas } with one quota per platform
+ * @param {object|null} location - From parseLocationParams
+ * @returns {Promise<object>} - { sources, platformStatus, pagination, results }
+ */
+const searchPlatforms = async (product, parsedQuery, platforms, paging, location) => {
+  // A total limit below the number of platforms leaves some with nothing to fetch
+  const searched = platforms.filter((platform, index) => paging.quotas[index] > 0);
+  const quotas = paging.quotas.filter(quota => quota > 0);
+
+  // Hindi terms are searched in English, or as typed where the catalogue uses them
+  const platformQueries = searched.map(platform => localizeQuery(parsedQuery, platform));
+
+  // Run every selected platform scraper. Each has its own timeout/retries;
+  // the overall deadline stops a slow platform from holding up the response.
+  const outcomes = await Promise.all(searched.map((platform, index) =>
+    withDeadline(
+      scrapePlatform(platform, platformQueries[index], { page: paging.page, offset: paging.offset, limit: quotas[index], location }),
+      SEARCH_TIMEOUT_MS,
+      `${platform.name} did not finish within ${SEARCH_TIMEOUT_MS}ms`
+    )
+      .catch(err => ({
+        platform: platform.name,
+        status: isTimeoutError(err) ? 'timeout' : 'error',
+        results: [],
+        attempts: 0,
+        durationMs: SEARCH_TIMEOUT_MS,
+        error: err.message
+      }))
+  ));
+
+  // Validate and de-duplicate each platform's results, counting valid results per source
+  const sources = {};
+  const platformStatus = {};
+  const pagination = {};
+  const results = [];
+
+  outcomes.forEach((outcome, index) => {
+    const validResults = validateResults(outcome.results);
+    sources[outcome.platform] = validResults.length;
+    results.push(...removeDuplicates(validResults));
+
+    platformStatus[outcome.platform] = {
+      status: outcome.status,
+      query: platformQueries[index],
+      count: validResults.length,
+      attempts: outcome.attempts,
+      durationMs: outcome.durationMs
     };
-    
-    // Combine all results and remove duplicates
-    let allResults = [];
-    let sources = {
-      'Amazon': 0,
-      'Flipkart': 0,
-      'Meesho': 0,
-      'Blinkit': 0,
-      'Zepto': 0
+    if (outcome.error) platformStatus[outcome.platform].error = outcome.error;
+    if (outcome.retryInMs) platformStatus[outcome.platform].retryInMs = outcome.retryInMs;
+    if (outcome.serviceable !== undefined) platformStatus[outcome.platform].serviceable = outcome.serviceable;
+
+    const { pagination: outcomePagination = {} } = outcome;
+    pagination[outcome.platform] = {
+      page: paging.page,
+      pagesFetched: outcomePagination.pagesFetched || 0,
+      hasMore: Boolean(outcomePagination.hasMore),
+      nextCursor: outcomePagination.next ? encodeCursor({
+        platform: searched[index].id,
+        product,
+        page: outcomePagination.next.page,
+        offset: outcomePagination.next.offset,
+        limit: quotas[index]
+      }) : null
     };
+  });
 
-    // Process results from each source
-    if (results[0].status === 'fulfilled') {
-      const validAmazon = validateResults(results[0].value);
-      allResults = [...allResults, ...validAmazon];
-      sources['Amazon'] = validAmazon.length;
-    }
+  return { sources, platformStatus, pagination, results };
+};
 
-    if (results[1].status === 'fulfilled') {
-      const validFlipkart = validateResults(results[1].value);
-      allResults = [...allResults, ...validFlipkart];
-      sources['Flipkart'] = validFlipkart.length;
-    }
+/**
+ * Runs a search for the /search query parameters
+ * Shared by /search and /api/v2/search, which reshapes the response.
+ * @param {object} query - Request query parameters
+ * @returns {Promise<object>} - The /search response
+ * @throws {Error} - With status 400 for invalid parameters
+ */
+const runSearch = async (query) => {
+  let product = query.product;
+  let platforms = getPlatforms();
+  let requestedPlatforms = null;
+  let filters;
+  let paging;
+  let location;
+  const enrich = query.enrich === 'true';
+  let enrichLimit = DEFAULT_ENRICH_LIMIT;
 
-    if (results[2].status === 'fulfilled') {
-      const validMeesho = validateResults(results[2].value);
-      allResults = [...allResults, ...validMeesho];
-      sources['Meesho'] = validMeesho.length;
-    }
+  try {
+    location = parseLocationParams(query);
 
-    if (results[3].status === 'fulfilled') {
-      const validBlinkit = validateResults(results[3].value);
-      allResults = [...allResults, ...validBlinkit];
-      sources['Blinkit'] = validBlinkit.length;
+    if (query.enrichLimit !== undefined) {
+      enrichLimit = Number(query.enrichLimit);
+      if (!Number.isInteger(enrichLimit) || enrichLimit < 1 || enrichLimit > MAX_ENRICH_LIMIT) {
+        throw new Error(`"enrichLimit" must be an integer between 1 and ${MAX_ENRICH_LIMIT}`);
+      }
     }
 
-    if (results[4].status === 'fulfilled') {
-      const validZepto = validateResults(results[4].value);
-      allResults = [...allResults, ...validZepto];
-      sources['Zepto'] = validZepto.length;
+    if (query.cursor) {
+      // A cursor resumes a single platform ("more from Flipkart") without re-running the others
+      const cursor = decodeCursor(query.cursor);
+      const platform = getPlatform(cursor.platform);
+      if (!platform) throw new Error(`Unknown platform in cursor: ${cursor.platform}`);
+
+      product = cursor.product;
+      platforms = [platform];
+      paging = { page: cursor.page, offset: cursor.offset, limit: null, quotas: [cursor.limit] };
+    } else {
+      requestedPlatforms = parsePlatformsParam(query.platforms, platforms);
     }
-    
-    // If no results were found, we'll just return an empty array
-    // This aligns with the user preference to show "No products found" message
-    if (allResults.length === 0) {
-      console.log('No results found');
+
+    filters = parseFilterParams(query);
+  } catch (err) {
+    throw badRequest(err.message);
+  }
+
+  if (!product) throw badRequest('Missing "product" query parameter');
+  // A repeated parameter (product=a&product=b) arrives as an array
+  if (typeof product !== 'string') throw badRequest('"product" must be given once');
+
+  // Price limits and "cheapest" are applied here, so platforms only see the product terms
+  let parsedQuery = parseQuery(product);
+  if (!parsedQuery.searchText) throw badRequest('"product" must name a product: product terms required, not only a price or "cheapest"');
+
+  // Only platforms selling the query's category are searched, unless the request names platforms
+  const classification = classifyQuery(parsedQuery);
+  let skippedPlatforms = [];
+  if (requestedPlatforms) {
+    platforms = requestedPlatforms;
+  } else if (!query.cursor) {
+    ({ selected: platforms, skipped: skippedPlatforms } = routePlatforms(platforms, classification.name));
+  }
+
+  let sort;
+  let order;
+  try {
+    sort = parseSortParam(query.sort, parsedQuery);
+    order = parseOrderParam(query.order, sort);
+    if (!query.cursor) paging = { ...parsePaginationParams(query, platforms.length), offset: 0 };
+  } catch (err) {
+    throw badRequest(err.message);
+  }
+  // A total limit below the number of platforms leaves the last ones unsearched
+  skippedPlatforms = [...skippedPlatforms, ...platforms.filter((platform, index) => paging.quotas[index] === 0)];
+
+  let search = await searchPlatforms(product, parsedQuery, platforms, paging, location);
+
+  // Drop results outside the query's price range or with a different pack size, colour or memory
+  let constrained = applyQueryConstraints(search.results, parsedQuery);
+
+  // Nothing found: retry with the corrected query, then without its size, then without its brand.
+  // Not when no platform answered, since the retries would only fail the same way.
+  const typedProduct = product;
+  const correction = correctQuery(parsedQuery);
+  let relaxedFrom = null;
+  const anyPlatformAnswered = Object.values(search.platformStatus).some(status => status.status === 'ok');
+  if (constrained.results.length === 0 && anyPlatformAnswered && !query.cursor) {
+    console.log('No results found');
+    for (const recovery of getRecoveryQueries(parsedQuery)) {
+      const recoveryQuery = parseQuery(recovery.query);
+      const recoverySearch = await searchPlatforms(recovery.query, recoveryQuery, platforms, paging, location);
+      const recoveryConstrained = applyQueryConstraints(recoverySearch.results, recoveryQuery);
+      if (recoveryConstrained.results.length > 0) {
+        relaxedFrom = { query: product, changes: recovery.changes };
+        product = recovery.query;
+        parsedQuery = recoveryQuery;
+        search = recoverySearch;
+        constrained = recoveryConstrained;
+        break;
+      }
     }
+  }
+  const { sources, platformStatus, pagination } = search;
+  const { results: constrainedResults, removed: filteredOut } = constrained;
 
-    // Remove duplicates and combine results
-    const uniqueAmazon = removeDuplicates(allResults.filter(item => item.platform === 'Amazon'));
-    const uniqueFlipkart = removeDuplicates(allResults.filter(item => item.platform === 'Flipkart'));
-    const uniqueMeesho = removeDuplicates(allResults.filter(item => item.platform === 'Meesho'));
-    const uniqueBlinkit = removeDuplicates(allResults.filter(item => item.platform === 'Blinkit'));
-    const uniqueZepto = removeDuplicates(allResults.filter(item => item.platform === 'Zepto'));
-    
-    // Combine all unique results
-    const combinedResults = [...uniqueAmazon, ...uniqueFlipkart, ...uniqueMeesho, ...uniqueBlinkit, ...uniqueZepto];
-    
-    // Use the imported utility functions
-    
-    // Apply the dynamic brand detection
-    const potentialBrands = detectBrands(product);
-    
-    // Debug log for brand detection
-    console.log('Search query:', product);
-    console.log('Detected potential brands:', potentialBrands);
-    
-    // Extract specific size/volume if mentioned in search query
-    const sizeMatch = extractWeight(product);
-    const searchSize = sizeMatch ? sizeMatch[0].toLowerCase() : null;
-    
-    // Debug log for size detection
-    console.log('Detected size:', searchSize);
-    
-    // Use the imported categorizeResults function
-    const { exactMatches, alternatives } = categorizeResults(combinedResults, potentialBrands, searchSize);
-    
-    // Add timestamp and source information
-    const response = {
-      timestamp: new Date().toISOString(),
-      query: product,
-      sources: sources,
-      count: combinedResults.length,
-      exactMatches: exactMatches,
-      alternatives: alternatives,
-      potentialBrands: potentialBrands,
-      valid: true
-    };
-    
-    res.json(response);
+  // Debug log for query parsing
+  console.log('Search query:', product);
+  console.log('Parsed query:', JSON.stringify(parsedQuery));
+  
+  // Score every result against the query; the score decides exact matches and the order
+  const categorized = categorizeResults(constrainedResults, parsedQuery, { category: classification.name });
+
+  // The request's own filters narrow the scored results before they are ordered
+  const exactMatches = sortResults(applyFilters(categorized.exactMatches, filters), sort, order);
+  const alternatives = sortResults(applyFilters(categorized.alternatives, filters), sort, order);
+  const countAfter = exactMatches.length + alternatives.length;
+
+  // Words of a query that found what it asked for help correct later ones
+  learnFromResults(parsedQuery, exactMatches);
+  
+  // Add timestamp and source information
+  const response = {
+    timestamp: new Date().toISOString(),
+    query: product,
+    // The query in English when Hindi or Hinglish words were rewritten
+    rewrittenQuery: parsedQuery.rewrites.length > 0 ? parsedQuery.normalized : null,
+    parsedQuery: parsedQuery,
+    // "Did you mean" queries, and the query these results were recovered from
+    suggestions: correction && correction.text !== typedProduct ? [correction.text] : [],
+    relaxedFrom: relaxedFrom,
+    sort: sort,
+    order: order,
+    // The filters applied, and how many results there were before and after them
+    filters: {
+      applied: requestedPlatforms && query.platforms !== 'all'
+        ? { platforms: requestedPlatforms.map(platform => platform.id), ...filters }
+        : filters,
+      countBefore: constrainedResults.length,
+      countAfter: countAfter
+    },
+    // The query's category and the platforms that don't sell it
+    category: classification,
+    skippedPlatforms: skippedPlatforms.map(platform => platform.name),
+    location: location,
+    sources: sources,
+    platformStatus: platformStatus,
+    pagination: pagination,
+    count: countAfter,
+    filteredOut: filteredOut,
+    exactMatches: exactMatches,
+    alternatives: alternatives,
+    // The same item across platforms, cheapest offer first
+    products: groupProducts([...exactMatches, ...alternatives]),
+    potentialBrands: parsedQuery.brands,
+    valid: true
+  };
+
+  // Optionally fetch product pages for the top results
+  if (enrich) {
+    response.enrichment = await enrichResults([...exactMatches, ...alternatives], getPlatform, enrichLimit);
+  }
+  
+  return response;
+};
+
+app.get('/search', cacheMiddleware(searchCacheTtl, searchCacheKey), async (req, res) => {
+  try {
+    res.json(await runSearch(req.query));
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
     console.error('Search error:', err);
     res.status(500).json({ error: 'Something went wrong', details: err.message });
   }
 });
 
+// v2 requests are always checked against schemas/v2.json, so every malformed
+// parameter gets the same 400; responses are checked in development, so the
+// schema and the code can't drift apart unnoticed
+const isDevMode = () => process.env.NODE_ENV === 'development';
+
+const validateV2Request = (definition) => (req, res, next) => {
+  const errors = validate(definition, coerceParams(definition, req.query), 'query');
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid request parameters', details: errors });
+  next();
+};
+
+const sendV2 = (res, definition, body) => {
+  if (isDevMode()) {
+    const errors = validate(definition, body, 'response');
+    if (errors.length > 0) {
+      console.error(`Response does not match ${definition}:`, errors);
+      return res.status(500).json({ error: 'Response does not match the API schema', details: errors });
+    }
+  }
+  return res.json(body);
+};
+
+const openApiDocument = buildOpenApiDocument();
+
+app.get('/api/v2/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+app.get('/api/v2/search', validateV2Request('SearchRequest'), cacheMiddleware(searchCacheTtl, searchCacheKey), async (req, res) => {
+  try {
+    sendV2(res, 'SearchResponse', toV2SearchResponse(await runSearch(req.query)));
+  } catch (err) {
+    if (err.status === 400) return sendV2(res.status(400), 'Error', { error: err.message });
+    console.error('Search error:', err);
+    sendV2(res.status(500), 'Error', { error: 'Something went wrong', details: [err.message] });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const scrapers = getScraperHealthSummary(getPlatforms().map(platform => platform.name));
+
   res.json({ 
-    status: 'ok', 
+    status: scrapers.status === 'ok' ? 'ok' : 'degraded', 
     version: '1.0.0', 
     timestamp: new Date().toISOString(),
     cache: {
       keys: cache.keys().length,
       stats: cache.getStats()
-    }
+    },
+    scrapers
   });
 });
 
@@ -567,7 +474,25 @@ app.get('/health', (req, res) => {
 app.get('/admin/cache/clear', (req, res) => {
   const keys = cache.keys();
   cache.flushAll();
-  res.json({ status: 'ok', message: `Cleared ${keys.length} cache entries` });
+  const detailKeys = clearDetailsCache();
+  res.json({ status: 'ok', message: `Cleared ${keys.length} cache entries and ${detailKeys} product detail entries` });
+});
+
+// Rolling scraper statistics (for admin use)
+app.get('/admin/scrapers', (req, res) => {
+  const platforms = getPlatforms().map(platform => platform.name);
+  const stats = getScraperStats(platforms);
+  platforms.forEach(platform => {
+    stats[platform].circuit = getCircuitState(platform);
+  });
+
+  res.json({
+    timestamp: new Date().toISOString(),
+    summary: getScraperHealthSummary(platforms),
+    platforms: stats,
+    proxies: getProxyStats(),
+    politeness: getPolitenessStats()
+  });
 });
 
 // Serve the frontend for the root route
@@ -589,9 +514,15 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not found', message: 'The requested resource was not found' });
 });
 
-app.listen(PORT, () => {
-  console.log(`✅ Server running at http://localhost:${PORT}`);
-  console.log(`📊 API Documentation: http://localhost:${PORT}/api-docs`);
-  console.log(`🔍 Search API: http://localhost:${PORT}/search?product=your+query`);
-  console.log(`💻 Frontend: http://localhost:${PORT}`);
-});
+// Start the server when run directly (tests require the app without listening)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`✅ Server running at http://localhost:${PORT}`);
+    console.log(`📊 API Documentation: http://localhost:${PORT}/api-docs`);
+    console.log(`🔍 Search API: http://localhost:${PORT}/search?product=your+query`);
+    console.log(`📘 OpenAPI: http://localhost:${PORT}/api/v2/openapi.json`);
+    console.log(`💻 Frontend: http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,105 @@
+/**
+ * Runs /api/v2 end to end against recorded fixtures, validating every response
+ */
+
+process.env.SCRAPER_FIXTURES = 'replay';
+process.env.NODE_ENV = 'development';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../server');
+const { validate } = require('../utils/schemaUtils');
+const { assertGolden } = require('./helpers/golden');
+
+const API_KEY = process.env.API_KEY || 'where-to-buy-test-api-key';
+
+describe('GET /api/v2 (replay)', () => {
+  let server;
+  let baseUrl;
+
+  before(() => new Promise(resolve => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  }));
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const search = async (params) => {
+    const query = new URLSearchParams({ api_key: API_KEY, ...params });
+    const response = await fetch(`${baseUrl}/api/v2/search?${query}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('serves the OpenAPI document without an API key', async () => {
+    const response = await fetch(`${baseUrl}/api/v2/openapi.json`);
+    const document = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(document.openapi, '3.1.0');
+    assert.ok(document.paths['/api/v2/search'].get.parameters.some(parameter => parameter.name === 'product'));
+    assert.strictEqual(document.paths['/search'].get.deprecated, true);
+  });
+
+  it('matches the schema and the golden response for "surf excel"', async () => {
+    const { status, body } = await search({ product: 'surf excel' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(validate('SearchResponse', body), []);
+
+    delete body.timestamp;
+    Object.values(body.platforms).forEach(platform => delete platform.durationMs);
+    assertGolden('search/v2-surf-excel', body);
+  });
+
+  it('returns each fact once, without the v1 copies', async () => {
+    const { body } = await search({ product: 'dettol handwash' });
+    const [result] = body.exactMatches;
+
+    ['attributes', 'weightInfo', 'packInfo', 'features', 'unitPriceFormatted', 'relevanceScore', 'matchReasons'].forEach(field => {
+      assert.strictEqual(result[field], undefined, field);
+    });
+    assert.strictEqual(body.sources, undefined);
+    assert.strictEqual(body.potentialBrands, undefined);
+    assert.deepStrictEqual(Object.keys(result.relevance), ['score', 'reasons']);
+    assert.ok(body.platforms.Amazon.pagination);
+  });
+
+  it('echoes the filters applied, within the schema', async () => {
+    const { status, body } = await search({ product: 'dettol handwash', platforms: 'amazon,flipkart', brand: 'dettol', inStock: 'true', sort: 'discount' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(validate('SearchResponse', body), []);
+    assert.deepStrictEqual(Object.keys(body.platforms), ['Amazon', 'Flipkart']);
+    assert.deepStrictEqual(body.filters.applied, { platforms: ['amazon', 'flipkart'], brand: ['Dettol'], inStock: true });
+    assert.strictEqual(body.order, 'desc');
+  });
+
+  it('rejects parameters the schema does not allow', async () => {
+    const { status, body } = await search({ product: 'surf excel', limit: 'ten', colour: 'red' });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.details, ['query.limit must be integer', 'query.colour is not allowed']);
+  });
+
+  it('validates requests outside development too', async () => {
+    process.env.NODE_ENV = 'production';
+    try {
+      const response = await fetch(`${baseUrl}/api/v2/search?api_key=${API_KEY}&product=surf+excel&platforms=amazon&platforms=zepto&inStock=false`);
+      assert.strictEqual(response.status, 400);
+      assert.deepStrictEqual((await response.json()).details, ['query.platforms must be string', 'query.inStock must be true']);
+    } finally {
+      process.env.NODE_ENV = 'development';
+    }
+  });
+
+  it('rejects a request with neither product nor cursor', async () => {
+    const { status, body } = await search({});
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.details, ['query.product is required']);
+  });
+
+  it('requires an API key for searches', async () => {
+    const response = await fetch(`${baseUrl}/api/v2/search?product=surf+excel`);
+    assert.strictEqual(response.status, 401);
+  });
+});
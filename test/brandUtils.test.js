@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  editDistance,
+  findBrands,
+  matchBrand,
+  detectBrands,
+  isBrandMatch,
+  checkBrandMatch,
+  getCategoryBrands
+} = require('../utils/brandUtils');
+
+describe('brandUtils', () => {
+  it('detects no brand in a generic query', () => {
+    assert.deepStrictEqual(detectBrands('liquid hand wash'), []);
+    assert.deepStrictEqual(detectBrands('atta 10 kg'), []);
+  });
+
+  it('resolves aliases, misspellings and Devanagari spellings to one brand', () => {
+    assert.deepStrictEqual(detectBrands('surfexcel matic'), ['Surf Excel']);
+    assert.deepStrictEqual(detectBrands('surf exel front load'), ['Surf Excel']);
+    assert.deepStrictEqual(detectBrands('सर्फ एक्सेल पाउडर'), ['Surf Excel']);
+    assert.deepStrictEqual(detectBrands("L'Oréal Paris shampoo"), ["L'Oreal"]);
+    assert.deepStrictEqual(detectBrands('head and shoulders'), ['Head & Shoulders']);
+    assert.deepStrictEqual(detectBrands('HUL detergent'), ['Hindustan Unilever']);
+  });
+
+  it('catches unlisted misspellings by edit distance, with lower confidence', () => {
+    const [match] = findBrands('sensodine toothpaste');
+    assert.strictEqual(match.name, 'Sensodyne');
+    const [fuzzy] = findBrands('dettal handwash');
+    assert.strictEqual(fuzzy.name, 'Dettol');
+    assert.ok(fuzzy.confidence < 0.9 && fuzzy.confidence >= 0.7);
+    assert.strictEqual(editDistance('lifebouy', 'lifebuoy', 2), 1);
+  });
+
+  it('does not read short words one edit from a brand as that brand', () => {
+    assert.strictEqual(matchBrand('Pearl Millet Bajra Flour 1 kg'), null);
+    assert.strictEqual(matchBrand('Nivia Football Size 5'), null);
+    assert.deepStrictEqual(detectBrands('pearl millet flour'), []);
+  });
+
+  it('matches multi-word brands only as a whole', () => {
+    assert.deepStrictEqual(detectBrands('tata salt 1 kg'), ['Tata Salt']);
+    assert.deepStrictEqual(detectBrands('excel notebook'), []);
+    assert.deepStrictEqual(detectBrands('dabur red paste'), ['Dabur Red']);
+  });
+
+  it('does not match brands inside other words or everyday words mid-title', () => {
+    assert.strictEqual(matchBrand('Deluxe Shower Gel 250 ml'), null);
+    assert.strictEqual(matchBrand('Silicone Back Case for Apple iPhone 15'), null);
+    assert.strictEqual(checkBrandMatch('Deluxe Shower Gel', ['Lux']), false);
+    assert.strictEqual(checkBrandMatch('Lux Soft Touch Soap', ['Lux']), true);
+  });
+
+  it('attributes a listing to its brand with a confidence', () => {
+    assert.deepStrictEqual(matchBrand('Surf Excel Easy Wash Detergent Powder 1 kg'), { name: 'Surf Excel', confidence: 1 });
+    assert.deepStrictEqual(matchBrand('Combo Pack of 3 Dettol Handwash'), { name: 'Dettol', confidence: 0.88 });
+    assert.deepStrictEqual(matchBrand('Anything', { declaredBrand: 'DETTOL' }), { name: 'Dettol', confidence: 1 });
+    assert.deepStrictEqual(matchBrand('Handwash', { declaredBrand: 'Trendy' }), { name: 'Trendy', confidence: 0.8 });
+  });
+
+  it('lets a company stand for the brands it owns', () => {
+    assert.strictEqual(isBrandMatch('Surf Excel', ['Hindustan Unilever']), true);
+    assert.strictEqual(isBrandMatch('Ariel', ['Hindustan Unilever']), false);
+    assert.strictEqual(isBrandMatch(null, ['Dettol']), false);
+  });
+
+  it('keeps a brand list per category', () => {
+    assert.ok(getCategoryBrands('home-care').includes('Surf Excel'));
+    assert.ok(getCategoryBrands('electronics').includes('Samsung'));
+    assert.deepStrictEqual(getCategoryBrands('unknown'), []);
+    assert.deepStrictEqual(findBrands('Samsung 7 kg washing machine', { category: 'grocery' }), []);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { findKeywords, classifyQuery, routePlatforms } = require('../utils/categoryUtils');
+const { parseQuery } = require('../utils/queryUtils');
+const { getPlatforms } = require('../platforms');
+
+const classify = (query) => classifyQuery(parseQuery(query)).name;
+
+describe('categoryUtils', () => {
+  describe('findKeywords', () => {
+    it('prefers the longest phrase and accepts plurals', () => {
+      assert.deepStrictEqual(findKeywords('lg washing machine'), [{ keyword: 'washing machine', category: 'electronics' }]);
+      assert.deepStrictEqual(findKeywords('cotton t shirts'), [{ keyword: 't shirts', category: 'fashion' }]);
+    });
+  });
+
+  describe('classifyQuery', () => {
+    it('classifies queries by their product words', () => {
+      assert.strictEqual(classify('laptop under 50000'), 'electronics');
+      assert.strictEqual(classify('coriander'), 'grocery');
+      assert.strictEqual(classify('white sneakers'), 'fashion');
+      assert.strictEqual(classify('floor cleaner 1 litre'), 'home');
+      // Hindi words are classified by their English name
+      assert.strictEqual(classify('haldi 200g'), 'grocery');
+    });
+
+    it('falls back on the brand and lets product words outweigh it', () => {
+      assert.strictEqual(classify('surf excel'), 'home');
+      assert.strictEqual(classify('samsung 128gb'), 'electronics');
+      assert.deepStrictEqual(classifyQuery(parseQuery('dettol handwash')), {
+        name: 'personal-care',
+        confidence: 0.83,
+        signals: ['keyword: handwash', 'brand: Dettol']
+      });
+    });
+
+    it('leaves unrecognised and evenly split queries unclassified', () => {
+      assert.strictEqual(classify('unrecorded query'), null);
+      // Dettol sells both household and personal care products
+      assert.strictEqual(classify('dettol'), null);
+    });
+
+    it('does not route on a brand that is also an everyday word, or on ambiguous product words', () => {
+      assert.deepStrictEqual(classifyQuery(parseQuery('apple')), { name: null, confidence: 0, signals: ['brand: Apple'] });
+      assert.strictEqual(routePlatforms(getPlatforms(), classify('apple')).selected.length, getPlatforms().length);
+      assert.strictEqual(classify('apple iphone 15'), 'electronics');
+      // A notebook is as often paper as a laptop
+      assert.strictEqual(classify('classmate notebook'), null);
+    });
+  });
+
+  describe('routePlatforms', () => {
+    it('skips platforms that do not sell the category', () => {
+      const { selected, skipped } = routePlatforms(getPlatforms(), 'electronics');
+      assert.deepStrictEqual(selected.map(platform => platform.id), ['amazon', 'flipkart']);
+      assert.ok(skipped.some(platform => platform.id === 'blinkit'));
+
+      const grocery = routePlatforms(getPlatforms(), 'grocery').selected.map(platform => platform.id);
+      assert.ok(!grocery.includes('flipkart') && !grocery.includes('meesho') && !grocery.includes('myntra'));
+    });
+
+    it('searches every platform for an unclassified query', () => {
+      assert.strictEqual(routePlatforms(getPlatforms(), null).selected.length, getPlatforms().length);
+      // An adapter declaring no categories sells everything
+      assert.strictEqual(routePlatforms([{ id: 'shop' }], 'fashion').selected.length, 1);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+process.env.SCRAPER_FIXTURES = 'replay';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { enrichResults } = require('../utils/enrichmentUtils');
+const { CIRCUIT_FAILURE_THRESHOLD, recordFailure, resetCircuits } = require('../utils/resilienceUtils');
+const amazon = require('../platforms/amazon');
+
+describe('enrichmentUtils', () => {
+  beforeEach(() => resetCircuits());
+
+  describe('enrichResults', () => {
+    it('does not fetch search fallback links', async () => {
+      const item = { platform: 'Amazon', link: amazon.normalizeLink('', 'Dettol Liquid Handwash') };
+      const summary = await enrichResults([item], () => amazon);
+
+      assert.strictEqual(item.details, undefined);
+      assert.deepStrictEqual(summary, {
+        requested: 1,
+        enriched: 0,
+        failed: [],
+        skipped: [{ platform: 'Amazon', link: item.link, reason: 'Not a product page' }]
+      });
+    });
+
+    it('does not fetch from a platform whose circuit is open', async () => {
+      for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD; i++) recordFailure('Amazon');
+      const item = { platform: 'Amazon', link: 'https://www.amazon.in/dp/B07Q2YLD7W' };
+      const summary = await enrichResults([item], () => amazon);
+
+      assert.strictEqual(item.details, undefined);
+      assert.deepStrictEqual(summary.failed, []);
+      assert.deepStrictEqual(summary.skipped, [
+        { platform: 'Amazon', link: item.link, reason: 'Circuit open after repeated failures' }
+      ]);
+    });
+  });
+});
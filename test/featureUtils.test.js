@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { extractFacets, extractFeatures } = require('../utils/featureUtils');
+
+describe('featureUtils', () => {
+  describe('extractFacets', () => {
+    it('groups features by facet using the category taxonomy', () => {
+      assert.deepStrictEqual(extractFacets('Britannia NutriChoice Sugar Free Cream Cracker, Organic', 'grocery'), {
+        diet: ['sugar free'],
+        certification: ['organic']
+      });
+      assert.deepStrictEqual(extractFacets('Roadster Men Slim Fit Cotton Striped Casual Shirt', 'fashion'), {
+        fit: ['slim fit'],
+        material: ['cotton'],
+        pattern: ['striped']
+      });
+    });
+
+    it('matches synonyms to one feature', () => {
+      assert.deepStrictEqual(extractFacets('Fortune Kachi Ghani Mustard Oil 1 L', 'grocery'), { process: ['cold pressed'] });
+      assert.deepStrictEqual(extractFacets('Dettol Anti-Bacterial Handwash, Nimbu', 'personal-care'), {
+        benefit: ['antibacterial'],
+        fragrance: ['lemon']
+      });
+    });
+
+    it('matches whole words only', () => {
+      assert.deepStrictEqual(extractFacets('Coolpad Note 5 Lite (Black)', 'personal-care'), {});
+      assert.deepStrictEqual(extractFacets('Lemonade Mix 500 g', 'grocery'), {});
+    });
+
+    it('does not count negated features', () => {
+      assert.deepStrictEqual(extractFacets('Cetaphil Moisturising Lotion, Fragrance Free', 'personal-care'), {
+        benefit: ['moisturising'],
+        fragrance: ['unscented']
+      });
+      assert.deepStrictEqual(extractFacets('Haldiram Aloo Bhujia, no onion no garlic', 'grocery'), { diet: ['jain'] });
+      assert.deepStrictEqual(extractFacets('Plain Cotton Kurta, no polyester', 'fashion'), {
+        pattern: ['solid'],
+        material: ['cotton']
+      });
+    });
+
+    it('uses every taxonomy for an unclassified query', () => {
+      assert.deepStrictEqual(extractFacets('Organic Cotton Slim Fit T-Shirt'), {
+        certification: ['organic'],
+        material: ['cotton'],
+        fit: ['slim fit']
+      });
+    });
+  });
+
+  describe('extractFeatures', () => {
+    it('lists the features of every facet', () => {
+      assert.deepStrictEqual(extractFeatures('Dettol Original Germ Protection Handwash', 'personal-care'), ['original', 'germ protection']);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parsePlatformsParam, parseFilterParams, applyFilters } = require('../utils/filterUtils');
+const { createPricing } = require('../utils/priceUtils');
+const { getPlatforms } = require('../platforms');
+
+describe('filterUtils', () => {
+  describe('parsePlatformsParam', () => {
+    const platforms = getPlatforms();
+
+    it('leaves routing to the category without a parameter', () => {
+      assert.strictEqual(parsePlatformsParam(undefined, platforms), null);
+      assert.strictEqual(parsePlatformsParam('all', platforms), platforms);
+    });
+
+    it('selects platforms by id or name', () => {
+      assert.deepStrictEqual(parsePlatformsParam('blinkit, Zepto,blinkit', platforms).map(platform => platform.id), ['blinkit', 'zepto']);
+      assert.deepStrictEqual(parsePlatformsParam(['amazon', 'zepto'], platforms).map(platform => platform.id), ['amazon', 'zepto']);
+    });
+
+    it('rejects unknown platforms and empty lists', () => {
+      assert.throws(() => parsePlatformsParam('amazon,ebay', platforms), /"platforms" must be "all" or a list of/);
+      assert.throws(() => parsePlatformsParam(' , ', platforms), /"platforms" must be/);
+    });
+  });
+
+  describe('parseFilterParams', () => {
+    it('returns only the filters given', () => {
+      assert.deepStrictEqual(parseFilterParams({}), {});
+      assert.deepStrictEqual(parseFilterParams({ minPrice: '100', maxPrice: '250.5', minRating: '4', inStock: 'true' }), {
+        minPrice: 100,
+        maxPrice: 250.5,
+        minRating: 4,
+        inStock: true
+      });
+    });
+
+    it('resolves brands to their catalogue names', () => {
+      assert.deepStrictEqual(parseFilterParams({ brand: 'surf excel,dettol' }), { brand: ['Surf Excel', 'Dettol'] });
+      assert.deepStrictEqual(parseFilterParams({ brand: 'Acme' }), { brand: ['Acme'] });
+    });
+
+    it('rejects malformed filters', () => {
+      assert.throws(() => parseFilterParams({ minPrice: 'cheap' }), /"minPrice" must be a non-negative number/);
+      assert.throws(() => parseFilterParams({ maxPrice: '-1' }), /"maxPrice" must be a non-negative number/);
+      assert.throws(() => parseFilterParams({ minPrice: '500', maxPrice: '100' }), /"minPrice" must not be more than "maxPrice"/);
+      assert.throws(() => parseFilterParams({ minRating: '6' }), /"minRating" must be a number between 0 and 5/);
+      assert.throws(() => parseFilterParams({ inStock: 'yes' }), /"inStock" must be true/);
+      assert.throws(() => parseFilterParams({ inStock: 'false' }), /"inStock" must be true/);
+      assert.throws(() => parseFilterParams({ brand: ',' }), /"brand" must name at least one brand/);
+    });
+  });
+
+  describe('applyFilters', () => {
+    const results = [
+      { title: 'a', brand: 'Surf Excel', pricing: createPricing(9900), rating: 4.4, availability: 'in_stock' },
+      { title: 'b', brand: 'Tide', pricing: createPricing(24900), rating: '3.9' },
+      { title: 'c', brand: 'Surf Excel', pricing: createPricing(45000), availability: 'out_of_stock' },
+      { title: 'd', brand: 'Ariel', pricing: null, deliverable: false }
+    ];
+    const titles = (filters) => applyFilters(results, filters).map(item => item.title);
+
+    it('keeps everything without filters', () => {
+      assert.deepStrictEqual(titles({}), ['a', 'b', 'c', 'd']);
+    });
+
+    it('filters by selling price, dropping unpriced results', () => {
+      assert.deepStrictEqual(titles({ minPrice: 100 }), ['b', 'c']);
+      assert.deepStrictEqual(titles({ maxPrice: 249 }), ['a', 'b']);
+    });
+
+    it('filters by brand, including a company\'s own brands', () => {
+      assert.deepStrictEqual(titles({ brand: ['Surf Excel'] }), ['a', 'c']);
+      assert.deepStrictEqual(titles({ brand: ['Hindustan Unilever'] }), ['a', 'c']);
+    });
+
+    it('filters by rating, dropping unrated results', () => {
+      assert.deepStrictEqual(titles({ minRating: 4 }), ['a']);
+      assert.deepStrictEqual(titles({ minRating: 3.5 }), ['a', 'b']);
+    });
+
+    it('drops out-of-stock and undeliverable results for inStock', () => {
+      assert.deepStrictEqual(titles({ inStock: true }), ['a', 'b']);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Golden-file assertions for replayed scraper output
+ *
+ * Run with UPDATE_GOLDEN=1 to (re)write the expected JSON after an
+ * intentional change to parsing or categorisation.
+ */
+
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const EXPECTED_DIR = path.join(__dirname, '..', 'fixtures', 'expected');
+
+/**
+ * Compares a value against its stored golden JSON
+ * @param {string} name - Path of the golden file relative to fixtures/expected (without .json)
+ * @param {*} actual - The value produced by the code under test
+ */
+const assertGolden = (name, actual) => {
+  const file = path.join(EXPECTED_DIR, `${name}.json`);
+  // Round-trip through JSON so the comparison sees exactly what the API would send
+  const normalized = JSON.parse(JSON.stringify(actual));
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(normalized, null, 2) + '\n');
+    return;
+  }
+
+  assert.ok(fs.existsSync(file), `Missing golden file ${file} (run with UPDATE_GOLDEN=1 to create it)`);
+  const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(normalized, expected);
+};
+
+module.exports = {
+  assertGolden
+};
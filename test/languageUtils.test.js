@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { transliterate, normalizeQuery, getTermSynonyms, localizeQuery } = require('../utils/languageUtils');
+const { parseQuery } = require('../utils/queryUtils');
+
+describe('languageUtils', () => {
+  describe('transliterate', () => {
+    it('writes Devanagari the way shoppers spell it in Latin script', () => {
+      assert.strictEqual(transliterate('हल्दी'), 'haldi');
+      assert.strictEqual(transliterate('सरसों का तेल'), 'sarson ka tel');
+      assert.strictEqual(transliterate('नमक'), 'namak');
+      assert.strictEqual(transliterate('राजमा'), 'rajma');
+      assert.strictEqual(transliterate('दूध'), 'doodh');
+      assert.strictEqual(transliterate('मंजन'), 'manjan');
+    });
+
+    it('handles nukta letters and Devanagari digits', () => {
+      assert.strictEqual(transliterate('ज़ीरा'), 'zeera');
+      assert.strictEqual(transliterate('५०० ग्राम'), '500 gram');
+    });
+
+    it('leaves Latin text alone', () => {
+      assert.strictEqual(transliterate('Surf Excel 1kg'), 'Surf Excel 1kg');
+    });
+  });
+
+  describe('normalizeQuery', () => {
+    it('maps Hinglish grocery words to catalogue names', () => {
+      assert.deepStrictEqual(normalizeQuery('haldi 200g'), {
+        text: 'turmeric powder 200g',
+        rewrites: [{ from: 'haldi', to: 'turmeric powder', local: 'haldi' }]
+      });
+      assert.strictEqual(normalizeQuery('sabun').text, 'soap');
+      // Catalogues list flour as "atta", so only the spelling is normalised
+      assert.strictEqual(normalizeQuery('aata 5kg').text, 'atta 5kg');
+    });
+
+    it('prefers the longest phrase', () => {
+      assert.strictEqual(normalizeQuery('sarson ka tel').text, 'mustard oil');
+      assert.strictEqual(normalizeQuery('sarson').text, 'mustard seeds');
+    });
+
+    it('rewrites Devanagari brands, terms and units', () => {
+      const { text, rewrites } = normalizeQuery('सर्फ एक्सेल १ किलो');
+      assert.strictEqual(text, 'Surf Excel 1 kg');
+      assert.deepStrictEqual(rewrites.map(rewrite => rewrite.from), ['सर्फ एक्सेल', '१', 'किलो']);
+    });
+
+    it('transliterates unknown Devanagari words as one rewrite per run', () => {
+      const { text, rewrites } = normalizeQuery('मूंग दाल');
+      assert.strictEqual(text, 'moong dal');
+      assert.deepStrictEqual(rewrites[0], { from: 'मूंग', to: 'moong', local: null });
+    });
+
+    it('leaves English queries and brands untouched', () => {
+      assert.deepStrictEqual(normalizeQuery('dettol handwash'), { text: 'dettol handwash', rewrites: [] });
+      assert.strictEqual(normalizeQuery('Tata Sampann haldi').text, 'Tata Sampann turmeric powder');
+    });
+  });
+
+  describe('getTermSynonyms', () => {
+    it('lists the Hinglish names and English synonyms of a term', () => {
+      assert.deepStrictEqual(getTermSynonyms('curd'), ['dahi', 'yogurt', 'yoghurt']);
+      assert.deepStrictEqual(getTermSynonyms('television'), []);
+    });
+  });
+
+  describe('localizeQuery', () => {
+    it('searches Hindi terms untranslated only where the catalogue uses them', () => {
+      const parsed = parseQuery('haldi 500 se kam');
+      assert.strictEqual(parsed.searchText, 'turmeric powder');
+      assert.strictEqual(localizeQuery(parsed, { id: 'amazon' }), 'turmeric powder');
+      assert.strictEqual(localizeQuery(parsed, { id: 'blinkit', hinglishCatalogue: true }), 'haldi');
+    });
+
+    it('keeps terms the shopper typed in English', () => {
+      const parsed = parseQuery('turmeric powder');
+      assert.strictEqual(localizeQuery(parsed, { id: 'blinkit', hinglishCatalogue: true }), 'turmeric powder');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseLocationParams, getLocationHeaders } = require('../utils/locationUtils');
+const blinkit = require('../platforms/blinkit');
+const zepto = require('../platforms/zepto');
+const amazon = require('../platforms/amazon');
+
+describe('locationUtils', () => {
+  it('returns null when no location is given', () => {
+    assert.strictEqual(parseLocationParams({ product: 'milk' }), null);
+  });
+
+  it('resolves a pincode to its district coordinates', () => {
+    assert.deepStrictEqual(parseLocationParams({ pincode: '110017' }), {
+      pincode: '110017', lat: 28.6139, lng: 77.209, city: 'New Delhi', resolved: true, key: '110017'
+    });
+  });
+
+  it('keeps unknown districts but marks them unresolved', () => {
+    const location = parseLocationParams({ pincode: '999999' });
+    assert.strictEqual(location.resolved, false);
+    assert.strictEqual(location.lat, null);
+    assert.deepStrictEqual(getLocationHeaders(blinkit, location), {});
+  });
+
+  it('rounds coordinates so nearby requests share a cache key', () => {
+    const location = parseLocationParams({ lat: '12.971598', lng: '77.594562' });
+    assert.strictEqual(location.key, '12.9716,77.5946');
+  });
+
+  it('rejects malformed pincodes and coordinates', () => {
+    assert.throws(() => parseLocationParams({ pincode: '012345' }), /6-digit/);
+    assert.throws(() => parseLocationParams({ pincode: 'abcdef' }), /6-digit/);
+    assert.throws(() => parseLocationParams({ lat: '12.9' }), /valid coordinates/);
+    assert.throws(() => parseLocationParams({ lat: '95', lng: '77' }), /valid coordinates/);
+  });
+
+  it('builds each quick-commerce platform\'s location cookies and headers', () => {
+    const location = parseLocationParams({ lat: '12.9716', lng: '77.5946' });
+    assert.deepStrictEqual(getLocationHeaders(blinkit, location), {
+      lat: '12.9716',
+      lon: '77.5946',
+      Cookie: 'gr_1_lat=12.9716; gr_1_lon=77.5946'
+    });
+    assert.deepStrictEqual(getLocationHeaders(zepto, location), { Cookie: 'latitude=12.9716; longitude=77.5946' });
+    assert.deepStrictEqual(getLocationHeaders(amazon, location), {});
+  });
+});
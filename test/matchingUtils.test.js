@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createPricing } = require('../utils/priceUtils');
+const { extractModelNumbers, getMatchFeatures, scoreMatch, groupProducts } = require('../utils/matchingUtils');
+
+/**
+ * Builds a minimal result for matching
+ * @param {string} id - Result id
+ * @param {string} platform - Platform name
+ * @param {string} title - Listing title
+ * @param {number} rupees - Selling price
+ * @returns {object} - Search result
+ */
+const listing = (id, platform, title, rupees) => ({
+  id, platform, title, price: `₹${rupees}`, pricing: createPricing(rupees * 100), link: `https://shop.test/${id}`
+});
+
+const score = (a, b) => scoreMatch(getMatchFeatures({ title: a }), getMatchFeatures({ title: b }));
+
+describe('matchingUtils', () => {
+  it('matches the same item listed under different titles', () => {
+    assert.ok(score('Surf Excel Quick Wash Detergent Powder - 500 g', 'Surf Excel Quick Wash Detergent Powder (500 g)') >= 0.9);
+    assert.ok(score('Dettol Cool Germ Protection Liquid Handwash, 3 x 200 ml', 'Dettol Cool Germ Protection Liquid Handwash, 200ml (Pack of 3)') >= 0.9);
+    assert.ok(score('Surf Excel Easy Wash Detergent Powder (1.5 kg)', 'Surf Excel Easy Wash Detergent Powder 1500 g') > 0);
+  });
+
+  it('keeps different sizes, pack sizes, brands and variants apart', () => {
+    assert.strictEqual(score('Dettol Liquid Handwash Refill 750ml', 'Dettol Liquid Handwash Refill 675 ml'), 0);
+    assert.strictEqual(score('Dettol Liquid Handwash Original 200ml', 'Dettol Liquid Handwash Original 200ml Pack of 2'), 0);
+    assert.strictEqual(score('Savlon Liquid Handwash 200 ml', 'Dettol Liquid Handwash 200 ml'), 0);
+    assert.strictEqual(score('Surf Excel Matic Liquid Detergent Front Load 2 L', 'Surf Excel Matic Liquid Detergent Top Load 2 L'), 0);
+    assert.strictEqual(score('Dettol Cool Liquid Handwash 200 ml', 'Dettol Skincare Liquid Handwash 200 ml'), 0);
+  });
+
+  it('uses model numbers to confirm or rule out electronics matches', () => {
+    assert.deepStrictEqual(extractModelNumbers('Samsung Galaxy M14 5G (SM-M146B, 6GB RAM, 128 GB)'), ['M14', 'SMM146B']);
+    assert.deepStrictEqual(extractModelNumbers('Sony Bravia 4K Ultra HD Smart LED TV'), []);
+    assert.ok(score('Sony WH-1000XM5 Wireless Headphones Black', 'Sony WH1000XM5 Noise Cancelling Headphones (Black)') >= 0.9);
+    assert.strictEqual(score('Sony WH-1000XM4 Wireless Headphones Black', 'Sony WH-1000XM5 Wireless Headphones Black'), 0);
+  });
+
+  it('keeps phones of different models apart', () => {
+    assert.strictEqual(score('Apple iPhone 15 (128 GB) - Black', 'Apple iPhone 14 (128 GB) - Black'), 0);
+    assert.strictEqual(score('Samsung Galaxy S23 5G (Phantom Black, 8GB, 128GB)', 'Samsung Galaxy S22 5G (Phantom Black, 8GB, 128GB)'), 0);
+    assert.strictEqual(score('Samsung Galaxy M14 5G (Smoky Teal, 6GB, 128GB)', 'Samsung Galaxy M34 5G (Smoky Teal, 6GB, 128GB)'), 0);
+    assert.ok(score('Samsung Galaxy S23 5G Phantom Black 128GB', 'Samsung Galaxy S23 5G (Phantom Black, 128 GB)') >= 0.9);
+
+    const products = groupProducts([
+      listing('amazon-1', 'Amazon', 'Apple iPhone 15 (128 GB) - Black', 69900),
+      listing('flipkart-1', 'Flipkart', 'Apple iPhone 14 (128 GB) - Black', 58999)
+    ]);
+    assert.strictEqual(products.length, 2);
+  });
+
+  it('groups offers across platforms, cheapest first', () => {
+    const products = groupProducts([
+      listing('amazon-1', 'Amazon', 'Surf Excel Quick Wash Detergent Powder - 500 g', 76),
+      listing('jiomart-1', 'JioMart', 'Surf Excel Quick Wash Detergent Powder 500 g', 74),
+      listing('blinkit-1', 'Blinkit', 'Surf Excel Matic Liquid Detergent Top Load 1 l', 215),
+      listing('zepto-1', 'Zepto', 'Surf Excel Quick Wash Detergent Powder 500 g', 75)
+    ]);
+
+    assert.strictEqual(products.length, 2);
+    const [quickWash, matic] = products;
+    assert.deepStrictEqual(quickWash.offers.map(offer => offer.id), ['jiomart-1', 'zepto-1', 'amazon-1']);
+    assert.deepStrictEqual(quickWash.platforms, ['JioMart', 'Zepto', 'Amazon']);
+    assert.deepStrictEqual(quickWash.bestOffer, { id: 'jiomart-1', platform: 'JioMart', price: '₹74' });
+    assert.strictEqual(quickWash.size, '500 g');
+    assert.ok(quickWash.matchConfidence >= 0.9);
+    assert.match(quickWash.id, /^p-[0-9a-f]{12}$/);
+    assert.strictEqual(matic.offers.length, 1);
+    assert.strictEqual(matic.matchConfidence, 1);
+  });
+
+  it('gives a group the same id whatever order its listings arrive in', () => {
+    const listings = [
+      listing('amazon-1', 'Amazon', 'Surf Excel Bar 250 g Pack of 4', 120),
+      listing('meesho-1', 'Meesho', 'Surf Excel Detergent Bar, 250 g (Pack of 4)', 118)
+    ];
+    assert.strictEqual(groupProducts(listings)[0].id, groupProducts([...listings].reverse())[0].id);
+  });
+});
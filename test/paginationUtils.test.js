@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  DEFAULT_RESULTS_PER_PLATFORM,
+  MAX_TOTAL_RESULTS,
+  splitLimit,
+  parsePaginationParams,
+  encodeCursor,
+  decodeCursor
+} = require('../utils/paginationUtils');
+
+describe('paginationUtils', () => {
+  it('defaults to page 1 and the default depth for every platform', () => {
+    assert.deepStrictEqual(parsePaginationParams({}, 3), {
+      page: 1,
+      limit: null,
+      quotas: [DEFAULT_RESULTS_PER_PLATFORM, DEFAULT_RESULTS_PER_PLATFORM, DEFAULT_RESULTS_PER_PLATFORM]
+    });
+  });
+
+  it('splits a total limit into quotas that add up to it', () => {
+    assert.deepStrictEqual(splitLimit(12, 5), [3, 3, 2, 2, 2]);
+    assert.deepStrictEqual(splitLimit(2, 7), [1, 1, 0, 0, 0, 0, 0]);
+    assert.deepStrictEqual(parsePaginationParams({ limit: '12', page: '2' }, 5).quotas, [3, 3, 2, 2, 2]);
+  });
+
+  it('rejects limit combined with perPlatformLimit', () => {
+    assert.throws(() => parsePaginationParams({ limit: '12', perPlatformLimit: '10' }, 2), /can't be combined/);
+  });
+
+  it('rejects out-of-range values', () => {
+    assert.throws(() => parsePaginationParams({ limit: String(MAX_TOTAL_RESULTS + 1) }, 5), /"limit" must be an integer/);
+    assert.throws(() => parsePaginationParams({ page: '0' }, 5), /"page"/);
+    assert.throws(() => parsePaginationParams({ perPlatformLimit: 'ten' }, 5), /"perPlatformLimit"/);
+  });
+
+  it('round-trips cursors and rejects tampered ones', () => {
+    const cursor = { platform: 'flipkart', product: 'surf excel', page: 2, offset: 3, limit: 5 };
+    const token = encodeCursor(cursor);
+
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+    assert.deepStrictEqual(decodeCursor(token), cursor);
+    assert.throws(() => decodeCursor('not-a-cursor'), /Invalid "cursor"/);
+  });
+});
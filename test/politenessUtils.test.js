@@ -0,0 +1,140 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const {
+  parseRobots,
+  isPathAllowed,
+  getHostLimits,
+  scheduleForHost,
+  getPolitenessStats,
+  clearRobotsCache
+} = require('../utils/politenessUtils');
+const { scrapePlatform } = require('../utils/scraperUtils');
+
+const ROBOTS = `
+# Shop robots
+User-agent: *
+Disallow: /search
+Allow: /search/help
+Disallow: /*.json$
+Disallow: /cart*checkout
+Crawl-delay: 2
+
+User-agent: WhereToBuyBot
+User-agent: OtherBot
+Disallow: /private
+`;
+
+describe('politenessUtils', () => {
+  describe('robots.txt rules', () => {
+    const groups = parseRobots(ROBOTS);
+
+    it('applies the longest matching rule for the "*" group', () => {
+      assert.deepStrictEqual(isPathAllowed(groups, '/search?q=milk', 'somebot'), { allowed: false, rule: 'Disallow: /search' });
+      assert.deepStrictEqual(isPathAllowed(groups, '/search/help', 'somebot'), { allowed: true, rule: 'Allow: /search/help' });
+      assert.deepStrictEqual(isPathAllowed(groups, '/p/123', 'somebot'), { allowed: true, rule: null });
+    });
+
+    it('supports * wildcards and $ anchors', () => {
+      assert.strictEqual(isPathAllowed(groups, '/api/items.json', 'somebot').allowed, false);
+      assert.strictEqual(isPathAllowed(groups, '/api/items.json?page=2', 'somebot').allowed, true);
+      assert.strictEqual(isPathAllowed(groups, '/cart/step/checkout', 'somebot').allowed, false);
+    });
+
+    it('uses our own group instead of "*" when one names us', () => {
+      assert.strictEqual(isPathAllowed(groups, '/search?q=milk', 'wheretobuybot').allowed, true);
+      assert.strictEqual(isPathAllowed(groups, '/private/x', 'wheretobuybot').allowed, false);
+    });
+
+    it('raises the host delay to the Crawl-delay', () => {
+      assert.strictEqual(getHostLimits({ groups: parseRobots('User-agent: *\nCrawl-delay: 5') }).minDelayMs, 5000);
+    });
+  });
+
+  describe('host queue', () => {
+    it('spaces requests to a host and caps how many run at once', async () => {
+      const started = [];
+      let running = 0;
+      let maxRunning = 0;
+      const task = () => new Promise(resolve => {
+        started.push(Date.now());
+        maxRunning = Math.max(maxRunning, ++running);
+        setTimeout(() => {
+          running--;
+          resolve();
+        }, 60);
+      });
+
+      const limits = { minDelayMs: 20, maxConcurrency: 2 };
+      await Promise.all([1, 2, 3, 4].map(() => scheduleForHost('queue.test', task, limits)));
+
+      assert.strictEqual(maxRunning, 2);
+      for (let i = 1; i < started.length; i++) {
+        assert.ok(started[i] - started[i - 1] >= 19, `request ${i} started ${started[i] - started[i - 1]}ms after the previous one`);
+      }
+      assert.deepStrictEqual(getPolitenessStats().hosts['queue.test'], { active: 0, queued: 0 });
+    });
+  });
+
+  describe('scraping a platform', () => {
+    let server;
+    let baseUrl;
+    let robotsStatus = 200;
+    const requested = [];
+
+    before(() => new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        requested.push(req.url);
+        if (req.url === '/robots.txt') {
+          res.writeHead(robotsStatus, { 'Content-Type': 'text/plain' });
+          return res.end(robotsStatus === 200 ? 'User-agent: *\nDisallow: /search\n' : '');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html><body></body></html>');
+      }).listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    }));
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+      requested.length = 0;
+      clearRobotsCache();
+    });
+
+    const shop = () => ({
+      id: 'politeshop',
+      name: 'PoliteShop',
+      buildSearchUrl: (query) => `${baseUrl}/search?q=${encodeURIComponent(query)}`,
+      normalizeLink: href => href,
+      selectors: { card: '.card', title: ['.title'], price: ['.price'], link: ['a'] }
+    });
+
+    it('refuses a path robots.txt disallows and says why', async () => {
+      const outcome = await scrapePlatform(shop(), 'milk');
+      assert.strictEqual(outcome.status, 'disallowed');
+      assert.strictEqual(outcome.error, 'Disallowed by robots.txt (Disallow: /search)');
+      assert.deepStrictEqual(requested, ['/robots.txt']);
+    });
+
+    it('refuses to crawl while robots.txt is unavailable', async () => {
+      robotsStatus = 503;
+      const outcome = await scrapePlatform(shop(), 'milk');
+      robotsStatus = 200;
+      assert.strictEqual(outcome.status, 'disallowed');
+      assert.match(outcome.error, /robots\.txt could not be read \(robots\.txt returned 503\)/);
+      assert.strictEqual(getPolitenessStats().robots[baseUrl].status, 'unavailable');
+    });
+
+    it('crawls everything when there is no robots.txt', async () => {
+      robotsStatus = 404;
+      const outcome = await scrapePlatform(shop(), 'milk');
+      robotsStatus = 200;
+      assert.strictEqual(outcome.status, 'ok');
+      assert.deepStrictEqual(requested, ['/robots.txt', '/search?q=milk']);
+    });
+  });
+});
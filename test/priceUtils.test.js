@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parsePriceText,
+  createPricing,
+  pricingFromText,
+  extractNumericPrice,
+  categorizeByPrice
+} = require('../utils/priceUtils');
+const { calculateWeightAndPrice } = require('../utils/attributeUtils');
+const { parseQuantity } = require('../utils/quantityUtils');
+
+describe('priceUtils', () => {
+  it('parses rupee amounts into paise', () => {
+    assert.deepStrictEqual(parsePriceText('₹1,299'), { paise: 129900, confidence: 'high' });
+    assert.deepStrictEqual(parsePriceText('Rs. 450.50'), { paise: 45050, confidence: 'high' });
+    assert.deepStrictEqual(parsePriceText('INR 89'), { paise: 8900, confidence: 'high' });
+  });
+
+  it('skips EMI, per-month and savings figures', () => {
+    assert.deepStrictEqual(parsePriceText('No Cost EMI from ₹1,083/month ₹12,999'), { paise: 1299900, confidence: 'high' });
+    assert.deepStrictEqual(parsePriceText('Save ₹50 ₹120'), { paise: 12000, confidence: 'high' });
+    assert.strictEqual(parsePriceText('₹417/mo'), null);
+  });
+
+  it('lowers confidence when the text is ambiguous', () => {
+    // Selling price and MRP run together in one node
+    assert.deepStrictEqual(parsePriceText('₹99₹125'), { paise: 9900, confidence: 'medium' });
+    assert.deepStrictEqual(parsePriceText('185'), { paise: 18500, confidence: 'medium' });
+    assert.deepStrictEqual(parsePriceText('₹199 - ₹299'), { paise: 19900, confidence: 'low' });
+  });
+
+  it('returns null instead of a sentinel when there is no price', () => {
+    assert.strictEqual(parsePriceText('Currently unavailable'), null);
+    assert.strictEqual(parsePriceText(''), null);
+    assert.strictEqual(extractNumericPrice('Out of stock'), null);
+    assert.strictEqual(extractNumericPrice('₹1,299.00'), 1299);
+  });
+
+  it('computes the discount from the MRP', () => {
+    assert.deepStrictEqual(pricingFromText('₹189', '₹299'), {
+      pricePaise: 18900, mrpPaise: 29900, currency: 'INR', discountPercent: 37, confidence: 'high'
+    });
+    assert.strictEqual(createPricing(9900, 9900).mrpPaise, null);
+    assert.strictEqual(createPricing(null, 9900), null);
+  });
+
+  it('distrusts an MRP below the selling price', () => {
+    const pricing = pricingFromText('₹299', '₹189');
+    assert.strictEqual(pricing.mrpPaise, null);
+    assert.strictEqual(pricing.confidence, 'low');
+  });
+
+  it('ranks by unit price, then selling price, with unpriced results last', () => {
+    const ranks = categorizeByPrice([
+      { id: 'a', pricing: null },
+      { id: 'b', pricing: createPricing(25000) },
+      { id: 'c', pricing: createPricing(9900) }
+    ]);
+    assert.deepStrictEqual(ranks, { c: 'cheapest', b: 'medium', a: 'expensive' });
+  });
+
+  it('only compares unit prices quoted on the same basis', () => {
+    const ranks = categorizeByPrice([
+      { id: 'tablets', pricing: createPricing(3000), unitPrice: 2, unitPriceBasis: 'tablet' },
+      { id: 'syrup', pricing: createPricing(9000), unitPrice: 90, unitPriceBasis: '100ml' }
+    ]);
+    assert.deepStrictEqual(ranks, { tablets: 'cheapest', syrup: 'expensive' });
+  });
+
+  it('computes unit prices from paise without float noise', () => {
+    const { unitPrice, unitPriceFormatted } = calculateWeightAndPrice(parseQuantity('Surf Excel Easy Wash 1.5 kg'), createPricing(19800));
+    assert.strictEqual(unitPrice, 13.2);
+    assert.strictEqual(unitPriceFormatted, '₹13.20/100g');
+    assert.strictEqual(calculateWeightAndPrice(parseQuantity('Atta 5 kg'), null).unitPrice, 0);
+  });
+});
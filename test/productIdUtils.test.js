@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { buildProductId } = require('../utils/productIdUtils');
+const amazon = require('../platforms/amazon');
+const flipkart = require('../platforms/flipkart');
+const meesho = require('../platforms/meesho');
+const myntra = require('../platforms/myntra');
+
+describe('productIdUtils', () => {
+  it('uses the ASIN for Amazon, including sponsored links', () => {
+    assert.strictEqual(buildProductId(amazon, { title: 'Dettol', link: 'https://www.amazon.in/dp/B07Q2YLD7W' }), 'amazon-B07Q2YLD7W');
+    const sponsored = 'https://www.amazon.in/sspa/click?ie=UTF8&spc=MToxMjM&url=%2FLifebuoy-Total-Germ-Protection-Handwash%2Fdp%2FB09XJ5K2QH';
+    assert.strictEqual(buildProductId(amazon, { title: 'Lifebuoy', link: sponsored }), 'amazon-B09XJ5K2QH');
+  });
+
+  it('prefers the Flipkart pid over the item id', () => {
+    const link = 'https://www.flipkart.com/dettol-skincare-handwash-pack-3/p/itm7d2e8f1a4b6c0?pid=HWHG3KZ8NNDYH7KA&lid=LSTHWH';
+    assert.strictEqual(buildProductId(flipkart, { title: 'Dettol', link }), 'flipkart-HWHG3KZ8NNDYH7KA');
+    assert.strictEqual(buildProductId(flipkart, { title: 'Dettol', link: 'https://www.flipkart.com/x/p/itm7d2e8f1a4b6c0' }), 'flipkart-itm7d2e8f1a4b6c0');
+  });
+
+  it('reads path ids for other platforms', () => {
+    assert.strictEqual(buildProductId(meesho, { title: 'Surf', link: 'https://www.meesho.com/surf-excel-bar-250-g-pack-of-4/p/8h3m0q' }), 'meesho-8h3m0q');
+    assert.strictEqual(
+      buildProductId(myntra, { title: 'Shoes', link: 'https://www.myntra.com/casual-shoes/nike/nike-unisex-white-court-vision-low-sneakers/24881392/buy' }),
+      'myntra-24881392'
+    );
+  });
+
+  it('falls back to a hash that ignores price and tracking parameters', () => {
+    const item = { title: 'Trendy Liquid Hand Wash  Combo', link: 'https://www.meesho.com/trendy/combo?utm=a', price: '₹149' };
+    const id = buildProductId(meesho, item);
+    assert.match(id, /^meesho-h-[0-9a-f]{12}$/);
+    assert.strictEqual(buildProductId(meesho, { ...item, title: 'trendy liquid hand wash combo', link: 'https://www.meesho.com/trendy/combo?utm=b', price: '₹139' }), id);
+    assert.notStrictEqual(buildProductId(meesho, { ...item, title: 'Another combo' }), id);
+  });
+});
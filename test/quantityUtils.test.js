@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseQuantity, calculateUnitPrice, formatAmount } = require('../utils/quantityUtils');
+const { createPricing } = require('../utils/priceUtils');
+
+// [title, dimension, perItem, packCount, total]
+const QUANTITIES = [
+  ['Amul Butter 500g', 'mass', 500, 1, 500],
+  ['Aashirvaad Shudh Chakki Atta 10 Kg', 'mass', 10000, 1, 10000],
+  ['Tata Salt Vacuum Evaporated Iodised 1,000 g', 'mass', 1000, 1, 1000],
+  ['Kurkure Masala Munch 90gm', 'mass', 90, 1, 90],
+  ['Vim Dishwash Bar 3x200g', 'mass', 200, 3, 600],
+  ['Surf Excel Bar 250 g 4 pcs', 'mass', 250, 4, 1000],
+  ['Optimum Nutrition Gold Standard Whey 5 lb', 'mass', 2267.96, 1, 2267.96],
+  ['Fortune Sunlite Refined Sunflower Oil 1 Ltr', 'volume', 1000, 1, 1000],
+  ['Surf Excel Matic Liquid Detergent 3 x 500 ml', 'volume', 500, 3, 1500],
+  ['Real Fruit Power Mixed Fruit Juice 200 ml x 6', 'volume', 200, 6, 1200],
+  ['Dettol Original Liquid Handwash 200ml (Pack of 3)', 'volume', 200, 3, 600],
+  ['Bisleri Mineral Water 1 L x 12', 'volume', 1000, 12, 12000],
+  ['Vim Bar 3 x 200 g, Pack of 2', 'mass', 200, 6, 1200],
+  ['Real Fruit Power Mixed Fruit Juice 200 ml x 6 (Pack of 2)', 'volume', 200, 12, 2400],
+  ['Dettol Original Liquid Handwash Pack of 3 x 200 ml', 'volume', 200, 3, 600],
+  ['Tata Tea Gold 150g + 150g', 'mass', 150, 2, 300],
+  ['Bru Instant Coffee 100g + 100g (Pack of 2)', 'mass', 100, 4, 400],
+  ['Horlicks Health Drink 500 g + 50 g Free', 'mass', 550, 1, 550],
+  ['Fortune Sunlite Refined Sunflower Oil 1 L + 200 ml Free', 'volume', 1200, 1, 1200],
+  ['Lifebuoy Total 10 Germ Protection Handwash 750ml', 'volume', 750, 1, 750],
+  ["Johnson's Baby Oil 6.8 fl oz", 'volume', 201.0998, 1, 201.0998],
+  ['Dolo 650 Tablet 15 Tablets', 'count', 15, 1, 15],
+  ['Himalaya Liv.52 DS 60 Tablets (Pack of 2)', 'count', 60, 2, 120],
+  ['Origami So Soft 2 Ply Toilet Roll 4 Rolls', 'count', 4, 1, 4],
+  ['Classmate Single Line Notebook 172 Pages 100 Sheets', 'count', 100, 1, 100],
+  ['Pampers All Round Protection Pants Medium 76 Count', 'count', 76, 1, 76],
+  ['Farm Fresh White Eggs 30 pcs', 'count', 30, 1, 30],
+  ['Scotch-Brite Scrub Pad, Pack of 6 pcs', 'count', 6, 1, 6],
+  ['Glass Tumbler Set of 6 Pcs', 'count', 6, 1, 6],
+  ['Cello Pens Pack of 10 Pieces', 'count', 10, 1, 10],
+  ['Parle-G Pack 24 pcs', 'count', 24, 1, 24],
+  ['Origami Toilet Roll Pack of 6 Rolls', 'count', 6, 1, 6],
+  ['boAt Type C A750 Stress Resistant Cable 1.5 m', 'length', 1.5, 1, 1.5],
+  ['Havells Lifeline 1.5 sq mm Wire 90 m', 'length', 90, 1, 90],
+  ['LG 1.5 Ton 5 Star AI DUAL Inverter Split AC', 'capacity', 1.5, 1, 1.5]
+];
+
+describe('quantityUtils', () => {
+  describe('parseQuantity', () => {
+    QUANTITIES.forEach(([title, dimension, perItem, packCount, total]) => {
+      it(`reads "${title}"`, () => {
+        const quantity = parseQuantity(title);
+        assert.ok(quantity, 'expected a quantity');
+        assert.deepStrictEqual(
+          { dimension: quantity.dimension, perItem: quantity.perItem, packCount: quantity.packCount, total: quantity.total },
+          { dimension, perItem, packCount, total }
+        );
+      });
+    });
+
+    it('ignores numbers that are not quantities', () => {
+      assert.strictEqual(parseQuantity('Samsung Galaxy M14 5G (Smoky Teal, 6GB RAM, 128GB Storage)'), null);
+      assert.strictEqual(parseQuantity('Bombay Dyeing Cotton Double Bedsheet 228 cm x 254 cm'), null);
+      assert.strictEqual(parseQuantity('Crocin Advance 500 mg Tablet'), null);
+      assert.strictEqual(parseQuantity(''), null);
+    });
+  });
+
+  describe('calculateUnitPrice', () => {
+    it('quotes the basis shoppers compare on', () => {
+      const cases = [
+        ['Surf Excel Matic Liquid Detergent 3 x 500 ml', 29700, '₹19.80/100ml'],
+        ['Vim Bar 3 x 200 g, Pack of 2', 24000, '₹20.00/100g'],
+        ['Horlicks Health Drink 500 g + 50 g Free', 27500, '₹50.00/100g'],
+        ['Aashirvaad Shudh Chakki Atta 10 Kg', 45500, '₹4.55/100g'],
+        ['Himalaya Liv.52 DS 60 Tablets (Pack of 2)', 36000, '₹3.00/tablet'],
+        ['Origami So Soft 2 Ply Toilet Roll 4 Rolls', 19600, '₹49.00/roll'],
+        ['boAt Type C A750 Stress Resistant Cable 1.5 m', 29900, '₹199.33/m'],
+        ['LG 1.5 Ton 5 Star AI DUAL Inverter Split AC', 3799000, '₹25326.67/ton'],
+        ['Farm Fresh White Eggs 30 pcs', 21000, '₹7.00/piece']
+      ];
+      cases.forEach(([title, pricePaise, expected]) => {
+        assert.strictEqual(calculateUnitPrice(parseQuantity(title), createPricing(pricePaise)).unitPriceFormatted, expected, title);
+      });
+    });
+
+    it('returns no unit price without a quantity or a price', () => {
+      const none = { unitPrice: 0, unitPriceBasis: null, unitPriceFormatted: null };
+      assert.deepStrictEqual(calculateUnitPrice(null, createPricing(9900)), none);
+      assert.deepStrictEqual(calculateUnitPrice(parseQuantity('Amul Butter 500g'), null), none);
+    });
+  });
+
+  it('formats the per-item amount', () => {
+    assert.strictEqual(formatAmount(parseQuantity('Surf Excel Easy Wash 1.5 kg')), '1.5 kg');
+    assert.strictEqual(formatAmount(parseQuantity('Real Fruit Power Juice 200 ml x 6')), '200 ml');
+    assert.strictEqual(formatAmount(parseQuantity('Himalaya Liv.52 DS 60 Tablets')), '60 tablets');
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createPricing } = require('../utils/priceUtils');
+const { parseQuery, extractMemory, extractColours, applyQueryConstraints } = require('../utils/queryUtils');
+
+/**
+ * Builds a minimal result for constraint checks
+ * @param {string} title - Listing title
+ * @param {number} rupees - Selling price
+ * @returns {object} - Search result
+ */
+const listing = (title, rupees) => ({ title, pricing: createPricing(rupees * 100) });
+
+describe('queryUtils', () => {
+  describe('parseQuery', () => {
+    it('keeps price constraints out of the platform query', () => {
+      const parsed = parseQuery('samsung phone under 15000');
+      assert.strictEqual(parsed.searchText, 'samsung phone');
+      assert.deepStrictEqual(parsed.terms, ['phone']);
+      assert.deepStrictEqual(parsed.brands, ['Samsung']);
+      assert.deepStrictEqual(parsed.price, { minPaise: null, maxPaise: 1500000 });
+    });
+
+    it('leaves nothing to search for a query of constraints only', () => {
+      assert.strictEqual(parseQuery('under 500').searchText, '');
+      assert.strictEqual(parseQuery('cheapest').searchText, '');
+      assert.strictEqual(parseQuery('sabse sasta').searchText, '');
+    });
+
+    it('reads price ranges written in rupees, thousands and lakhs', () => {
+      assert.deepStrictEqual(parseQuery('headphones between 1k and 2k').price, { minPaise: 100000, maxPaise: 200000 });
+      assert.deepStrictEqual(parseQuery('shoes above rs 2,000').price, { minPaise: 200000, maxPaise: null });
+      assert.deepStrictEqual(parseQuery('laptop under 1 lakh').price, { minPaise: null, maxPaise: 10000000 });
+      assert.deepStrictEqual(parseQuery('kurta under ₹799').price, { minPaise: null, maxPaise: 79900 });
+    });
+
+    it('reads Hindi and Hinglish queries', () => {
+      const parsed = parseQuery('सबसे सस्ता साबुन 500 से कम');
+      assert.strictEqual(parsed.normalized, 'sabse sasta soap 500 se kam');
+      assert.strictEqual(parsed.searchText, 'soap');
+      assert.strictEqual(parsed.sort, 'price');
+      assert.deepStrictEqual(parsed.price, { minPaise: null, maxPaise: 50000 });
+      assert.deepStrictEqual(parseQuery('ghee 1000 se upar').price, { minPaise: 100000, maxPaise: null });
+      assert.deepStrictEqual(parseQuery('sarson ka tel 1 litre').terms, ['mustard', 'oil']);
+    });
+
+    it('does not read sizes as prices', () => {
+      const parsed = parseQuery('liquid hand wash under 500 ml');
+      assert.strictEqual(parsed.price, null);
+      assert.strictEqual(parsed.size.amount, 500);
+      assert.deepStrictEqual(parsed.terms, ['liquid', 'hand', 'wash']);
+    });
+
+    it('reads size and pack size, sending only the size to the platforms', () => {
+      const parsed = parseQuery('dettol handwash 200 ml pack of 3');
+      assert.strictEqual(parsed.searchText, 'dettol handwash 200 ml');
+      assert.deepStrictEqual(parsed.size, { text: '200 ml', dimension: 'volume', amount: 200, unit: 'ml' });
+      assert.strictEqual(parsed.packSize, 3);
+      assert.strictEqual(parseQuery('coke 6 x 300 ml').packSize, 6);
+    });
+
+    it('reads colour, RAM and storage', () => {
+      const phone = parseQuery('redmi note 13 8/256 black');
+      assert.strictEqual(phone.ramGb, 8);
+      assert.strictEqual(phone.storageGb, 256);
+      assert.strictEqual(phone.colour, 'black');
+      assert.strictEqual(parseQuery('iphone 15 128gb').storageGb, 128);
+      assert.strictEqual(parseQuery('green tea 100 bags').colour, null);
+    });
+
+    it('turns "cheapest" into a price sort', () => {
+      const parsed = parseQuery('cheapest atta 10 kg');
+      assert.strictEqual(parsed.sort, 'price');
+      assert.strictEqual(parsed.searchText, 'atta 10 kg');
+    });
+  });
+
+  it('reads RAM and storage from listing titles', () => {
+    assert.deepStrictEqual(extractMemory('Samsung Galaxy M14 5G (Smoky Teal, 6GB RAM, 128GB Storage)').storageGb, 128);
+    assert.deepStrictEqual(extractMemory('OnePlus Nord CE4 (8GB+128GB)').ramGb, 8);
+    assert.deepStrictEqual(extractMemory('HP Laptop 16GB, 1TB SSD').ramGb, 16);
+    assert.deepStrictEqual(extractColours('Apple iPhone 15 (128 GB) - Black'), ['black']);
+  });
+
+  it('drops results that break a constraint and keeps those that do not state it', () => {
+    const results = [
+      listing('Samsung Galaxy M14 5G (Blue, 6GB RAM, 128GB Storage)', 12999),
+      listing('Samsung Galaxy M34 5G (Black, 8GB RAM, 128GB Storage)', 16999),
+      listing('Samsung Galaxy M14 5G (Silver, 4GB RAM, 64GB Storage)', 10999),
+      listing('Samsung Galaxy M14 5G', 11999)
+    ];
+    const { results: kept, removed } = applyQueryConstraints(results, parseQuery('samsung phone 128gb under 15000'));
+    assert.deepStrictEqual(kept.map(item => item.title), [results[0].title, results[3].title]);
+    assert.strictEqual(removed, 2);
+  });
+});
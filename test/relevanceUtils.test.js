@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createPricing } = require('../utils/priceUtils');
+const { parseQuantity, calculateUnitPrice } = require('../utils/quantityUtils');
+const { parseQuery } = require('../utils/queryUtils');
+const { EXACT_MATCH_THRESHOLD, scoreResults, sortResults, parseSortParam, parseOrderParam } = require('../utils/relevanceUtils');
+
+/**
+ * Builds a result with the fields categorizeResults would have set
+ * @param {string} title - Listing title
+ * @param {string|null} brand - Recognised brand
+ * @param {number} rupees - Selling price
+ * @returns {object} - Search result
+ */
+const listing = (title, brand, rupees) => {
+  const pricing = createPricing(rupees * 100);
+  const quantity = parseQuantity(title);
+  return { title, brand, pricing, quantity, ...calculateUnitPrice(quantity, pricing) };
+};
+
+describe('relevanceUtils', () => {
+  describe('scoreResults', () => {
+    it('scores a matching listing as an exact match', () => {
+      const [item] = scoreResults([listing('Dettol Original Liquid Handwash 200 ml', 'Dettol', 99)], parseQuery('dettol handwash 200ml'));
+      assert.ok(item.relevanceScore >= EXACT_MATCH_THRESHOLD);
+      assert.deepStrictEqual(item.matchReasons, ['brand match', 'all query terms', 'size match']);
+    });
+
+    it('drops another brand below the threshold and says why', () => {
+      const [item] = scoreResults([listing('Lifebuoy Total 10 Handwash 200 ml', 'Lifebuoy', 99)], parseQuery('dettol handwash'));
+      assert.ok(item.relevanceScore < EXACT_MATCH_THRESHOLD);
+      assert.ok(item.matchReasons.includes('brand differs: Lifebuoy'));
+    });
+
+    it('names both sizes when they differ', () => {
+      const [item] = scoreResults([listing('Surf Excel Easy Wash 500 g', 'Surf Excel', 60)], parseQuery('surf excel 1kg'));
+      assert.ok(item.relevanceScore < EXACT_MATCH_THRESHOLD);
+      assert.ok(item.matchReasons.includes('size differs: 500 g vs 1 kg'), item.matchReasons.join('; '));
+    });
+
+    it('treats equal sizes in different units as the same size', () => {
+      const [item] = scoreResults([listing('Surf Excel Easy Wash 1000 g', 'Surf Excel', 120)], parseQuery('surf excel 1kg'));
+      assert.ok(item.matchReasons.includes('size match'));
+    });
+
+    it('makes another electronics variant an alternative and says which attribute differs', () => {
+      const query = parseQuery('iphone 15 128gb');
+      const [same, plus, older] = scoreResults([
+        listing('Apple iPhone 15 (Black, 128 GB)', 'Apple', 69900),
+        listing('Apple iPhone 15 Plus (Blue, 128 GB)', 'Apple', 79900),
+        listing('Apple iPhone 14 (Midnight, 128 GB)', 'Apple', 59900)
+      ], query);
+      assert.ok(same.relevanceScore >= EXACT_MATCH_THRESHOLD);
+      assert.ok(same.matchReasons.includes('variant match: storage, model'), same.matchReasons.join('; '));
+      assert.ok(plus.relevanceScore < EXACT_MATCH_THRESHOLD);
+      assert.ok(plus.matchReasons.includes('model differs: iphone 15 plus vs iphone 15'), plus.matchReasons.join('; '));
+      assert.ok(older.relevanceScore < EXACT_MATCH_THRESHOLD);
+      assert.ok(older.matchReasons.includes('model differs: iphone 14 vs iphone 15'));
+    });
+
+    it('lists query terms missing from the title', () => {
+      const [item] = scoreResults([listing('Dettol Bathing Soap 125 g', 'Dettol', 40)], parseQuery('dettol handwash'));
+      assert.ok(item.matchReasons.includes('missing: handwash'));
+    });
+
+    it('accepts the Hindi name of a term rewritten from Hindi', () => {
+      const [item] = scoreResults([listing('Tata Sampann Haldi Powder 200 g', 'Tata Sampann', 60)], parseQuery('haldi'));
+      assert.ok(item.matchReasons.includes('all query terms'), item.matchReasons.join('; '));
+    });
+
+    it('flags prices far from the rest', () => {
+      const results = [
+        listing('Dettol Handwash 200 ml', 'Dettol', 99),
+        listing('Dettol Handwash 200 ml', 'Dettol', 105),
+        listing('Dettol Handwash 200 ml', 'Dettol', 110),
+        listing('Dettol Handwash Stand', 'Dettol', 9)
+      ];
+      scoreResults(results, parseQuery('dettol handwash'));
+      assert.ok(results[3].matchReasons.includes('price unusually low'));
+      assert.ok(results[3].relevanceScore < results[0].relevanceScore);
+    });
+  });
+
+  describe('sortResults', () => {
+    const results = [
+      { title: 'a', relevanceScore: 0.7, pricing: createPricing(30000, 40000), unitPrice: 3, unitPriceBasis: 'per 100 ml' },
+      { title: 'b', relevanceScore: 1, pricing: createPricing(20000), unitPrice: 4, unitPriceBasis: 'per 100 ml' },
+      { title: 'c', relevanceScore: 1, pricing: createPricing(10000, 20000), unitPrice: 1, unitPriceBasis: 'per 100 g' },
+      { title: 'd', relevanceScore: 0.9, pricing: createPricing(5000) }
+    ];
+
+    it('orders by relevance, keeping platform order for ties', () => {
+      assert.deepStrictEqual(sortResults(results).map(item => item.title), ['b', 'c', 'd', 'a']);
+    });
+
+    it('orders by price', () => {
+      assert.deepStrictEqual(sortResults(results, 'price').map(item => item.title), ['d', 'c', 'b', 'a']);
+    });
+
+    it('orders by unit price within the most common basis first', () => {
+      assert.deepStrictEqual(sortResults(results, 'unitPrice').map(item => item.title), ['a', 'b', 'c', 'd']);
+    });
+
+    it('orders by discount, undiscounted results last', () => {
+      assert.deepStrictEqual(sortResults(results, 'discount').map(item => item.title), ['c', 'a', 'b', 'd']);
+    });
+
+    it('reverses the direction on request, keeping results without the value last', () => {
+      assert.deepStrictEqual(sortResults(results, 'price', 'desc').map(item => item.title), ['a', 'b', 'c', 'd']);
+      assert.deepStrictEqual(sortResults(results, 'unitPrice', 'desc').map(item => item.title), ['b', 'a', 'c', 'd']);
+      assert.deepStrictEqual(sortResults(results, 'discount', 'asc').map(item => item.title), ['a', 'c', 'b', 'd']);
+      assert.deepStrictEqual(sortResults(results, 'relevance', 'asc').map(item => item.title), ['a', 'd', 'b', 'c']);
+    });
+
+    it('leaves the input untouched', () => {
+      sortResults(results, 'price');
+      assert.deepStrictEqual(results.map(item => item.title), ['a', 'b', 'c', 'd']);
+    });
+  });
+
+  describe('parseSortParam', () => {
+    it('defaults to relevance, or price for "cheapest" queries', () => {
+      assert.strictEqual(parseSortParam(undefined, parseQuery('surf excel')), 'relevance');
+      assert.strictEqual(parseSortParam(undefined, parseQuery('cheapest surf excel')), 'price');
+      assert.strictEqual(parseSortParam('unitPrice', parseQuery('cheapest surf excel')), 'unitPrice');
+    });
+
+    it('rejects unknown orders', () => {
+      assert.throws(() => parseSortParam('popularity', parseQuery('surf excel')), /"sort" must be one of/);
+    });
+  });
+
+  describe('parseOrderParam', () => {
+    it('defaults to cheapest or best first', () => {
+      assert.strictEqual(parseOrderParam(undefined, 'price'), 'asc');
+      assert.strictEqual(parseOrderParam(undefined, 'unitPrice'), 'asc');
+      assert.strictEqual(parseOrderParam(undefined, 'relevance'), 'desc');
+      assert.strictEqual(parseOrderParam(undefined, 'discount'), 'desc');
+      assert.strictEqual(parseOrderParam('desc', 'price'), 'desc');
+    });
+
+    it('rejects unknown directions', () => {
+      assert.throws(() => parseOrderParam('up', 'price'), /"order" must be one of asc, desc/);
+    });
+  });
+});
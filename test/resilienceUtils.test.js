@@ -0,0 +1,111 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_COOLDOWN_MS,
+  getPlatformConfig,
+  isRetryableError,
+  backoffDelay,
+  withRetry,
+  withDeadline,
+  isCircuitOpen,
+  recordSuccess,
+  recordFailure,
+  getCircuitState,
+  resetCircuits
+} = require('../utils/resilienceUtils');
+
+const httpError = (status) => {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, headers: {} };
+  return err;
+};
+
+describe('resilienceUtils', () => {
+  beforeEach(() => resetCircuits());
+
+  it('retries only 5xx, 429 and timeouts', () => {
+    assert.strictEqual(isRetryableError(httpError(503)), true);
+    assert.strictEqual(isRetryableError(httpError(429)), true);
+    assert.strictEqual(isRetryableError(httpError(404)), false);
+    assert.strictEqual(isRetryableError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })), true);
+    assert.strictEqual(isRetryableError(Object.assign(new Error('dns'), { code: 'ENOTFOUND' })), false);
+    // Through a proxy pool the retry goes out via another proxy
+    assert.strictEqual(isRetryableError(Object.assign(httpError(403), { proxyFailure: true })), true);
+  });
+
+  it('keeps jittered backoff within the exponential ceiling', () => {
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const delay = backoffDelay(attempt, 100, 1000);
+      assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * Math.pow(2, attempt - 1)));
+    }
+  });
+
+  it('retries a retryable failure until it succeeds', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return 'ok';
+    }, { retries: 2 });
+
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(calls, 3);
+  });
+
+  it('gives up immediately on a non-retryable failure', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw httpError(404);
+    }, { retries: 2 }), err => err.attempts === 1);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('rejects with a timeout error when the deadline passes', async () => {
+    const never = new Promise(() => {});
+    await assert.rejects(withDeadline(never, 10), err => err.timeout === true);
+  });
+
+  it('opens a circuit after repeated failures and closes it on success', () => {
+    for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD; i++) {
+      assert.strictEqual(isCircuitOpen('Amazon'), false);
+      recordFailure('Amazon');
+    }
+    assert.strictEqual(isCircuitOpen('Amazon'), true);
+    assert.ok(getCircuitState('Amazon').retryInMs > 0);
+
+    recordSuccess('Amazon');
+    assert.strictEqual(isCircuitOpen('Amazon'), false);
+  });
+
+  it('lets a single trial request through a half-open circuit', (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    for (let i = 0; i < CIRCUIT_FAILURE_THRESHOLD; i++) recordFailure('Amazon');
+
+    now += CIRCUIT_COOLDOWN_MS;
+    assert.strictEqual(isCircuitOpen('Amazon'), false);
+    assert.strictEqual(getCircuitState('Amazon').state, 'half-open');
+    // Concurrent callers wait for the trial to settle
+    assert.strictEqual(isCircuitOpen('Amazon'), true);
+
+    recordFailure('Amazon');
+    assert.strictEqual(isCircuitOpen('Amazon'), true);
+
+    now += CIRCUIT_COOLDOWN_MS;
+    assert.strictEqual(isCircuitOpen('Amazon'), false);
+    recordSuccess('Amazon');
+    assert.strictEqual(isCircuitOpen('Amazon'), false);
+    assert.strictEqual(isCircuitOpen('Amazon'), false);
+  });
+
+  it('lets per-platform env vars override adapter settings', () => {
+    process.env.SCRAPER_TIMEOUT_MS_TESTSHOP = '1234';
+    const config = getPlatformConfig({ id: 'testshop', timeoutMs: 5000, retries: 0 });
+    delete process.env.SCRAPER_TIMEOUT_MS_TESTSHOP;
+
+    assert.deepStrictEqual(config, { timeoutMs: 1234, retries: 0 });
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { validate, coerceParams } = require('../utils/schemaUtils');
+const { buildOpenApiDocument } = require('../utils/openApiUtils');
+
+describe('schemaUtils', () => {
+  describe('validate', () => {
+    it('accepts a value matching the definition', () => {
+      assert.deepStrictEqual(validate('Pricing', {
+        pricePaise: 9900, mrpPaise: null, currency: 'INR', discountPercent: null, confidence: 'high'
+      }), []);
+    });
+
+    it('names each problem with its path', () => {
+      assert.deepStrictEqual(validate('Pricing', {
+        pricePaise: 99.5, mrpPaise: -1, currency: 'INR', confidence: 'sure', extra: true
+      }, 'pricing'), [
+        'pricing.discountPercent is required',
+        'pricing.pricePaise must be integer',
+        'pricing.mrpPaise must be at least 0',
+        'pricing.confidence must be one of "high", "medium", "low"'
+      ]);
+    });
+
+    it('follows $refs and rejects properties a closed definition does not declare', () => {
+      const errors = validate('Variant', { model: { name: 'iphone 15' }, weightInfo: '1 kg' }, 'variant');
+      assert.deepStrictEqual(errors, [
+        'variant.model.series is required',
+        'variant.model.number is required',
+        'variant.model.tier is required',
+        'variant.weightInfo is not allowed'
+      ]);
+    });
+
+    it('accepts any option of anyOf', () => {
+      assert.deepStrictEqual(validate('SearchRequest', { cursor: 'abc' }), []);
+      assert.deepStrictEqual(validate('SearchRequest', { limit: 5 }, 'query'), ['query.product is required']);
+    });
+  });
+
+  describe('coerceParams', () => {
+    it('converts query strings to the declared types', () => {
+      assert.deepStrictEqual(coerceParams('SearchRequest', { product: '123', limit: '10', enrich: 'true', lat: 'north' }), {
+        product: '123', limit: 10, enrich: true, lat: 'north'
+      });
+    });
+  });
+
+  describe('buildOpenApiDocument', () => {
+    it('describes the search parameters and responses from the schema', () => {
+      const document = buildOpenApiDocument();
+      const search = document.paths['/api/v2/search'].get;
+
+      assert.strictEqual(document.openapi, '3.1.0');
+      assert.ok(search.parameters.some(parameter => parameter.name === 'sort' && parameter.schema.enum.includes('unitPrice')));
+      assert.ok(!search.parameters.some(parameter => parameter.name === 'api_key'));
+      assert.strictEqual(search.responses[200].content['application/json'].schema.$ref, '#/components/schemas/SearchResponse');
+      assert.strictEqual(document.components.schemas.Result.properties.pricing.$ref, '#/components/schemas/Pricing');
+      assert.ok(!JSON.stringify(document).includes('#/$defs/'));
+    });
+  });
+});
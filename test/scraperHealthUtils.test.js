@@ -0,0 +1,77 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  ZERO_RESULT_THRESHOLD,
+  recordScrapeRun,
+  getScraperStats,
+  getScraperHealthSummary,
+  resetScraperStats
+} = require('../utils/scraperHealthUtils');
+
+const healthyRun = {
+  query: 'dettol handwash',
+  downloaded: true,
+  cardCount: 5,
+  withTitle: 5,
+  withPrice: 5,
+  withTitleAndPrice: 5,
+  resultCount: 5,
+  durationMs: 120
+};
+
+describe('scraperHealthUtils', () => {
+  beforeEach(() => resetScraperStats());
+
+  it('reports platforms without runs as unknown', () => {
+    const stats = getScraperStats(['Amazon']);
+    assert.strictEqual(stats.Amazon.status, 'unknown');
+    assert.strictEqual(stats.Amazon.lastRun, null);
+  });
+
+  it('reports healthy runs as ok with rolling averages', () => {
+    recordScrapeRun('Amazon', healthyRun);
+    recordScrapeRun('Amazon', { ...healthyRun, resultCount: 3, durationMs: 80 });
+
+    const { Amazon } = getScraperStats(['Amazon']);
+    assert.strictEqual(Amazon.status, 'ok');
+    assert.strictEqual(Amazon.window.avgResultCount, 4);
+    assert.strictEqual(Amazon.window.avgDurationMs, 100);
+    assert.strictEqual(Amazon.window.downloadRate, 1);
+  });
+
+  it('flags a platform whose cards match but fields come back empty', () => {
+    recordScrapeRun('Flipkart', { ...healthyRun, withTitle: 5, withPrice: 0, withTitleAndPrice: 0, resultCount: 0 });
+
+    const { Flipkart } = getScraperStats(['Flipkart']);
+    assert.strictEqual(Flipkart.status, 'degraded');
+    assert.match(Flipkart.reasons[0], /5 cards found/);
+  });
+
+  it('flags a platform after consecutive zero-result queries and recovers on results', () => {
+    const emptyRun = { ...healthyRun, cardCount: 0, withTitle: 0, withPrice: 0, withTitleAndPrice: 0, resultCount: 0 };
+    for (let i = 0; i < ZERO_RESULT_THRESHOLD; i++) {
+      recordScrapeRun('Meesho', emptyRun);
+    }
+
+    let summary = getScraperHealthSummary(['Amazon', 'Meesho']);
+    assert.strictEqual(summary.status, 'degraded');
+    assert.deepStrictEqual(summary.degraded, ['Meesho']);
+
+    recordScrapeRun('Meesho', healthyRun);
+    summary = getScraperHealthSummary(['Amazon', 'Meesho']);
+    assert.strictEqual(summary.status, 'ok');
+    assert.strictEqual(summary.platforms.Amazon, 'unknown');
+  });
+
+  it('does not count pages the platform marked as having no matches', () => {
+    const noMatchRun = { ...healthyRun, cardCount: 0, withTitle: 0, withPrice: 0, withTitleAndPrice: 0, resultCount: 0, noResults: true };
+    for (let i = 0; i < ZERO_RESULT_THRESHOLD; i++) {
+      recordScrapeRun('Myntra', noMatchRun);
+    }
+
+    const { Myntra } = getScraperStats(['Myntra']);
+    assert.strictEqual(Myntra.status, 'ok');
+    assert.strictEqual(Myntra.consecutiveZero, 0);
+  });
+});
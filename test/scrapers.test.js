@@ -0,0 +1,49 @@
+/**
+ * Replays recorded platform pages through each adapter's parser
+ */
+
+process.env.SCRAPER_FIXTURES = 'replay';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { getPlatforms } = require('../platforms');
+const { scrapePlatform } = require('../utils/scraperUtils');
+const { getFixturesDir } = require('../utils/fixtureUtils');
+const { assertGolden } = require('./helpers/golden');
+
+/**
+ * Lists the queries recorded for a platform
+ * @param {string} platformId - Platform adapter id
+ * @returns {string[]} - Fixture slugs (file names without .html)
+ */
+const recordedSlugs = (platformId) => {
+  const dir = path.join(getFixturesDir(), platformId);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    // Later result pages (".page-N") are replayed through pagination, location
+    // variants (".loc-*") through location searches and product pages
+    // ("product-*") through enrichment, not on their own
+    .filter(file => file.endsWith('.html') && !/\.(page-\d+|loc-[^.]+)\.html$/.test(file) && !file.startsWith('product-'))
+    .map(file => file.replace(/\.html$/, ''));
+};
+
+getPlatforms().forEach(platform => {
+  describe(`${platform.name} adapter`, () => {
+    it('has at least one recorded fixture', () => {
+      if (recordedSlugs(platform.id).length === 0) {
+        throw new Error(`No fixtures in ${path.join(getFixturesDir(), platform.id)}`);
+      }
+    });
+
+    recordedSlugs(platform.id).forEach(slug => {
+      it(`parses the "${slug}" fixture`, async () => {
+        const outcome = await scrapePlatform(platform, slug.replace(/-/g, ' '));
+        assert.strictEqual(outcome.status, 'ok');
+        assertGolden(path.join(platform.id, slug), outcome.results);
+      });
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Runs /search end to end against recorded fixtures
+ */
+
+process.env.SCRAPER_FIXTURES = 'replay';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../server');
+const { assertGolden } = require('./helpers/golden');
+const { getPlatforms } = require('../platforms');
+
+const API_KEY = process.env.API_KEY || 'where-to-buy-test-api-key';
+
+describe('GET /search (replay)', () => {
+  let server;
+  let baseUrl;
+
+  before(() => new Promise(resolve => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  }));
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const search = async (params) => {
+    const query = new URLSearchParams({ api_key: API_KEY, ...params });
+    const response = await fetch(`${baseUrl}/search?${query}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('rejects a missing product', async () => {
+    const { status, body } = await search({});
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /product/);
+  });
+
+  it('rejects a repeated product', async () => {
+    const response = await fetch(`${baseUrl}/search?api_key=${API_KEY}&product=surf+excel&product=dettol`);
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: '"product" must be given once' });
+  });
+
+  ['under 500', 'cheapest'].forEach(product => {
+    it(`rejects "${product}", which names no product`, async () => {
+      const { status, body } = await search({ product });
+      assert.strictEqual(status, 400);
+      assert.match(body.error, /product terms required/);
+    });
+  });
+
+  ['dettol handwash', 'surf excel'].forEach(product => {
+    it(`matches the golden response for "${product}"`, async () => {
+      const { status, body } = await search({ product });
+      assert.strictEqual(status, 200);
+
+      // Timestamps and timings are expected to change between runs
+      delete body.timestamp;
+      Object.values(body.platformStatus).forEach(platformStatus => delete platformStatus.durationMs);
+      assertGolden(`search/${product.replace(/\s+/g, '-')}`, body);
+    });
+  });
+
+  it('gives every result a unique, stable id so price categories spread out', async () => {
+    const first = await search({ product: 'dettol handwash' });
+    const results = [...first.body.exactMatches, ...first.body.alternatives];
+    const ids = results.map(item => item.id);
+
+    assert.ok(ids.every(Boolean));
+    assert.strictEqual(new Set(ids).size, ids.length);
+    assert.ok(ids.includes('amazon-B07Q2YLD7W'));
+    assert.ok(ids.includes('flipkart-HWHFB7Z3GZQ8XJHY'));
+    assert.deepStrictEqual(first.body.exactMatches.map(item => item.priceCategory).filter(category => category === 'cheapest').length, 1);
+
+    const again = await search({ product: 'dettol handwash', perPlatformLimit: 3 });
+    const againIds = [...again.body.exactMatches, ...again.body.alternatives].map(item => item.id);
+    assert.ok(againIds.every(id => ids.includes(id)));
+  });
+
+  it('groups the same item across platforms with offers sorted by price', async () => {
+    const { body } = await search({ product: 'surf excel' });
+    const quickWash = body.products.find(group => group.title.includes('Quick Wash') && group.size === '500 g');
+
+    assert.ok(quickWash.platforms.length >= 3);
+    const prices = quickWash.offers.map(offer => offer.pricing.pricePaise);
+    assert.deepStrictEqual(prices, [...prices].sort((a, b) => a - b));
+    assert.strictEqual(quickWash.bestOffer.id, quickWash.offers[0].id);
+
+    // Every listing lands in exactly one group
+    const offerIds = body.products.flatMap(group => group.offers.map(offer => offer.id));
+    assert.strictEqual(offerIds.length, body.exactMatches.length + body.alternatives.length);
+    assert.strictEqual(new Set(offerIds).size, offerIds.length);
+  });
+
+  it('applies price constraints from the query and searches platforms with the product terms', async () => {
+    const { status, body } = await search({ product: 'cheapest surf excel under 150' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.parsedQuery.searchText, 'surf excel');
+    assert.deepStrictEqual(body.parsedQuery.price, { minPaise: null, maxPaise: 15000 });
+    // The recorded "surf excel" pages were replayed, so no platform failed
+    assert.ok(Object.values(body.platformStatus).every(platform => platform.status === 'ok'));
+
+    const results = [...body.exactMatches, ...body.alternatives];
+    assert.ok(results.length > 0);
+    assert.ok(body.filteredOut > 0);
+    assert.strictEqual(body.count, results.length);
+    results.forEach(item => assert.ok(item.pricing.pricePaise <= 15000, item.title));
+  });
+
+  it('scores results and orders them by the requested sort', async () => {
+    const { body } = await search({ product: 'dettol handwash' });
+    assert.strictEqual(body.sort, 'relevance');
+    body.exactMatches.forEach(item => assert.ok(item.relevanceScore >= 0.85, item.title));
+    const lifebuoy = body.alternatives.find(item => item.brand === 'Lifebuoy');
+    assert.ok(lifebuoy.matchReasons.includes('brand differs: Lifebuoy'));
+    const scores = body.alternatives.map(item => item.relevanceScore);
+    assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a));
+
+    const { body: byPrice } = await search({ product: 'dettol handwash', sort: 'price' });
+    assert.strictEqual(byPrice.sort, 'price');
+    const prices = byPrice.exactMatches.map(item => item.pricing.pricePaise);
+    assert.deepStrictEqual(prices, [...prices].sort((a, b) => a - b));
+
+    assert.strictEqual((await search({ product: 'dettol handwash', sort: 'popularity' })).status, 400);
+  });
+
+  it('rewrites Devanagari queries and reports what each platform searched', async () => {
+    const { status, body } = await search({ product: 'सर्फ एक्सेल' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.query, 'सर्फ एक्सेल');
+    assert.strictEqual(body.rewrittenQuery, 'Surf Excel');
+    assert.deepStrictEqual(body.potentialBrands, ['Surf Excel']);
+    assert.ok(Object.values(body.platformStatus).every(platform => platform.query === 'Surf Excel'));
+    assert.ok(body.exactMatches.length > 0);
+  });
+
+  it('follows pagination to fill perPlatformLimit and resumes from the cursor', async () => {
+    const { body } = await search({ product: 'surf excel', perPlatformLimit: '3' });
+    assert.strictEqual(body.sources.Amazon, 3);
+    assert.strictEqual(body.pagination.Amazon.pagesFetched, 2);
+    assert.strictEqual(body.pagination.Amazon.hasMore, true);
+    // Zepto has no pagination and only two results
+    assert.strictEqual(body.pagination.Zepto.hasMore, false);
+    assert.strictEqual(body.pagination.Zepto.nextCursor, null);
+
+    const { status, body: more } = await search({ cursor: body.pagination.Amazon.nextCursor });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(Object.keys(more.sources), ['Amazon']);
+    assert.deepStrictEqual(
+      [...more.exactMatches, ...more.alternatives].map(item => item.title),
+      ['Surf Excel Detergent Bar, 250 g (Pack of 4)']
+    );
+    assert.strictEqual(more.pagination.Amazon.page, 2);
+  });
+
+  it('enriches the top results from their product pages', async () => {
+    const { body } = await search({ product: 'dettol handwash', enrich: 'true', enrichLimit: '3' });
+    const [first, second, third] = body.exactMatches;
+
+    assert.deepStrictEqual(first.details.specs, {
+      Brand: 'Dettol',
+      'Item Volume': '750 Millilitres',
+      Scent: 'Original',
+      'Skin Type': 'All'
+    });
+    assert.strictEqual(first.details.seller, 'Cloudtail India');
+    assert.strictEqual(first.details.reviewCount, 48517);
+    assert.strictEqual(first.details.source, 'selectors');
+
+    // No product page is recorded for the second result: reported, not fatal
+    assert.strictEqual(second.details, undefined);
+    assert.strictEqual(body.enrichment.failed[0].link, second.link);
+
+    assert.strictEqual(third.platform, 'Flipkart');
+    assert.strictEqual(third.details.source, 'json-ld');
+    assert.strictEqual(third.details.mrp, '₹299.00');
+    assert.strictEqual(third.details.deliveryEstimate, '23 May, Friday');
+    assert.deepStrictEqual({ requested: body.enrichment.requested, enriched: body.enrichment.enriched }, { requested: 3, enriched: 2 });
+    assert.deepStrictEqual(body.enrichment.skipped, []);
+  });
+
+  it('scopes quick-commerce results to a pincode', async () => {
+    const { status, body } = await search({ product: 'surf excel', pincode: '560001' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.location, {
+      pincode: '560001', lat: 12.9716, lng: 77.5946, city: 'Bengaluru', resolved: true, key: '560001'
+    });
+
+    // Blinkit delivers there (from the location's own fixture), but not the out-of-stock item
+    assert.strictEqual(body.platformStatus.Blinkit.serviceable, true);
+    const blinkit = [...body.exactMatches, ...body.alternatives].filter(item => item.platform === 'Blinkit');
+    assert.deepStrictEqual(blinkit.map(item => [item.price, item.deliverable]), [['₹135.00', true], ['₹215.00', false]]);
+
+    // Zepto has no store there yet
+    assert.strictEqual(body.platformStatus.Zepto.serviceable, false);
+    assert.strictEqual(body.sources.Zepto, 0);
+
+    // Location-independent platforms are unaffected
+    assert.strictEqual(body.platformStatus.Amazon.serviceable, undefined);
+    assert.strictEqual(body.sources.Amazon, 4);
+  });
+
+  it('marks deliverability as unknown without a location', async () => {
+    const { body } = await search({ product: 'surf excel' });
+    assert.strictEqual(body.location, null);
+    const blinkit = [...body.exactMatches, ...body.alternatives].filter(item => item.platform === 'Blinkit');
+    assert.ok(blinkit.length > 0);
+    blinkit.forEach(item => assert.strictEqual(item.deliverable, null));
+  });
+
+  it('rejects malformed locations', async () => {
+    assert.strictEqual((await search({ product: 'surf excel', pincode: '5600' })).status, 400);
+    assert.strictEqual((await search({ product: 'surf excel', lat: '12.97' })).status, 400);
+  });
+
+  it('fetches no more than a total limit smaller than the number of platforms', async () => {
+    const { status, body } = await search({ product: 'surf excel', limit: '2' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(Object.keys(body.sources).length, 2);
+    assert.ok(Object.values(body.sources).reduce((sum, count) => sum + count, 0) <= 2);
+    assert.ok(body.count <= 2);
+    // The platforms the limit left out are reported, not silently dropped
+    const searched = Object.keys(body.sources);
+    assert.ok(body.skippedPlatforms.length > 0);
+    assert.ok(body.skippedPlatforms.every(name => !searched.includes(name)));
+    assert.strictEqual(searched.length + body.skippedPlatforms.length, getPlatforms().length);
+  });
+
+  it('rejects invalid paging parameters', async () => {
+    assert.strictEqual((await search({ product: 'surf excel', limit: '0' })).status, 400);
+    assert.strictEqual((await search({ product: 'surf excel', limit: '10', perPlatformLimit: '5' })).status, 400);
+    assert.strictEqual((await search({ cursor: 'garbage' })).status, 400);
+  });
+
+  it('reports platforms that failed instead of only a zero count', async () => {
+    // No fixtures are recorded for this query, so every platform errors
+    const { status, body } = await search({ product: 'unrecorded query' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.count, 0);
+    Object.values(body.platformStatus).forEach(platformStatus => {
+      assert.strictEqual(platformStatus.status, 'error');
+      assert.match(platformStatus.error, /No fixture recorded/);
+    });
+  });
+
+  it('recovers from zero results with the corrected query and suggests it', async () => {
+    // Amazon finds nothing for the misspelling, so the corrected query is what finds results
+    const { status, body } = await search({ product: 'surf exel' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.query, 'Surf Excel');
+    assert.deepStrictEqual(body.relaxedFrom, { query: 'surf exel', changes: ['spelling'] });
+    assert.deepStrictEqual(body.suggestions, ['Surf Excel']);
+    assert.ok(body.exactMatches.length > 0);
+    assert.strictEqual(body.platformStatus.Amazon.query, 'Surf Excel');
+  });
+
+  it('drops the size when nothing of that size is found', async () => {
+    const { body } = await search({ product: 'surf excel 3kg' });
+    assert.strictEqual(body.query, 'surf excel');
+    assert.deepStrictEqual(body.relaxedFrom, { query: 'surf excel 3kg', changes: ['size'] });
+    assert.ok(body.count > 0);
+  });
+
+  it('does not retry when no platform answered, but still suggests', async () => {
+    // Nothing is recorded for the misspelling on Flipkart, so its only platform fails
+    const { body } = await search({ product: 'surf exel', platforms: 'flipkart' });
+    assert.strictEqual(body.platformStatus.Flipkart.status, 'error');
+    assert.strictEqual(body.relaxedFrom, null);
+    assert.strictEqual(body.query, 'surf exel');
+    assert.strictEqual(body.count, 0);
+    assert.deepStrictEqual(body.suggestions, ['Surf Excel']);
+  });
+
+  it('neither suggests nor retries for a query that found results', async () => {
+    const { body } = await search({ product: 'dettol handwash' });
+    assert.deepStrictEqual(body.suggestions, []);
+    assert.strictEqual(body.relaxedFrom, null);
+  });
+
+  it('only searches platforms that sell the query\'s category', async () => {
+    const { body } = await search({ product: 'white sneakers' });
+    assert.strictEqual(body.category.name, 'fashion');
+    assert.deepStrictEqual(Object.keys(body.sources), ['Amazon', 'Flipkart', 'Meesho', 'Myntra']);
+    assert.ok(body.skippedPlatforms.includes('Blinkit'));
+    assert.ok(body.sources.Myntra > 0);
+
+    const { body: everywhere } = await search({ product: 'surf excel', platforms: 'all' });
+    assert.deepStrictEqual(everywhere.skippedPlatforms, []);
+    assert.strictEqual(everywhere.platformStatus.Myntra.status, 'ok');
+
+    assert.strictEqual((await search({ product: 'surf excel', platforms: 'some' })).status, 400);
+  });
+
+  it('searches only the requested platforms and filters and orders the results', async () => {
+    const { status, body } = await search({ product: 'surf excel', platforms: 'blinkit,zepto', sort: 'unitPrice', maxPrice: '200' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(Object.keys(body.sources), ['Blinkit', 'Zepto']);
+    assert.deepStrictEqual(body.skippedPlatforms, []);
+    assert.strictEqual(body.order, 'asc');
+    assert.deepStrictEqual(body.filters.applied, { platforms: ['blinkit', 'zepto'], maxPrice: 200 });
+
+    const results = [...body.exactMatches, ...body.alternatives];
+    assert.ok(results.length > 0);
+    assert.ok(body.filters.countAfter < body.filters.countBefore);
+    assert.strictEqual(body.count, body.filters.countAfter);
+    assert.strictEqual(results.length, body.count);
+    assert.ok(results.every(item => ['Blinkit', 'Zepto'].includes(item.platform) && item.pricing.pricePaise <= 20000));
+
+    const basis = body.exactMatches[0].unitPriceBasis;
+    const unitPrices = body.exactMatches.filter(item => item.unitPriceBasis === basis).map(item => item.unitPrice);
+    assert.deepStrictEqual(unitPrices, [...unitPrices].sort((a, b) => a - b));
+
+    const { body: descending } = await search({ product: 'surf excel', platforms: 'blinkit,zepto', sort: 'price', order: 'desc' });
+    const prices = descending.exactMatches.map(item => item.pricing.pricePaise);
+    assert.deepStrictEqual(prices, [...prices].sort((a, b) => b - a));
+
+    const repeated = await fetch(`${baseUrl}/search?api_key=${API_KEY}&product=surf+excel&platforms=blinkit&platforms=zepto`);
+    assert.deepStrictEqual(Object.keys((await repeated.json()).sources), ['Blinkit', 'Zepto']);
+
+    assert.strictEqual((await search({ product: 'surf excel', platforms: 'blinkit,ebay' })).status, 400);
+    assert.strictEqual((await search({ product: 'surf excel', inStock: 'false' })).status, 400);
+    assert.strictEqual((await search({ product: 'surf excel', minRating: '9' })).status, 400);
+    assert.strictEqual((await search({ product: 'surf excel', order: 'up' })).status, 400);
+  });
+
+  it('records each platform run in /admin/scrapers and /health', async () => {
+    await search({ product: 'dettol handwash' });
+
+    const adminResponse = await fetch(`${baseUrl}/admin/scrapers?api_key=${API_KEY}`);
+    const admin = await adminResponse.json();
+    assert.strictEqual(adminResponse.status, 200);
+    const amazonRun = admin.platforms.Amazon.recentRuns.find(run => run.query === 'dettol handwash');
+    assert.strictEqual(amazonRun.downloaded, true);
+    assert.strictEqual(amazonRun.cardCount, 5);
+    assert.strictEqual(amazonRun.withTitleAndPrice, 4);
+    assert.strictEqual(admin.platforms.Amazon.circuit.state, 'closed');
+
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    assert.deepStrictEqual(health.scrapers.degraded, []);
+  });
+});
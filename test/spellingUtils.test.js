@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { isKnownWord, correctQuery, getRecoveryQueries, learnFromResults, clearLearnedWords } = require('../utils/spellingUtils');
+const { parseQuery } = require('../utils/queryUtils');
+
+describe('spellingUtils', () => {
+  beforeEach(() => clearLearnedWords());
+
+  describe('correctQuery', () => {
+    it('replaces misspelled brands with the catalogue name', () => {
+      assert.deepStrictEqual(correctQuery(parseQuery('surf exel 500g')), {
+        text: 'Surf Excel 500g',
+        corrections: [{ from: 'surf exel', to: 'Surf Excel' }]
+      });
+      assert.strictEqual(correctQuery(parseQuery('lifebouy soap')).text, 'Lifebuoy soap');
+    });
+
+    it('corrects product words against the category lexicon', () => {
+      assert.strictEqual(correctQuery(parseQuery('tumeric powder 200g')).text, 'turmeric powder 200g');
+      assert.strictEqual(correctQuery(parseQuery('shampo under 300')).text, 'shampoo under 300');
+    });
+
+    it('leaves correctly spelled and unknown-but-distant words alone', () => {
+      assert.strictEqual(correctQuery(parseQuery('surf excel 1kg')), null);
+      assert.strictEqual(correctQuery(parseQuery('haldi 200g')), null);
+      assert.strictEqual(correctQuery(parseQuery('unrecorded query')), null);
+    });
+  });
+
+  describe('learnFromResults', () => {
+    it('learns product words that appear in matching titles', () => {
+      assert.strictEqual(correctQuery(parseQuery('dettol handwsh')), null);
+
+      const learned = learnFromResults(parseQuery('dettol handwash'), [{ title: 'Dettol Original Handwash 200ml' }]);
+      assert.deepStrictEqual(learned, ['handwash']);
+      assert.ok(isKnownWord('handwash'));
+      assert.strictEqual(correctQuery(parseQuery('detol handwsh')).text, 'Dettol handwash');
+    });
+
+    it('does not learn words no title contains', () => {
+      assert.deepStrictEqual(learnFromResults(parseQuery('dettol handwsh'), [{ title: 'Dettol Original Handwash 200ml' }]), []);
+      assert.deepStrictEqual(learnFromResults(parseQuery('dettol handwash'), []), []);
+      assert.ok(!isKnownWord('handwsh'));
+    });
+  });
+
+  describe('getRecoveryQueries', () => {
+    it('corrects, then drops the size, then the brand', () => {
+      learnFromResults(parseQuery('handwash'), [{ title: 'Savlon Handwash' }]);
+      assert.deepStrictEqual(getRecoveryQueries(parseQuery('detol handwsh 750ml')), [
+        { query: 'Dettol handwash 750ml', changes: ['spelling'] },
+        { query: 'Dettol handwash', changes: ['spelling', 'size'] },
+        { query: 'handwash', changes: ['spelling', 'size', 'brand'] }
+      ]);
+    });
+
+    it('drops pack sizes and keeps price limits', () => {
+      assert.deepStrictEqual(getRecoveryQueries(parseQuery('dettol soap pack of 3 under 200')), [
+        { query: 'dettol soap under 200', changes: ['size'] },
+        { query: 'soap under 200', changes: ['size', 'brand'] }
+      ]);
+    });
+
+    it('keeps the brand when it is the whole query', () => {
+      assert.deepStrictEqual(getRecoveryQueries(parseQuery('surf excel 2kg')), [
+        { query: 'surf excel', changes: ['size'] }
+      ]);
+      assert.deepStrictEqual(getRecoveryQueries(parseQuery('unrecorded query')), []);
+    });
+  });
+});
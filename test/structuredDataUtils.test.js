@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+
+const {
+  collectObjects,
+  normalizeAvailability,
+  extractJsonLd,
+  findJsonLdProducts,
+  extractInitialState,
+  extractStructuredResults
+} = require('../utils/structuredDataUtils');
+
+const adapter = {
+  name: 'Test',
+  normalizeLink: (href) => (href.startsWith('http') ? href : `https://shop.test${href}`)
+};
+
+describe('structuredDataUtils', () => {
+  it('normalises schema.org and platform availability values', () => {
+    assert.strictEqual(normalizeAvailability('https://schema.org/InStock'), 'in_stock');
+    assert.strictEqual(normalizeAvailability('OUT_OF_STOCK'), 'out_of_stock');
+    assert.strictEqual(normalizeAvailability('http://schema.org/PreOrder'), 'preorder');
+    assert.strictEqual(normalizeAvailability('COMING_SOON'), null);
+  });
+
+  it('flattens @graph blocks and skips invalid JSON-LD', () => {
+    const $ = cheerio.load(`
+      <script type="application/ld+json">{"@graph":[{"@type":"WebSite"},{"@type":"Product","name":"Tata Salt 1 kg","offers":{"price":"28"}}]}</script>
+      <script type="application/ld+json">{ not json </script>
+    `);
+    const blocks = extractJsonLd($);
+    assert.strictEqual(blocks.length, 2);
+
+    const [product] = findJsonLdProducts(blocks);
+    assert.strictEqual(product.title, 'Tata Salt 1 kg');
+    assert.strictEqual(product.price, '28');
+  });
+
+  it('reads window.__INITIAL_STATE__ up to the end of its object literal', () => {
+    const $ = cheerio.load(`<script>window.__INITIAL_STATE__ = {"a":{"b":"brace } in string"}};window.other = {};</script>`);
+    assert.deepStrictEqual(extractInitialState($), { a: { b: 'brace } in string' } });
+  });
+
+  it('collects nested nodes matching a predicate', () => {
+    const found = collectObjects({ x: [{ y: { sku: 1 } }, { sku: 2, nested: { sku: 3 } }] }, node => node.sku !== undefined);
+    assert.deepStrictEqual(found.map(node => node.sku), [1, 2]);
+  });
+
+  it('prefers JSON-LD and records the strategy on each result', () => {
+    const $ = cheerio.load(`
+      <script type="application/ld+json">{"@type":"Product","name":"Aashirvaad Atta 5 kg","url":"/atta","offers":{"price":"265","availability":"https://schema.org/InStock","priceSpecification":{"priceType":"https://schema.org/ListPrice","price":"310"}},"aggregateRating":{"ratingValue":"4.44","reviewCount":"900"}}</script>
+      <script id="__NEXT_DATA__" type="application/json">{"props":{}}</script>
+    `);
+    const { source, items } = extractStructuredResults($, { ...adapter, structuredData: { nextData: () => [{ title: 'ignored' }] } });
+
+    assert.strictEqual(source, 'json-ld');
+    assert.deepStrictEqual(items, [{
+      platform: 'Test',
+      title: 'Aashirvaad Atta 5 kg',
+      price: '₹265.00',
+      link: 'https://shop.test/atta',
+      source: 'json-ld',
+      mrp: '₹310.00',
+      pricing: { pricePaise: 26500, mrpPaise: 31000, currency: 'INR', discountPercent: 15, confidence: 'high' },
+      rating: 4.4,
+      reviewCount: 900,
+      availability: 'in_stock'
+    }]);
+  });
+
+  it('falls through to embedded state mappers when there is no JSON-LD', () => {
+    const $ = cheerio.load(`<script id="__NEXT_DATA__" type="application/json">{"props":{"items":[{"n":"Maggi Noodles 280 g","p":56}]}}</script>`);
+    const nextData = (data) => data.props.items.map(item => ({ title: item.n, price: item.p, link: '/maggi' }));
+    const { source, items } = extractStructuredResults($, { ...adapter, structuredData: { nextData } });
+
+    assert.strictEqual(source, 'next-data');
+    assert.strictEqual(items[0].price, '₹56.00');
+    assert.strictEqual(items[0].pricing.pricePaise, 5600);
+  });
+
+  it('returns no source when the page has no structured data', () => {
+    assert.deepStrictEqual(extractStructuredResults(cheerio.load('<div></div>'), adapter), { source: null, items: [] });
+  });
+});
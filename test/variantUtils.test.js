@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { extractModel, extractVariant, compareVariants } = require('../utils/variantUtils');
+
+describe('variantUtils', () => {
+  describe('extractModel', () => {
+    it('reads the product line, model number and tier', () => {
+      assert.deepStrictEqual(extractModel('Apple iPhone 15 Plus (Blue, 256 GB)'), {
+        name: 'iphone 15 plus', series: 'iphone', number: '15', tier: 'plus'
+      });
+      assert.strictEqual(extractModel('Samsung Galaxy S23 Ultra 5G').name, 'galaxy s23 ultra');
+      assert.strictEqual(extractModel('Redmi Note 13 Pro Max').name, 'redmi note 13 pro max');
+      assert.deepStrictEqual(extractModel('OnePlus 12 (Silky Black)'), { name: '12', series: '', number: '12', tier: '' });
+    });
+
+    it('reads a trailing "+" as the plus tier', () => {
+      assert.deepStrictEqual(extractModel('Redmi Note 13 Pro+ 5G (Fusion Purple, 8GB, 256GB)'), {
+        name: 'redmi note 13 pro plus', series: 'redmi note', number: '13', tier: 'pro plus'
+      });
+      assert.strictEqual(extractModel('Redmi Note 13 Pro 5G').name, 'redmi note 13 pro');
+      assert.strictEqual(extractModel('Samsung Galaxy S23+ 5G').name, 'galaxy s23 plus');
+    });
+
+    it('does not read amounts as model numbers', () => {
+      assert.strictEqual(extractModel('Sony Bravia 108 cm (43 inch) TV'), null);
+      assert.strictEqual(extractModel('LG 1.5 Ton 5 Star Split AC'), null);
+      assert.strictEqual(extractModel('Samsung 128GB microSD card'), null);
+      assert.strictEqual(extractModel('Dettol Original Handwash 200 ml'), null);
+    });
+  });
+
+  describe('extractVariant', () => {
+    it('reads storage, RAM and colour from phone titles', () => {
+      assert.deepStrictEqual(extractVariant('Redmi Note 13 Pro 5G (Arctic White, 8GB RAM, 256GB)'), {
+        storageGb: 256,
+        ramGb: 8,
+        colour: 'white',
+        model: { name: 'redmi note 13 pro', series: 'redmi note', number: '13', tier: 'pro' }
+      });
+    });
+
+    it('reads screen size, wattage, capacity and generation', () => {
+      assert.strictEqual(extractVariant('Sony Bravia 108 cm (43 inch) 4K TV').screenInches, 43);
+      assert.strictEqual(extractVariant('Mi 139 cm Smart TV').screenInches, 55);
+      assert.strictEqual(extractVariant('Philips HL7756 750 Watt Mixer Grinder').wattage, 750);
+      assert.strictEqual(extractVariant('Mi Power Bank 3i 20000mAh').capacityMah, 20000);
+      assert.strictEqual(extractVariant('Echo Dot (5th Gen) smart speaker').generation, 5);
+    });
+
+    it('states nothing for groceries', () => {
+      assert.deepStrictEqual(extractVariant('Surf Excel Matic Front Load 1 kg'), {});
+    });
+  });
+
+  describe('compareVariants', () => {
+    it('names each attribute that differs', () => {
+      const comparison = compareVariants(extractVariant('iphone 15 128gb'), extractVariant('Apple iPhone 15 Plus (Blue, 256 GB)'));
+      assert.deepStrictEqual(comparison.differences, [
+        { attribute: 'storage', wanted: '128 GB', stated: '256 GB' },
+        { attribute: 'model', wanted: 'iphone 15', stated: 'iphone 15 plus' }
+      ]);
+    });
+
+    it('matches a model named without its product line and lists unstated attributes', () => {
+      const comparison = compareVariants(extractVariant('galaxy s23 ultra 256gb'), extractVariant('Samsung S23 Ultra 5G (Green)'));
+      assert.deepStrictEqual(comparison, { matched: ['model'], differences: [], unknown: ['storage'] });
+    });
+  });
+});
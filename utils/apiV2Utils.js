@@ -0,0 +1,120 @@
+/**
+ * Utility functions for the /api/v2 response shape
+ *
+ * v2 answers the same search as /search (see runSearch in server.js) but
+ * returns each fact once, as described by schemas/v2.json: a result's unit
+ * price is one object instead of top-level copies plus the legacy
+ * `attributes`, relevance is { score, reasons }, and each platform's status
+ * and pagination sit together under `platforms`.
+ */
+
+/**
+ * Builds a result's unit price
+ * @param {object} item - Search result
+ * @returns {object|null} - { amount, basis, formatted } or null without a unit price
+ */
+const toUnitPrice = (item) => (item && item.unitPrice ? {
+  amount: item.unitPrice,
+  basis: item.unitPriceBasis,
+  formatted: item.unitPriceFormatted
+} : null);
+
+// Result fields only some platforms or enriched results carry
+const OPTIONAL_RESULT_FIELDS = ['rating', 'reviewCount', 'availability', 'deliverable', 'details'];
+
+/**
+ * Converts a scored search result to a v2 result
+ * @param {object} item - Result from categorizeResults
+ * @returns {object} - v2 Result
+ */
+const toV2Result = (item) => {
+  const result = {
+    id: item.id,
+    platform: item.platform,
+    title: item.title,
+    link: item.link,
+    brand: item.brand,
+    brandConfidence: item.brandConfidence,
+    pricing: item.pricing,
+    unitPrice: toUnitPrice(item),
+    quantity: item.quantity,
+    variant: item.variant,
+    facets: item.facets,
+    relevance: { score: item.relevanceScore, reasons: item.matchReasons },
+    priceCategory: item.priceCategory
+  };
+  OPTIONAL_RESULT_FIELDS.forEach(field => {
+    if (item[field] !== undefined) result[field] = item[field];
+  });
+  return result;
+};
+
+/**
+ * Converts a product group to the v2 shape
+ * @param {object} group - From groupProducts
+ * @param {Map} resultsById - Search results by id, for the offers' unit prices
+ * @returns {object} - v2 ProductGroup
+ */
+const toV2ProductGroup = (group, resultsById) => ({
+  id: group.id,
+  title: group.title,
+  brand: group.brand,
+  size: group.size,
+  packSize: group.packSize,
+  matchConfidence: group.matchConfidence,
+  platforms: group.platforms,
+  bestOfferId: group.bestOffer.id,
+  offers: group.offers.map(offer => {
+    const v2Offer = {
+      id: offer.id,
+      platform: offer.platform,
+      title: offer.title,
+      link: offer.link,
+      pricing: offer.pricing,
+      unitPrice: toUnitPrice(resultsById.get(offer.id))
+    };
+    if (offer.availability !== undefined) v2Offer.availability = offer.availability;
+    if (offer.deliverable !== undefined) v2Offer.deliverable = offer.deliverable;
+    return v2Offer;
+  })
+});
+
+/**
+ * Converts a /search response to the v2 shape
+ * @param {object} response - From runSearch
+ * @returns {object} - v2 SearchResponse
+ */
+const toV2SearchResponse = (response) => {
+  const resultsById = new Map([...response.exactMatches, ...response.alternatives].map(item => [item.id, item]));
+  const v2Response = {
+    apiVersion: '2',
+    timestamp: response.timestamp,
+    query: response.query,
+    rewrittenQuery: response.rewrittenQuery,
+    parsedQuery: response.parsedQuery,
+    suggestions: response.suggestions,
+    relaxedFrom: response.relaxedFrom,
+    sort: response.sort,
+    order: response.order,
+    filters: response.filters,
+    category: response.category,
+    skippedPlatforms: response.skippedPlatforms,
+    location: response.location,
+    platforms: Object.fromEntries(Object.entries(response.platformStatus).map(([platform, status]) => [
+      platform,
+      { ...status, pagination: response.pagination[platform] }
+    ])),
+    count: response.count,
+    filteredOut: response.filteredOut,
+    exactMatches: response.exactMatches.map(toV2Result),
+    alternatives: response.alternatives.map(toV2Result),
+    products: response.products.map(group => toV2ProductGroup(group, resultsById))
+  };
+  if (response.enrichment) v2Response.enrichment = response.enrichment;
+  return v2Response;
+};
+
+module.exports = {
+  toV2Result,
+  toV2SearchResponse
+};
@@ -2,11 +2,14 @@
  * Utility functions for product attribute detection and processing
  */
 
+const { calculateUnitPrice } = require('./quantityUtils');
+
 // Patterns for weight/volume detection
+// The trailing \b keeps words such as "Total 10 Germ" or "5 Layer" from reading as sizes
 const weightPatterns = [
-  /([0-9.]+)\s*(kg|g|gm|gram|ml|l|liter|litre)/i,  // Standard format: 2L, 500g
-  /([0-9.]+)\s*-?\s*(kg|g|gm|gram|ml|l|liter|litre)/i,  // Handle hyphenated: 2-liter
-  /([0-9.]+)(kg|g|gm|gram|ml|l)/i  // No space: 2L, 500g
+  /([0-9.]+)\s*(kg|g|gm|gram|ml|l|liter|litre)\b/i,  // Standard format: 2L, 500g
+  /([0-9.]+)\s*-?\s*(kg|g|gm|gram|ml|l|liter|litre)\b/i,  // Handle hyphenated: 2-liter
+  /([0-9.]+)(kg|g|gm|gram|ml|l)\b/i  // No space: 2L, 500g
 ];
 
 // Patterns for pack size detection
@@ -19,22 +22,6 @@ const packPatterns = [
   /set\s*of\s*([0-9]+)/i  // Format: set of 4
 ];
 
-// Feature keywords to detect
-const featureKeywords = {
-  'original': 'original',
-  'fresh': 'fresh',
-  'cool': 'cooling',
-  'icy': 'cooling',
-  'lemon': 'lemon',
-  'germ protection': ['germ', 'protection'],
-  'antibacterial': 'antibacterial',
-  'anti-bacterial': 'antibacterial',
-  'natural': 'natural',
-  'organic': 'organic',
-  'fragrance': 'fragrance',
-  'scented': 'scented'
-};
-
 /**
  * Extracts weight/volume information from a product title
  * @param {string} title - The product title
@@ -72,81 +59,21 @@ const extractPackSize = (title) => {
 };
 
 /**
- * Extracts special features from a product title
- * @param {string} title - The product title
- * @returns {string[]} - Array of detected features
+ * Calculates standardized quantity and unit price
+ * @param {object|null} quantity - Quantity from parseQuantity (see utils/quantityUtils.js)
+ * @param {object|null} pricing - The result's pricing object (see utils/priceUtils.js)
+ * @returns {object} - Object with quantity and price information
  */
-const extractFeatures = (title) => {
-  if (!title) return [];
-  
-  const features = [];
-  const lowerTitle = title.toLowerCase();
-  
-  // Check for single-word features
-  Object.entries(featureKeywords).forEach(([key, value]) => {
-    if (Array.isArray(value)) {
-      // Check if all words in the array are present
-      if (value.every(word => lowerTitle.includes(word))) {
-        features.push(key);
-      }
-    } else if (lowerTitle.includes(value)) {
-      features.push(key);
-    }
-  });
-  
-  return features;
-};
+const calculateWeightAndPrice = (quantity, pricing) => {
+  const { unitPrice, unitPriceBasis, unitPriceFormatted } = calculateUnitPrice(quantity, pricing);
 
-/**
- * Calculates standardized weight and unit price
- * @param {object} weightMatch - Weight match object
- * @param {object} packMatch - Pack match object
- * @param {number} priceValue - Product price
- * @returns {object} - Object with weight and price information
- */
-const calculateWeightAndPrice = (weightMatch, packMatch, priceValue) => {
-  let individualWeight = 0;
-  let totalWeight = 0;
-  let weightUnit = '';
-  
-  if (weightMatch) {
-    const weightValue = parseFloat(weightMatch[1]);
-    weightUnit = weightMatch[2].toLowerCase();
-    
-    // Standardize weight to grams or ml for comparison
-    if (weightUnit === 'kg') {
-      individualWeight = weightValue * 1000;
-      weightUnit = 'g';
-    } else if (weightUnit === 'l' || weightUnit === 'liter' || weightUnit === 'litre') {
-      individualWeight = weightValue * 1000;
-      weightUnit = 'ml';
-    } else {
-      individualWeight = weightValue;
-    }
-    
-    // Calculate total weight
-    totalWeight = individualWeight;
-    if (packMatch) {
-      const packSize = parseInt(packMatch[1]);
-      totalWeight = individualWeight * packSize;
-    }
-  }
-  
-  // Calculate unit price (price per 100g/100ml)
-  let unitPrice = 0;
-  let unitPriceFormatted = null;
-  
-  if (totalWeight > 0) {
-    unitPrice = (priceValue / totalWeight) * 100;
-    unitPriceFormatted = `₹${unitPrice.toFixed(2)}/${weightUnit === 'ml' ? '100ml' : '100g'}`;
-  }
-  
   return {
-    individualWeight,
-    totalWeight,
-    weightUnit,
-    packSize: packMatch ? parseInt(packMatch[1]) : null,
+    individualWeight: quantity ? quantity.perItem : 0,
+    totalWeight: quantity ? quantity.total : 0,
+    weightUnit: quantity ? quantity.unit : '',
+    packSize: quantity && quantity.packCount > 1 ? quantity.packCount : null,
     unitPrice,
+    unitPriceBasis,
     unitPriceFormatted
   };
 };
@@ -187,10 +114,8 @@ const compareSizes = (weightMatch, searchSize) => {
 module.exports = {
   weightPatterns,
   packPatterns,
-  featureKeywords,
   extractWeight,
   extractPackSize,
-  extractFeatures,
   calculateWeightAndPrice,
   compareSizes
 };
@@ -1,7 +1,15 @@
 /**
  * Utility functions for brand detection and matching
+ *
+ * Brands come from the curated catalogue in data/brands.json: per category, each
+ * brand's name, aliases, common misspellings and Devanagari spellings. Text is
+ * matched against every spelling token by token, so a multi-word brand such as
+ * "Surf Excel" only matches as a whole and "lux" never matches inside "deluxe".
+ * Spellings not in the catalogue are caught by a bounded edit distance.
  */
 
+const catalogue = require('../data/brands.json');
+
 // Common generic words to exclude (applicable across all categories)
 const genericWords = [
   // Units and measurements
@@ -20,95 +28,310 @@ const genericWords = [
   'dishwash', 'bathing', 'bar', 'bottle', 'container', 'tube', 'jar'
 ];
 
+// Lowest confidence at which a listing is attributed to a brand
+const BRAND_MATCH_THRESHOLD = 0.7;
+// Confidence lost per word a brand appears after the start of a title
+const POSITION_PENALTY = 0.03;
+// Confidence in a brand the platform declared that is not in the catalogue
+const DECLARED_BRAND_CONFIDENCE = 0.8;
+
+// Confidence for each kind of catalogue spelling
+const SPELLING_CONFIDENCE = {
+  name: 1,
+  alias: 1,
+  devanagari: 1,
+  misspelling: 0.9
+};
+// Two spellings that differ only in spacing ("dabur red" / "daburred")
+const COMPACT_CONFIDENCE = 0.95;
+// Ceiling for spellings found by edit distance, scaled down per edit
+const FUZZY_CONFIDENCE = 0.9;
+
 /**
- * Detects potential brand names from a search query
- * @param {string} query - The search query
- * @returns {string[]} - Array of potential brand names
+ * Normalises text for brand matching
+ * Case, Latin accents, apostrophes and punctuation are dropped and "&" reads as "and",
+ * so "L'Oréal" becomes "loreal" and "Head & Shoulders" becomes "head and shoulders".
+ * @param {string} text - Text to normalise
+ * @returns {string} - Space-separated lower-case words
  */
-const detectBrands = (query) => {
-  // Split the query and analyze position and length
-  const words = query.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-  
-  // First word has high probability of being a brand (if not generic)
-  let potentialBrands = [];
-  
-  if (words.length > 0 && !genericWords.includes(words[0])) {
-    potentialBrands.push(words[0]);
-  }
-  
-  // Look for capitalized words in the original query (often brands)
-  const capitalizedWords = query.split(/\s+/).filter(word => 
-    word.length > 1 && 
-    word[0] === word[0].toUpperCase() && 
-    word[1] === word[1].toLowerCase() &&
-    !genericWords.includes(word.toLowerCase())
-  );
-  
-  capitalizedWords.forEach(word => {
-    const normalized = word.toLowerCase();
-    if (!potentialBrands.includes(normalized)) {
-      potentialBrands.push(normalized);
+const normalizeBrandText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/['’`]/g, '')
+  .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Allowed edit distance for a spelling of the given length
+ * Names of five letters or fewer are common words or other brands one edit away
+ * ("Pearl" / Pears, "Nivia" / Nivea), so they must match exactly.
+ * @param {number} length - Spelling length
+ * @returns {number} - Maximum edits
+ */
+const maxEdits = (length) => {
+  if (length < 6) return 0;
+  return length <= 8 ? 1 : 2;
+};
+
+/**
+ * Counts the edits (insertions, deletions, substitutions, adjacent swaps) between two strings
+ * Gives up early once every path costs more than `limit`.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} - Edit distance, or limit + 1 when it exceeds limit
+ */
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
     }
+    if (rowMin > limit) return limit + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+/**
+ * Builds the lookup tables for the brand catalogue
+ * A brand listed under several categories is merged into one entry.
+ * @param {object} source - Catalogue: { category: [{ name, aliases, misspellings, devanagari, commonWord, owns }] }
+ * @returns {object} - { brands, exact, compact, fuzzy, maxTokens }
+ */
+const buildIndex = (source) => {
+  const brands = new Map();
+  Object.entries(source).forEach(([category, entries]) => {
+    entries.forEach(entry => {
+      if (!brands.has(entry.name)) {
+        brands.set(entry.name, { name: entry.name, categories: [], commonWord: false, owns: [], spellings: [] });
+      }
+      const brand = brands.get(entry.name);
+      if (!brand.categories.includes(category)) brand.categories.push(category);
+      brand.commonWord = brand.commonWord || Boolean(entry.commonWord);
+      brand.owns.push(...(entry.owns || []));
+      brand.spellings.push(
+        { text: entry.name, kind: 'name' },
+        ...(entry.aliases || []).map(text => ({ text, kind: 'alias' })),
+        ...(entry.misspellings || []).map(text => ({ text, kind: 'misspelling' })),
+        ...(entry.devanagari || []).map(text => ({ text, kind: 'devanagari' }))
+      );
+    });
   });
-  
-  // If no brands detected yet, try words that aren't generic
-  if (potentialBrands.length === 0) {
-    potentialBrands = words.filter(word => !genericWords.includes(word));
+
+  const exact = new Map();
+  const compact = new Map();
+  const fuzzy = new Map();
+  let maxTokens = 1;
+  const add = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+
+  brands.forEach(brand => {
+    brand.spellings.forEach(spelling => {
+      const text = normalizeBrandText(spelling.text);
+      if (!text) return;
+      const tokens = text.split(' ').length;
+      const variant = { brand, text, tokens, confidence: SPELLING_CONFIDENCE[spelling.kind] };
+      maxTokens = Math.max(maxTokens, tokens);
+      add(exact, text, variant);
+      add(compact, text.replace(/ /g, ''), variant);
+      // Edit distance is only meaningful for Latin spellings
+      if (spelling.kind !== 'misspelling' && /^[a-z0-9 ]+$/.test(text)) add(fuzzy, `${tokens}|${text[0]}`, variant);
+    });
+  });
+
+  return { brands, exact, compact, fuzzy, maxTokens };
+};
+
+const index = buildIndex(catalogue);
+
+/**
+ * Finds catalogue spellings matching a run of words
+ * @param {string} phrase - Normalised words
+ * @param {number} tokenCount - Number of words in phrase
+ * @returns {Array} - [{ brand, confidence }]
+ */
+const matchPhrase = (phrase, tokenCount) => {
+  if (index.exact.has(phrase)) {
+    return index.exact.get(phrase).map(variant => ({ brand: variant.brand, confidence: variant.confidence }));
+  }
+  const squeezed = phrase.replace(/ /g, '');
+  if (index.compact.has(squeezed)) {
+    return index.compact.get(squeezed).map(variant => ({ brand: variant.brand, confidence: Math.min(variant.confidence, COMPACT_CONFIDENCE) }));
+  }
+
+  const words = phrase.split(' ');
+  if (!/^[a-z0-9 ]+$/.test(phrase) || words.some(word => genericWords.includes(word) || /^\d+$/.test(word))) return [];
+  if (maxEdits(phrase.length) === 0) return [];
+
+  // Misspellings keep their first letter often enough to narrow the search to it
+  return (index.fuzzy.get(`${tokenCount}|${phrase[0]}`) || [])
+    .map(variant => {
+      const limit = Math.min(maxEdits(phrase.length), maxEdits(variant.text.length));
+      return { brand: variant.brand, edits: editDistance(phrase, variant.text, limit), limit, length: variant.text.length };
+    })
+    .filter(match => match.edits > 0 && match.edits <= match.limit)
+    .map(match => ({ brand: match.brand, confidence: FUZZY_CONFIDENCE * (1 - match.edits / match.length) }));
+};
+
+/**
+ * Finds every catalogue brand mentioned in a text
+ * Overlapping mentions are resolved in favour of the more confident, then the longer one.
+ * @param {string} text - Query or product title
+ * @param {object} [options] - { category } restricts matches to one category's brands
+ * @returns {Array} - [{ name, confidence, matched, position }] in text order
+ */
+const findBrands = (text, options = {}) => {
+  const tokens = normalizeBrandText(text).split(' ').filter(Boolean);
+  const candidates = [];
+
+  for (let start = 0; start < tokens.length; start++) {
+    for (let length = 1; length <= index.maxTokens && start + length <= tokens.length; length++) {
+      const phrase = tokens.slice(start, start + length).join(' ');
+      matchPhrase(phrase, length).forEach(({ brand, confidence }) => {
+        if (options.category && !brand.categories.includes(options.category)) return;
+        // Brands that are everyday words ("Tide", "Apple") only count where a brand name goes
+        if (brand.commonWord && start > 0) return;
+        candidates.push({ brand, confidence, matched: phrase, start, length });
+      });
+    }
   }
-  
-  return potentialBrands;
+
+  const taken = [];
+  candidates
+    .sort((a, b) => (b.confidence - a.confidence) || (b.length - a.length) || (a.start - b.start))
+    .forEach(candidate => {
+      const overlaps = taken.some(other => candidate.start < other.start + other.length && other.start < candidate.start + candidate.length);
+      const duplicate = taken.some(other => other.brand === candidate.brand);
+      if (!overlaps && !duplicate) taken.push(candidate);
+    });
+
+  return taken
+    .sort((a, b) => a.start - b.start)
+    .map(match => ({
+      name: match.brand.name,
+      confidence: Math.round(match.confidence * 100) / 100,
+      matched: match.matched,
+      position: match.start
+    }));
+};
+
+/**
+ * Attributes a listing to a brand
+ * A brand the platform declared wins; otherwise the most confident catalogue brand in the
+ * title, with brands further from the start of the title trusted less.
+ * @param {string} title - Product title
+ * @param {object} [options] - { category, declaredBrand }
+ * @returns {object|null} - { name, confidence } or null when no brand is recognised
+ */
+const matchBrand = (title, options = {}) => {
+  const { category, declaredBrand } = options;
+  if (declaredBrand && String(declaredBrand).trim()) {
+    const [declared] = findBrands(declaredBrand);
+    if (declared) return { name: declared.name, confidence: declared.confidence };
+    return { name: String(declaredBrand).trim(), confidence: DECLARED_BRAND_CONFIDENCE };
+  }
+
+  const best = findBrands(title, { category })
+    .map(match => ({ name: match.name, confidence: Math.round((match.confidence - POSITION_PENALTY * match.position) * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence)[0];
+  return best && best.confidence >= BRAND_MATCH_THRESHOLD ? best : null;
+};
+
+/**
+ * Detects the brands named in a search query
+ * @param {string} query - The search query
+ * @param {object} [options] - { category } restricts detection to one category's brands
+ * @returns {string[]} - Canonical brand names, e.g. ['Surf Excel']
+ */
+const detectBrands = (query, options = {}) => findBrands(query, options)
+  .filter(match => match.confidence >= BRAND_MATCH_THRESHOLD)
+  .map(match => match.name);
+
+/**
+ * Checks whether a listing's brand is one of the requested brands
+ * A company satisfies its own brands: a search for "HUL" accepts Surf Excel.
+ * @param {string|null} brand - The listing's brand name
+ * @param {string[]} requestedBrands - Brand names from the query
+ * @returns {boolean} - True if the brand is, or belongs to, a requested brand
+ */
+const isBrandMatch = (brand, requestedBrands) => {
+  if (!brand || !requestedBrands || requestedBrands.length === 0) return false;
+  const name = brand.toLowerCase();
+  return requestedBrands.some(requested => {
+    if (requested.toLowerCase() === name) return true;
+    const owner = index.brands.get(requested);
+    return Boolean(owner) && owner.owns.some(owned => owned.toLowerCase() === name);
+  });
 };
 
 /**
  * Checks if a product title matches any of the potential brands
  * @param {string} title - The product title
- * @param {string[]} potentialBrands - Array of potential brand names
- * @returns {boolean} - True if the title matches any brand
+ * @param {string[]} potentialBrands - Array of brand names
+ * @returns {boolean} - True if the title's brand is one of them
  */
 const checkBrandMatch = (title, potentialBrands) => {
-  if (!title || potentialBrands.length === 0) return false;
-  
-  title = title.toLowerCase();
-  let isMatch = false;
-  
-  // Try to match brands at the beginning of the title (most reliable)
-  const titleWords = title.split(/\s+/);
-  const firstTitleWord = titleWords[0].toLowerCase();
-  
-  // Check if first word in title matches any potential brand
-  isMatch = potentialBrands.some(brand => 
-    firstTitleWord === brand || firstTitleWord.includes(brand) || brand.includes(firstTitleWord)
-  );
-  
-  // If no match found with first word, check anywhere in the first 20 characters
-  if (!isMatch) {
-    isMatch = potentialBrands.some(brand => 
-      title.includes(brand) && title.indexOf(brand) < 20
-    );
-  }
-  
-  // More flexible approach if still no match
-  if (!isMatch) {
-    // Check if any potential brand appears anywhere in the title
-    for (const brand of potentialBrands) {
-      // Try different matching strategies
-      const exactWordMatch = titleWords.some(word => word.toLowerCase() === brand);
-      const partialMatch = titleWords.some(word => 
-        word.toLowerCase().includes(brand) || brand.includes(word.toLowerCase())
-      );
-      
-      if (exactWordMatch || partialMatch) {
-        isMatch = true;
-        break;
-      }
-    }
-  }
-  
-  return isMatch;
+  if (!title || !potentialBrands || potentialBrands.length === 0) return false;
+  const match = matchBrand(title);
+  return Boolean(match) && isBrandMatch(match.name, potentialBrands);
+};
+
+/**
+ * Lists the catalogue brands of a category
+ * @param {string} category - Category key from data/brands.json, e.g. "home-care"
+ * @returns {string[]} - Brand names (empty for an unknown category)
+ */
+const getCategoryBrands = (category) => (catalogue[category] || []).map(entry => entry.name);
+
+/**
+ * Checks whether a brand name is also an everyday word ("Apple", "Tide", "Dove")
+ * @param {string} name - Canonical brand name
+ * @returns {boolean} - True for brands marked commonWord in data/brands.json
+ */
+const isCommonWordBrand = (name) => {
+  const brand = index.brands.get(name);
+  return Boolean(brand && brand.commonWord);
+};
+
+/**
+ * Lists the catalogue categories a brand is sold under
+ * @param {string} name - Canonical brand name, e.g. "Dettol"
+ * @returns {string[]} - Category keys from data/brands.json (empty for an unknown brand)
+ */
+const getBrandCategories = (name) => {
+  const brand = index.brands.get(name);
+  return brand ? [...brand.categories] : [];
 };
 
 module.exports = {
+  BRAND_MATCH_THRESHOLD,
   genericWords,
+  normalizeBrandText,
+  maxEdits,
+  editDistance,
+  findBrands,
+  matchBrand,
   detectBrands,
-  checkBrandMatch
+  isBrandMatch,
+  checkBrandMatch,
+  getCategoryBrands,
+  getBrandCategories,
+  isCommonWordBrand
 };
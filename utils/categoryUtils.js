@@ -0,0 +1,141 @@
+/**
+ * Utility functions for classifying queries into shopping categories
+ *
+ * Each query is tagged with one of the categories in data/categories.json
+ * (grocery, personal-care, electronics, fashion, home) from the product words
+ * it contains and the catalogue categories of the brands it names. Platform
+ * adapters declare the categories they sell, so a laptop query is not sent
+ * to a grocery app and a coriander query is not sent to a fashion store.
+ * A query that names nothing recognisable, or is split between categories,
+ * is left unclassified and searched everywhere. So is a query naming only a
+ * brand that is also an everyday word: "apple" may be the fruit.
+ */
+
+const categories = require('../data/categories.json');
+const lexicon = require('../data/lexicon.json');
+const { normalizeBrandText, getBrandCategories, isCommonWordBrand } = require('./brandUtils');
+
+// A product word says more about the category than a brand that sells across several
+const KEYWORD_WEIGHT = 2;
+const BRAND_WEIGHT = 1;
+
+const CATEGORIES = Object.keys(categories);
+
+/**
+ * Builds the keyword lookup from the category file and the lexicon
+ * @param {object} source - { category: { keywords, lexicon } }
+ * @returns {object} - { phrases: Map(phrase -> category), maxWords }
+ */
+const buildKeywords = (source) => {
+  const phrases = new Map();
+  let maxWords = 1;
+  Object.entries(source).forEach(([category, definition]) => {
+    const lexiconTerms = (definition.lexicon || [])
+      .flatMap(key => lexicon[key] || [])
+      .flatMap(entry => [entry.english, ...(entry.hinglish || []), ...(entry.synonyms || [])]);
+    [...definition.keywords, ...lexiconTerms].forEach(keyword => {
+      const phrase = normalizeBrandText(keyword);
+      if (!phrase || phrases.has(phrase)) return;
+      phrases.set(phrase, category);
+      maxWords = Math.max(maxWords, phrase.split(' ').length);
+    });
+  });
+  return { phrases, maxWords };
+};
+
+const keywords = buildKeywords(categories);
+
+// Brand catalogue category -> shopping category ("beauty" brands are personal care)
+const brandCategoryMap = Object.fromEntries(Object.entries(categories)
+  .flatMap(([category, definition]) => (definition.brandCategories || []).map(brandCategory => [brandCategory, category])));
+
+/**
+ * Looks up a run of words in the keyword list, allowing a plural last word
+ * @param {string} phrase - Normalised words
+ * @returns {string|undefined} - The keyword's category
+ */
+const lookupKeyword = (phrase) => keywords.phrases.get(phrase) ||
+  keywords.phrases.get(phrase.replace(/es$/, '')) ||
+  keywords.phrases.get(phrase.replace(/s$/, ''));
+
+/**
+ * Finds the category keywords in a text, longest phrase first
+ * @param {string} text - Query text
+ * @returns {Array} - [{ keyword, category }]
+ */
+const findKeywords = (text) => {
+  const tokens = normalizeBrandText(text).split(' ').filter(Boolean);
+  const found = [];
+  for (let start = 0; start < tokens.length;) {
+    let length = Math.min(keywords.maxWords, tokens.length - start);
+    for (; length > 0; length--) {
+      const phrase = tokens.slice(start, start + length).join(' ');
+      const category = lookupKeyword(phrase);
+      if (category) {
+        found.push({ keyword: phrase, category });
+        break;
+      }
+    }
+    start += Math.max(length, 1);
+  }
+  return found;
+};
+
+/**
+ * Tags a parsed query with the category it most likely belongs to
+ * @param {object} parsedQuery - From parseQuery
+ * @returns {object} - { name, confidence, signals }
+ *   name is the category, or null when the query is unclassified; confidence is the winning
+ *   category's share of the evidence (0-1); signals lists the keywords and brands used
+ */
+const classifyQuery = (parsedQuery) => {
+  const scores = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+  const signals = [];
+
+  const found = findKeywords(parsedQuery.searchText || parsedQuery.normalized || '');
+  found.forEach(({ keyword, category }) => {
+    scores[category] += KEYWORD_WEIGHT;
+    signals.push(`keyword: ${keyword}`);
+  });
+
+  // A brand sold in several categories ("Dettol": home and personal care) splits its weight
+  (parsedQuery.brands || []).forEach(brand => {
+    const brandCategories = [...new Set(getBrandCategories(brand).map(category => brandCategoryMap[category]).filter(Boolean))];
+    brandCategories.forEach(category => {
+      scores[category] += BRAND_WEIGHT / brandCategories.length;
+    });
+    if (brandCategories.length > 0) signals.push(`brand: ${brand}`);
+  });
+
+  // Without a product word, only a brand that can't be read as anything else decides
+  const distinctiveBrand = (parsedQuery.brands || []).some(brand => !isCommonWordBrand(brand));
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (total === 0 || best[1] === runnerUp[1] || (found.length === 0 && !distinctiveBrand)) {
+    return { name: null, confidence: 0, signals };
+  }
+  return { name: best[0], confidence: Math.round((best[1] / total) * 100) / 100, signals };
+};
+
+/**
+ * Picks the platforms to search for a category
+ * Platforms that declare no categories sell everything.
+ * @param {Array} platforms - Platform adapters
+ * @param {string|null} category - Category name from classifyQuery (null searches every platform)
+ * @returns {object} - { selected: adapters, skipped: adapters }
+ */
+const routePlatforms = (platforms, category) => {
+  if (!category) return { selected: platforms, skipped: [] };
+  const serves = (platform) => !platform.categories || platform.categories.includes(category);
+  return {
+    selected: platforms.filter(serves),
+    skipped: platforms.filter(platform => !serves(platform))
+  };
+};
+
+module.exports = {
+  CATEGORIES,
+  findKeywords,
+  classifyQuery,
+  routePlatforms
+};
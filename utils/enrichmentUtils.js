@@ -0,0 +1,193 @@
+/**
+ * Utility functions for enriching top results from their product detail pages
+ *
+ * Detail pages are parsed from JSON-LD Product data first, then from the
+ * adapter's productPage selectors. Enriched details are cached separately
+ * from search responses (ENRICH_CACHE_TTL) because stock, seller and delivery
+ * change on a different schedule than search listings.
+ */
+
+const cheerio = require('cheerio');
+const NodeCache = require('node-cache');
+
+const { fetchPage, findText } = require('./scraperUtils');
+const { getCircuitState } = require('./resilienceUtils');
+const { extractJsonLd, findJsonLdProducts, normalizeAvailability } = require('./structuredDataUtils');
+const { parsePriceText, formatPaise } = require('./priceUtils');
+
+const DEFAULT_ENRICH_LIMIT = 3;
+const MAX_ENRICH_LIMIT = 10;
+const ENRICH_CACHE_TTL = parseInt(process.env.ENRICH_CACHE_TTL, 10) || 900;
+
+const detailsCache = new NodeCache({
+  stdTTL: ENRICH_CACHE_TTL,
+  checkperiod: 120,
+  useClones: false
+});
+
+/**
+ * Converts availability text such as "Only 3 left in stock" into an availability value
+ * @param {string} text - Availability text or schema.org value
+ * @returns {string|null} - 'in_stock', 'out_of_stock', ... or null if unknown
+ */
+const parseAvailabilityText = (text) => {
+  if (!text) return null;
+  const normalized = normalizeAvailability(text);
+  if (normalized) return normalized;
+  if (/out of stock|unavailable|sold out|notify me/i.test(text)) return 'out_of_stock';
+  if (/in stock|left in stock|available/i.test(text)) return 'in_stock';
+  return null;
+};
+
+/**
+ * Reads key/value spec rows from a product page table
+ * @param {object} $ - Cheerio instance
+ * @param {string} rowSelector - Selector for spec rows
+ * @returns {object} - Specs keyed by label
+ */
+const extractSpecRows = ($, rowSelector) => {
+  const specs = {};
+  $(rowSelector).each((_, row) => {
+    const cells = $(row).find('th, td');
+    if (cells.length < 2) return;
+    const key = $(cells[0]).text().replace(/\s+/g, ' ').trim();
+    const value = $(cells[cells.length - 1]).text().replace(/\s+/g, ' ').trim();
+    if (key && value && !specs[key]) specs[key] = value;
+  });
+  return specs;
+};
+
+/**
+ * Parses a product detail page into enriched details
+ * @param {object} $ - Cheerio instance loaded with the product page
+ * @param {object} adapter - Platform adapter (may declare productPage.selectors)
+ * @returns {object} - { seller, rating, reviewCount, availability, mrp, deliveryEstimate, specs, source }
+ */
+const parseProductPage = ($, adapter) => {
+  const selectors = (adapter.productPage && adapter.productPage.selectors) || {};
+  const [structured] = findJsonLdProducts(extractJsonLd($));
+  const raw = structured || {};
+  const root = $.root();
+
+  const ratingText = raw.rating !== undefined ? String(raw.rating) : findText($, root, selectors.rating);
+  const reviewText = raw.reviewCount !== undefined ? String(raw.reviewCount) : findText($, root, selectors.reviewCount);
+  const mrpText = raw.mrp !== undefined ? String(raw.mrp) : findText($, root, selectors.mrp);
+  const rating = parseFloat(ratingText);
+  const reviewCount = parseInt(String(reviewText).replace(/[^\d]/g, ''), 10);
+  const mrp = parsePriceText(mrpText);
+
+  const specs = { ...(selectors.specs ? extractSpecRows($, selectors.specs) : {}), ...(raw.specs || {}) };
+
+  return {
+    seller: raw.seller || findText($, root, selectors.seller) || null,
+    rating: rating > 0 ? Math.round(rating * 10) / 10 : null,
+    reviewCount: Number.isNaN(reviewCount) ? null : reviewCount,
+    availability: parseAvailabilityText(raw.availability) || parseAvailabilityText(findText($, root, selectors.availability)),
+    mrp: mrp ? formatPaise(mrp.paise) : null,
+    // Strip the "Delivery by" label some platforms render in the same element
+    deliveryEstimate: findText($, root, selectors.delivery).replace(/^(free\s+)?delivery\s*(by)?\s*/i, '') || null,
+    specs,
+    source: structured ? 'json-ld' : 'selectors'
+  };
+};
+
+/**
+ * Builds the fixture key for a product page
+ * @param {string} link - Product URL
+ * @returns {string} - Key such as "product /dp/B07Q2YLD7W"
+ */
+const productFixtureKey = (link) => {
+  try {
+    return `product ${new URL(link).pathname}`;
+  } catch (err) {
+    return `product ${link}`;
+  }
+};
+
+/**
+ * Fetches (or reads from cache) the enriched details for one result
+ * @param {object} item - Search result with a product link
+ * @param {object} adapter - The result's platform adapter
+ * @returns {Promise<object>} - Enriched details with fetchedAt and cached flags
+ */
+const getProductDetails = async (item, adapter) => {
+  const cached = detailsCache.get(item.link);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const html = await fetchPage(adapter, item.link, productFixtureKey(item.link));
+  const details = { ...parseProductPage(cheerio.load(html), adapter), fetchedAt: new Date().toISOString() };
+  detailsCache.set(item.link, details);
+  return { ...details, cached: false };
+};
+
+/**
+ * Explains why a result's product page should not be fetched
+ * @param {object} item - Search result
+ * @param {object} adapter - The result's platform adapter
+ * @returns {string|null} - The reason, or null if the page can be fetched
+ */
+const skipReason = (item, adapter) => {
+  // The platform is failing, or a search is already trying it again
+  if (getCircuitState(adapter.name).state !== 'closed') return 'Circuit open after repeated failures';
+  // A link the adapter can't read a product id from is a search fallback, not a product page
+  if (adapter.extractProductId && !adapter.extractProductId(item.link)) return 'Not a product page';
+  return null;
+};
+
+/**
+ * Enriches the first `limit` results with details from their product pages
+ * Results are modified in place: each enriched item gains a `details` object.
+ * Failures are reported but never fail the search. Results on a platform
+ * whose circuit is open, or whose link is not a product page, are skipped.
+ * @param {Array} items - Ranked results (exact matches first)
+ * @param {Function} getAdapter - (platformName) => adapter
+ * @param {number} [limit] - Number of results to enrich
+ * @returns {Promise<object>} - { requested, enriched, failed: [{ link, platform, error }],
+ *   skipped: [{ link, platform, reason }] }
+ */
+const enrichResults = async (items, getAdapter, limit = DEFAULT_ENRICH_LIMIT) => {
+  const targets = items.slice(0, Math.min(limit, MAX_ENRICH_LIMIT));
+  const summary = { requested: targets.length, enriched: 0, failed: [], skipped: [] };
+
+  await Promise.all(targets.map(async item => {
+    const adapter = getAdapter(item.platform);
+    try {
+      if (!adapter) throw new Error(`Unknown platform ${item.platform}`);
+      const reason = skipReason(item, adapter);
+      if (reason) {
+        summary.skipped.push({ platform: item.platform, link: item.link, reason });
+        return;
+      }
+      item.details = await getProductDetails(item, adapter);
+      summary.enriched++;
+    } catch (err) {
+      console.error(`Enrichment failed for ${item.link}:`, err.message);
+      summary.failed.push({ platform: item.platform, link: item.link, error: err.message });
+    }
+  }));
+
+  return summary;
+};
+
+/**
+ * Clears the product details cache
+ * @returns {number} - Number of entries removed
+ */
+const clearDetailsCache = () => {
+  const count = detailsCache.keys().length;
+  detailsCache.flushAll();
+  return count;
+};
+
+module.exports = {
+  DEFAULT_ENRICH_LIMIT,
+  MAX_ENRICH_LIMIT,
+  ENRICH_CACHE_TTL,
+  parseAvailabilityText,
+  parseProductPage,
+  productFixtureKey,
+  enrichResults,
+  clearDetailsCache
+};
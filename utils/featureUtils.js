@@ -0,0 +1,114 @@
+/**
+ * Utility functions for product features and facets
+ *
+ * Features ("lemon", "sugar free", "cotton", "organic") are read from titles
+ * and queries using the taxonomy in data/features: one file per shopping
+ * category (see data/categories.json) plus common.json, which applies to
+ * every category. Each file groups features into facets (flavour, diet,
+ * material, certification, ...) and lists the phrases that name each
+ * feature. Phrases match whole words only, longest first, and a phrase that
+ * is negated ("sugar free", "no onion", "without fragrance") does not count
+ * as the feature it names. Adding a category's taxonomy is a matter of
+ * adding its file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeBrandText } = require('./brandUtils');
+
+const FEATURES_DIR = path.join(__dirname, '../data/features');
+const COMMON = 'common';
+
+// Words around a phrase that turn it into its absence ("no parabens", "alcohol free")
+const NEGATING_PREFIXES = new Set(['no', 'non', 'not', 'without', 'zero']);
+const NEGATING_SUFFIXES = new Set(['free', 'less']);
+
+const taxonomies = Object.fromEntries(fs.readdirSync(FEATURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(FEATURES_DIR, file), 'utf8'))]));
+
+/**
+ * Builds the phrase lookup for a list of taxonomies
+ * A phrase defined twice keeps its first feature.
+ * @param {Array} sources - Taxonomies, { facet: { feature: [phrases] } }
+ * @returns {object} - { phrases: Map(phrase -> { facet, feature }), maxWords }
+ */
+const buildLookup = (sources) => {
+  const phrases = new Map();
+  let maxWords = 1;
+  sources.forEach(taxonomy => {
+    Object.entries(taxonomy).forEach(([facet, features]) => {
+      Object.entries(features).forEach(([feature, synonyms]) => {
+        [feature, ...synonyms].forEach(synonym => {
+          const phrase = normalizeBrandText(synonym);
+          if (!phrase || phrases.has(phrase)) return;
+          phrases.set(phrase, { facet, feature });
+          maxWords = Math.max(maxWords, phrase.split(' ').length);
+        });
+      });
+    });
+  });
+  return { phrases, maxWords };
+};
+
+const categoryNames = Object.keys(taxonomies).filter(name => name !== COMMON);
+const commonTaxonomy = taxonomies[COMMON] || {};
+
+// One lookup per category, and one across every category for unclassified queries
+const lookups = new Map(categoryNames.map(name => [name, buildLookup([commonTaxonomy, taxonomies[name]])]));
+const allLookup = buildLookup([commonTaxonomy, ...categoryNames.map(name => taxonomies[name])]);
+
+/**
+ * Looks up a run of words in the taxonomy, allowing a plural last word
+ * @param {object} lookup - From buildLookup
+ * @param {string} phrase - Normalised words
+ * @returns {object|undefined} - { facet, feature }
+ */
+const lookupPhrase = (lookup, phrase) => lookup.phrases.get(phrase) ||
+  lookup.phrases.get(phrase.replace(/es$/, '')) ||
+  lookup.phrases.get(phrase.replace(/s$/, ''));
+
+/**
+ * Reads the features in a text, grouped by facet
+ * @param {string} text - Product title or query
+ * @param {string|null} category - Category name from classifyQuery (null uses every category's taxonomy)
+ * @returns {object} - { facet: [feature] }, facets and features in the order they appear
+ */
+const extractFacets = (text, category = null) => {
+  const lookup = lookups.get(category) || allLookup;
+  const tokens = normalizeBrandText(text).split(' ').filter(Boolean);
+  const facets = {};
+
+  for (let start = 0; start < tokens.length;) {
+    let length = Math.min(lookup.maxWords, tokens.length - start);
+    let consumed = 1;
+    for (; length > 0; length--) {
+      const match = lookupPhrase(lookup, tokens.slice(start, start + length).join(' '));
+      if (!match) continue;
+
+      const negatedBefore = NEGATING_PREFIXES.has(tokens[start - 1]);
+      const negatedAfter = NEGATING_SUFFIXES.has(tokens[start + length]);
+      if (!negatedBefore && !negatedAfter) {
+        facets[match.facet] = facets[match.facet] || [];
+        if (!facets[match.facet].includes(match.feature)) facets[match.facet].push(match.feature);
+      }
+      consumed = length + (negatedAfter ? 1 : 0);
+      break;
+    }
+    start += consumed;
+  }
+  return facets;
+};
+
+/**
+ * Reads the features in a text as a flat list
+ * @param {string} text - Product title or query
+ * @param {string|null} category - Category name from classifyQuery
+ * @returns {string[]} - Feature names
+ */
+const extractFeatures = (text, category = null) => Object.values(extractFacets(text, category)).flat();
+
+module.exports = {
+  extractFacets,
+  extractFeatures
+};
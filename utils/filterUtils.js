@@ -0,0 +1,137 @@
+/**
+ * Utility functions for the filter parameters of /search
+ *
+ * platforms chooses which platforms are searched; minPrice, maxPrice, brand,
+ * minRating and inStock narrow the scored results, so any client can ask for
+ * "cheapest per 100g on Blinkit and Zepto only" without re-filtering in the
+ * browser. Results that don't state a rating are dropped by minRating;
+ * results that don't state their availability are kept by inStock, since
+ * platforms list out-of-stock items as such.
+ */
+
+const { findBrands, isBrandMatch } = require('./brandUtils');
+const { getPricePaise } = require('./priceUtils');
+
+const MAX_RATING = 5;
+
+/**
+ * Splits a comma-separated parameter
+ * @param {string} value - Parameter value, e.g. "blinkit, zepto"
+ * @returns {string[]} - Non-empty, trimmed entries
+ */
+const splitList = (value) => String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+
+/**
+ * Reads the platforms parameter of a request
+ * A repeated parameter (platforms=amazon&platforms=zepto) is read as one list.
+ * @param {string|string[]|undefined} value - "all", or platform ids such as "amazon,flipkart"
+ * @param {Array} platforms - Every platform adapter
+ * @returns {Array|null} - Adapters to search, or null to search those selling the query's category
+ * @throws {Error} - For an empty list or an unknown platform
+ */
+const parsePlatformsParam = (value, platforms) => {
+  if (value === undefined) return null;
+  if (value === 'all') return platforms;
+
+  const ids = splitList([].concat(value).join(',').toLowerCase());
+  if (ids.length === 0) throw new Error('"platforms" must be "all" or a comma-separated list of platforms');
+  return [...new Set(ids)].map(id => {
+    const platform = platforms.find(adapter => adapter.id === id || adapter.name.toLowerCase() === id);
+    if (!platform) throw new Error(`"platforms" must be "all" or a list of ${platforms.map(adapter => adapter.id).join(', ')}`);
+    return platform;
+  });
+};
+
+/**
+ * Reads a non-negative number parameter
+ * @param {object} query - Express req.query
+ * @param {string} name - Parameter name
+ * @param {number} [max] - Largest allowed value
+ * @returns {number|undefined} - The number, or undefined when the parameter is absent
+ * @throws {Error} - If the value isn't a number in range
+ */
+const parseNumberParam = (query, name, max = Infinity) => {
+  const value = query[name];
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < 0 || number > max) {
+    throw new Error(max === Infinity ? `"${name}" must be a non-negative number` : `"${name}" must be a number between 0 and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Reads the result filter parameters of a request
+ * Brands are resolved to their catalogue names ("surfexcel" is Surf Excel).
+ * @param {object} query - Express req.query
+ * @returns {object} - { minPrice, maxPrice, brand, minRating, inStock } with only the filters given;
+ *   prices in rupees, brand a list of names
+ * @throws {Error} - If a filter is malformed
+ */
+const parseFilterParams = (query) => {
+  const filters = {};
+
+  const minPrice = parseNumberParam(query, 'minPrice');
+  const maxPrice = parseNumberParam(query, 'maxPrice');
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new Error('"minPrice" must not be more than "maxPrice"');
+  }
+  if (minPrice !== undefined) filters.minPrice = minPrice;
+  if (maxPrice !== undefined) filters.maxPrice = maxPrice;
+
+  if (query.brand !== undefined) {
+    const brands = splitList(query.brand);
+    if (brands.length === 0) throw new Error('"brand" must name at least one brand');
+    filters.brand = [...new Set(brands.map(brand => {
+      const [known] = findBrands(brand);
+      return known ? known.name : brand;
+    }))];
+  }
+
+  const minRating = parseNumberParam(query, 'minRating', MAX_RATING);
+  if (minRating !== undefined) filters.minRating = minRating;
+
+  // There is no out-of-stock filter, so false is rejected rather than ignored
+  if (query.inStock !== undefined) {
+    if (query.inStock !== 'true') throw new Error('"inStock" must be true');
+    filters.inStock = true;
+  }
+
+  return filters;
+};
+
+/**
+ * Checks a result against the filters
+ * @param {object} item - Search result
+ * @param {object} filters - From parseFilterParams
+ * @returns {boolean} - True if the result passes every filter
+ */
+const passesFilters = (item, filters) => {
+  const pricePaise = getPricePaise(item);
+  if (filters.minPrice !== undefined && (pricePaise === null || pricePaise < filters.minPrice * 100)) return false;
+  if (filters.maxPrice !== undefined && (pricePaise === null || pricePaise > filters.maxPrice * 100)) return false;
+  if (filters.brand && !isBrandMatch(item.brand, filters.brand)) return false;
+  if (filters.minRating !== undefined) {
+    const rating = Number(item.rating);
+    if (item.rating === undefined || item.rating === null || Number.isNaN(rating) || rating < filters.minRating) return false;
+  }
+  if (filters.inStock && (item.availability === 'out_of_stock' || item.deliverable === false)) return false;
+  return true;
+};
+
+/**
+ * Keeps the results that pass the filters
+ * @param {Array} results - Search results
+ * @param {object} filters - From parseFilterParams
+ * @returns {Array} - The passing results, in their original order
+ */
+const applyFilters = (results, filters) => {
+  if (!results || !Array.isArray(results)) return [];
+  return results.filter(item => passesFilters(item, filters));
+};
+
+module.exports = {
+  parsePlatformsParam,
+  parseFilterParams,
+  applyFilters
+};
@@ -0,0 +1,132 @@
+/**
+ * Utility functions for recording and replaying platform HTML fixtures
+ *
+ * SCRAPER_FIXTURES=record saves every fetched page to the fixtures directory,
+ * SCRAPER_FIXTURES=replay serves pages from it instead of the network.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'html');
+
+/**
+ * Returns the current fixture mode
+ * @returns {string|null} - 'record', 'replay' or null when disabled
+ */
+const getFixtureMode = () => {
+  const mode = (process.env.SCRAPER_FIXTURES || '').toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : null;
+};
+
+/**
+ * Returns the directory fixtures are read from and written to
+ * @returns {string} - Absolute fixtures directory
+ */
+const getFixturesDir = () => process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+/**
+ * Converts a search query into a file-system safe fixture name
+ * @param {string} query - The search query
+ * @returns {string} - Slug (e.g. "dettol handwash" -> "dettol-handwash")
+ */
+const querySlug = (query) => {
+  return String(query)
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '') || 'empty';
+};
+
+/**
+ * Builds the fixture file path for a platform and query
+ * @param {string} platformId - Platform adapter id
+ * @param {string} query - The search query
+ * @param {object} [variant] - What else the page depends on
+ * @param {number} [variant.page] - Results page (pages after the first get a ".page-N" suffix)
+ * @param {string} [variant.location] - Location key (adds a ".loc-<key>" suffix)
+ * @returns {string} - Absolute path of the HTML fixture
+ */
+const fixturePath = (platformId, query, { page = 1, location } = {}) => {
+  const pageSuffix = page > 1 ? `.page-${page}` : '';
+  const locationSuffix = location ? `.loc-${querySlug(location)}` : '';
+  return path.join(getFixturesDir(), platformId, `${querySlug(query)}${pageSuffix}${locationSuffix}.html`);
+};
+
+/**
+ * Reads a recorded fixture
+ * @param {string} platformId - Platform adapter id
+ * @param {string} query - The search query
+ * @param {object} [variant] - Page and location (see fixturePath)
+ * @returns {string} - The recorded HTML
+ * @throws {Error} - If no fixture was recorded for this platform and query
+ */
+const loadFixture = (platformId, query, variant = {}) => {
+  const file = fixturePath(platformId, query, variant);
+  if (!fs.existsSync(file)) {
+    const details = [
+      variant.page > 1 ? `page ${variant.page}` : '',
+      variant.location ? `at ${variant.location}` : ''
+    ].filter(Boolean).join(' ');
+    throw new Error(`No fixture recorded for ${platformId} "${query}"${details ? ` ${details}` : ''} (${file})`);
+  }
+  return fs.readFileSync(file, 'utf8');
+};
+
+/**
+ * Saves fetched HTML as a fixture
+ * @param {string} platformId - Platform adapter id
+ * @param {string} query - The search query
+ * @param {string} html - The raw HTML returned by the platform
+ * @param {object} [variant] - Page and location (see fixturePath)
+ * @returns {string} - Path the fixture was written to
+ */
+const saveFixture = (platformId, query, html, variant = {}) => {
+  const file = fixturePath(platformId, query, variant);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof html === 'string' ? html : JSON.stringify(html));
+  console.log(`Recorded fixture ${file}`);
+  return file;
+};
+
+/**
+ * Returns the path of a platform's recorded robots.txt
+ * @param {string} platformId - Platform adapter id
+ * @returns {string} - Absolute path of the robots.txt fixture
+ */
+const robotsFixturePath = (platformId) => path.join(getFixturesDir(), platformId, 'robots.txt');
+
+/**
+ * Reads a platform's recorded robots.txt
+ * @param {string} platformId - Platform adapter id
+ * @returns {string|null} - The recorded file, or null if none was recorded (everything allowed)
+ */
+const loadRobotsFixture = (platformId) => {
+  const file = robotsFixturePath(platformId);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+};
+
+/**
+ * Saves a platform's robots.txt as a fixture
+ * @param {string} platformId - Platform adapter id
+ * @param {string} text - The robots.txt body
+ * @returns {string} - Path the fixture was written to
+ */
+const saveRobotsFixture = (platformId, text) => {
+  const file = robotsFixturePath(platformId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+  console.log(`Recorded fixture ${file}`);
+  return file;
+};
+
+module.exports = {
+  getFixtureMode,
+  getFixturesDir,
+  querySlug,
+  fixturePath,
+  loadFixture,
+  saveFixture,
+  loadRobotsFixture,
+  saveRobotsFixture
+};
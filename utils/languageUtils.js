@@ -0,0 +1,211 @@
+/**
+ * Utility functions for Hindi and Hinglish queries
+ *
+ * Queries such as "aata 5kg", "haldi" or "सर्फ एक्सेल" are rewritten before
+ * parsing: grocery and household words from data/lexicon.json become the name
+ * catalogues list them under ("haldi" → "turmeric powder", but "aata" → "atta"),
+ * brands written in Devanagari become the brand name, and any other Devanagari
+ * is transliterated to Hinglish. Each rewrite remembers
+ * the words it came from, so platforms whose catalogues use the Hindi names
+ * (quick-commerce and grocery stores) can still be searched with them.
+ */
+
+const lexicon = require('../data/lexicon.json');
+const { BRAND_MATCH_THRESHOLD, findBrands, normalizeBrandText } = require('./brandUtils');
+
+// Longest lexicon phrase or brand name looked up, in words
+const MAX_PHRASE_WORDS = 4;
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+// Devanagari letters in the spellings Indian shoppers type ("haldi", "cheeni", "doodh")
+const INDEPENDENT_VOWELS = {
+  'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ऍ': 'e'
+};
+const VOWEL_SIGNS = {
+  'ा': 'a', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+// Consonants with a nukta (decomposed by NFD) write borrowed sounds
+const NUKTA_CONSONANTS = { 'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f', 'य': 'y' };
+const LABIALS = new Set(['प', 'फ', 'ब', 'भ', 'म']);
+const VIRAMA = '्';
+const NUKTA = '़';
+const NASALS = new Set(['ं', 'ँ']);
+const VISARGA = 'ः';
+
+/**
+ * Builds the lexicon lookup from the catalogue file
+ * @param {object} source - Lexicon: { category: [{ english, hinglish, devanagari, synonyms }] }
+ * @returns {Map} - Normalised spelling -> entry
+ */
+const buildLexicon = (source) => {
+  const spellings = new Map();
+  Object.entries(source).forEach(([category, entries]) => {
+    entries.forEach(entry => {
+      const term = { ...entry, category, hinglish: entry.hinglish || [], synonyms: entry.synonyms || [] };
+      [...term.hinglish, ...(entry.devanagari || [])].forEach(spelling => {
+        spellings.set(normalizeBrandText(spelling), term);
+      });
+    });
+  });
+  return spellings;
+};
+
+const spellings = buildLexicon(lexicon);
+
+/**
+ * Transliterates one Devanagari word to Hinglish
+ * The inherent "a" is dropped at the end of a word and between consonants where
+ * Hindi drops it ("सरसों" → "sarson", "नमक" → "namak").
+ * @param {string} word - Devanagari word
+ * @returns {string} - Romanised word
+ */
+const transliterateWord = (word) => {
+  const letters = [];
+  [...word.normalize('NFD')].forEach(char => {
+    const last = letters[letters.length - 1];
+    if (CONSONANTS[char]) letters.push({ char, consonant: CONSONANTS[char], vowel: null, virama: false });
+    else if (INDEPENDENT_VOWELS[char]) letters.push({ char, vowel: INDEPENDENT_VOWELS[char] });
+    else if (char === NUKTA && last && last.consonant) last.consonant = NUKTA_CONSONANTS[last.char] || last.consonant;
+    else if (VOWEL_SIGNS[char] && last && last.consonant) last.vowel = VOWEL_SIGNS[char];
+    else if (char === VIRAMA && last && last.consonant) last.virama = true;
+    else if (NASALS.has(char) || char === VISARGA) letters.push({ char, mark: char === VISARGA ? 'h' : 'n' });
+  });
+
+  const sounds = letters.map((letter, index) => {
+    if (letter.mark) {
+      const next = letters[index + 1];
+      return letter.mark === 'n' && next && LABIALS.has(next.char) ? 'm' : letter.mark;
+    }
+    if (!letter.consonant) return letter.vowel;
+    if (letter.virama) return letter.consonant;
+    if (letter.vowel) return letter.consonant + letter.vowel;
+
+    const isLast = letters.slice(index + 1).every(later => later.mark);
+    const previous = letters[index - 1];
+    const next = letters[index + 1];
+    const dropSchwa = index > 0 && (isLast ||
+      (next && next.consonant && next.vowel && previous && !previous.virama && !previous.mark && !previous.dropped));
+    letter.dropped = dropSchwa;
+    return dropSchwa ? letter.consonant : `${letter.consonant}a`;
+  });
+
+  // A final long "ee" is written "i" ("चीनी" → "cheeni")
+  return sounds.join('').replace(/ee$/, 'i');
+};
+
+/**
+ * Transliterates Devanagari in a text, leaving everything else as it is
+ * @param {string} text - Text
+ * @returns {string} - Romanised text
+ */
+const transliterate = (text) => String(text || '')
+  .replace(/[\u0966-\u096F]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+  .replace(/[।॥]/g, ' ')
+  .replace(/[\u0900-\u097F]+/g, transliterateWord);
+
+/**
+ * Checks whether a phrase is exactly one catalogue brand
+ * @param {string} phrase - Query words
+ * @returns {string|null} - The brand name, or null
+ */
+const matchWholeBrand = (phrase) => {
+  const normalized = normalizeBrandText(phrase);
+  const match = findBrands(phrase).find(brand => brand.matched === normalized && brand.confidence >= BRAND_MATCH_THRESHOLD);
+  return match ? match.name : null;
+};
+
+/**
+ * Rewrites a Hindi or Hinglish query into the English catalogue vocabulary
+ * Lexicon words and phrases become their English name, Devanagari brand names
+ * become the brand and other Devanagari words are transliterated. Brand names
+ * written in Latin script are left alone, so "Tata Sampann" is never translated.
+ * @param {string} query - Search query
+ * @returns {object} - { text, rewrites: [{ from, to, local }] }
+ *   local is the lexicon's Hinglish name for the term (null for brands and transliterations)
+ */
+const normalizeQuery = (query) => {
+  const tokens = String(query || '').split(/\s+/).filter(Boolean);
+  const output = [];
+  const rewrites = [];
+
+  for (let start = 0; start < tokens.length;) {
+    let matched = false;
+    for (let length = Math.min(MAX_PHRASE_WORDS, tokens.length - start); length > 0 && !matched; length--) {
+      const phrase = tokens.slice(start, start + length).join(' ');
+      const romanised = transliterate(phrase);
+      const term = spellings.get(normalizeBrandText(phrase)) || spellings.get(normalizeBrandText(romanised));
+      const brand = term ? null : matchWholeBrand(phrase);
+
+      if (term) {
+        output.push(term.english);
+        if (normalizeBrandText(phrase) !== term.english) {
+          rewrites.push({ from: phrase, to: term.english, local: term.hinglish[0] || null });
+        }
+      } else if (brand) {
+        output.push(DEVANAGARI.test(phrase) ? brand : phrase);
+        if (DEVANAGARI.test(phrase)) rewrites.push({ from: phrase, to: brand, local: null });
+      } else if (length === 1) {
+        // Neighbouring transliterated words are reported as one rewrite ("से कम" → "se kam")
+        const previous = rewrites[rewrites.length - 1];
+        if (romanised !== phrase && previous && previous.transliterated && previous.end === start) {
+          Object.assign(previous, { from: `${previous.from} ${phrase}`, to: `${previous.to} ${romanised}`, end: start + 1 });
+        } else if (DEVANAGARI.test(phrase)) {
+          rewrites.push({ from: phrase, to: romanised, local: null, transliterated: true, end: start + 1 });
+        }
+        output.push(romanised);
+      } else {
+        continue;
+      }
+      start += length;
+      matched = true;
+    }
+  }
+
+  return {
+    text: output.join(' '),
+    rewrites: rewrites.map(({ from, to, local }) => ({ from, to, local }))
+  };
+};
+
+/**
+ * Lists the other names a rewritten term is sold under
+ * @param {string} english - English name from a rewrite ("turmeric powder")
+ * @returns {string[]} - Hinglish spellings and English synonyms, lowercased
+ */
+const getTermSynonyms = (english) => {
+  const term = [...spellings.values()].find(entry => entry.english === english);
+  return term ? [...term.hinglish, ...term.synonyms].map(normalizeBrandText) : [];
+};
+
+/**
+ * Adapts a parsed query's search text to one platform's catalogue
+ * Terms the shopper typed in Hindi are searched under their Hinglish name on
+ * platforms that list groceries that way (`hinglishCatalogue` on the adapter).
+ * @param {object} parsedQuery - From parseQuery
+ * @param {object} [platform] - Platform adapter
+ * @returns {string} - The query to send to the platform
+ */
+const localizeQuery = (parsedQuery, platform) => (parsedQuery.rewrites || []).reduce((text, rewrite) => {
+  if (!rewrite.local || rewrite.local === rewrite.to || !(platform && platform.hinglishCatalogue)) return text;
+  const escaped = rewrite.to.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(`\\b${escaped}\\b`, 'i'), rewrite.local);
+}, parsedQuery.searchText);
+
+module.exports = {
+  transliterate,
+  normalizeQuery,
+  getTermSynonyms,
+  localizeQuery
+};
@@ -0,0 +1,99 @@
+/**
+ * Utility functions for delivery location handling (pincode or coordinates)
+ *
+ * Quick-commerce platforms serve results from the dark store nearest to the
+ * customer, so their adapters need coordinates. Pincodes are resolved to the
+ * approximate centre of their postal district using data/pincodes.json.
+ */
+
+const pincodePrefixes = require('../data/pincodes.json');
+
+/**
+ * Resolves a pincode to its postal district's approximate coordinates
+ * @param {string} pincode - Six-digit Indian pincode
+ * @returns {object|null} - { city, lat, lng } or null if the district is not known
+ */
+const resolvePincode = (pincode) => {
+  const district = pincodePrefixes[String(pincode).slice(0, 3)];
+  return district ? { ...district } : null;
+};
+
+/**
+ * Parses the pincode / lat / lng query parameters
+ * @param {object} query - Express req.query
+ * @returns {object|null} - Location { pincode, lat, lng, city, resolved, key } or null when none was given
+ * @throws {Error} - If the pincode or coordinates are malformed
+ */
+const parseLocationParams = (query) => {
+  const { pincode } = query;
+  const hasCoordinates = query.lat !== undefined || query.lng !== undefined;
+
+  if (pincode !== undefined && pincode !== '') {
+    if (!/^[1-9][0-9]{5}$/.test(String(pincode))) {
+      throw new Error('"pincode" must be a 6-digit Indian pincode');
+    }
+    const district = resolvePincode(pincode);
+    return {
+      pincode: String(pincode),
+      lat: district ? district.lat : null,
+      lng: district ? district.lng : null,
+      city: district ? district.city : null,
+      resolved: Boolean(district),
+      key: String(pincode)
+    };
+  }
+
+  if (hasCoordinates) {
+    const lat = Number(query.lat);
+    const lng = Number(query.lng);
+    if (query.lat === '' || query.lng === '' || !(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+      throw new Error('"lat" and "lng" must both be valid coordinates');
+    }
+    // Four decimals (~11 m) keeps cache keys stable for the same spot
+    const roundedLat = Math.round(lat * 10000) / 10000;
+    const roundedLng = Math.round(lng * 10000) / 10000;
+    return {
+      pincode: null,
+      lat: roundedLat,
+      lng: roundedLng,
+      city: null,
+      resolved: true,
+      key: `${roundedLat},${roundedLng}`
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Serialises cookies into a Cookie header value
+ * @param {object} cookies - Cookie values keyed by name
+ * @returns {string} - Header value
+ */
+const toCookieHeader = (cookies) => {
+  return Object.entries(cookies)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('; ');
+};
+
+/**
+ * Builds the extra request headers an adapter needs for a location
+ * @param {object} adapter - Platform adapter (may declare location.buildRequest)
+ * @param {object|null} location - Parsed location
+ * @returns {object} - Headers to merge into the request (empty when not applicable)
+ */
+const getLocationHeaders = (adapter, location) => {
+  if (!location || !location.resolved || !adapter.location || !adapter.location.buildRequest) return {};
+
+  const { headers = {}, cookies = {} } = adapter.location.buildRequest(location);
+  const cookieHeader = toCookieHeader(cookies);
+  return cookieHeader ? { ...headers, Cookie: cookieHeader } : { ...headers };
+};
+
+module.exports = {
+  resolvePincode,
+  parseLocationParams,
+  toCookieHeader,
+  getLocationHeaders
+};
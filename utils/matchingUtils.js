@@ -0,0 +1,256 @@
+/**
+ * Utility functions for matching the same product across platforms
+ *
+ * Listings are compared on their normalised title tokens, brand, size, pack
+ * size and model numbers. A differing brand, size, pack size, model number,
+ * model ("iPhone 15" vs "iPhone 14", see variantUtils.extractModel) or variant
+ * word (Front/Top Load, Original/Cool) rules a match out; otherwise
+ * title token overlap decides. Matching listings are grouped into one
+ * canonical product whose offers are sorted by price.
+ */
+
+const crypto = require('crypto');
+const { extractPackSize } = require('./attributeUtils');
+const { parseQuantity, formatAmount } = require('./quantityUtils');
+const { extractModel } = require('./variantUtils');
+
+// Minimum title token overlap (Jaccard) for two compatible listings to match
+const MATCH_THRESHOLD = 0.5;
+// Sizes within this fraction of each other are the same (e.g. 1.5 kg vs 1500 g)
+const SIZE_TOLERANCE = 0.02;
+
+// Words that say nothing about which product a listing is
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'on', 'by', 'to', 'x',
+  'pack', 'packs', 'combo', 'set', 'pc', 'pcs', 'piece', 'pieces', 'count', 'unit', 'units',
+  'new', 'buy', 'online', 'best', 'offer', 'free', 'get', 'off', 'save',
+  'bottle', 'pouch', 'jar', 'box', 'can', 'tube', 'sachet'
+]);
+
+// Words naming mutually exclusive variants: listings using different words from one set differ
+const VARIANT_SETS = [
+  ['front', 'top'],
+  ['men', 'women'],
+  ['boys', 'girls'],
+  ['veg', 'nonveg'],
+  ['original', 'skincare', 'cool', 'sensitive', 'lime', 'lemon', 'aloe', 'rose', 'sandal', 'neem', 'jasmine', 'lavender'],
+  ['easy', 'quick', 'matic', 'ultimate'],
+  ['black', 'white', 'blue', 'red', 'green', 'silver', 'gold', 'grey', 'gray', 'pink', 'purple', 'midnight', 'starlight']
+];
+
+/**
+ * Reduces a parsed quantity to the per-item size listings are matched on
+ * @param {object|null} quantity - From parseQuantity
+ * @returns {object|null} - { amount, dimension, label } in the dimension's base unit, or null
+ */
+const normalizeSize = (quantity) => {
+  if (!quantity || !(quantity.perItem > 0)) return null;
+  return { amount: quantity.perItem, dimension: quantity.dimension, label: formatAmount(quantity) };
+};
+
+/**
+ * Finds model numbers in a title: tokens mixing letters and digits, such as "S23", "SM-A155F" or "WH1000XM5"
+ * Sizes ("200ml"), pack counts ("3x"), generation words ("5g") and resolutions ("4k") are not model numbers.
+ * @param {string} title - Product title
+ * @returns {string[]} - Upper-cased model numbers
+ */
+const extractModelNumbers = (title) => (String(title).match(/\b[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*\b/g) || [])
+  .filter(token => /[a-z]/i.test(token) && /\d/.test(token))
+  .filter(token => !/^\d+(?:\.\d+)?(?:kg|g|gm|gram|ml|l|ltr|litre|liter|x|pc|pcs|gb|tb|mah|w|mm|cm|inch|k|d|mp|hz|st|nd|rd|th)$/i.test(token))
+  .map(token => token.replace(/-/g, '').toUpperCase());
+
+/**
+ * Reduces a title to the tokens that identify the product
+ * @param {string} title - Product title
+ * @returns {Set<string>} - Lower-cased tokens without sizes, pack counts or filler words
+ */
+const tokenizeTitle = (title) => new Set(String(title).toLowerCase()
+  .replace(/\(?\s*pack\s*of\s*\d+\s*\)?|\bset\s*of\s*\d+|\d+\s*x\s*(?=\d)/g, ' ')
+  .replace(/\d+(?:\.\d+)?\s*-?\s*(?:kg|gm|grams?|g|ml|ltr|litres?|liters?|l)\b/g, ' ')
+  .split(/[^a-z0-9]+/)
+  .filter(token => token && !STOPWORDS.has(token)));
+
+/**
+ * Extracts the attributes listings are matched on
+ * @param {object} item - Search result
+ * @returns {object} - { brand, tokens, size, packSize, models, model }
+ */
+const getMatchFeatures = (item) => {
+  const tokens = tokenizeTitle(item.title);
+  // Listings without a recognised brand fall back to their first word
+  const [firstToken] = tokens;
+  const brand = item.brand ? item.brand.toLowerCase() : firstToken;
+  const quantity = parseQuantity(item.title);
+  const packMatch = extractPackSize(item.title);
+  return {
+    brand: brand || null,
+    tokens,
+    size: normalizeSize(quantity),
+    packSize: quantity ? quantity.packCount : (packMatch ? parseInt(packMatch[1], 10) : 1),
+    models: extractModelNumbers(item.title),
+    // Bare numbers only name a model after a series or brand word ("iPhone 15")
+    model: extractModel(item.title)
+  };
+};
+
+/**
+ * Measures how much two token sets overlap
+ * @param {Set<string>} a - Tokens
+ * @param {Set<string>} b - Tokens
+ * @returns {number} - Jaccard similarity from 0 to 1
+ */
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Scores how likely two listings are the same product
+ * @param {object} a - Features from getMatchFeatures
+ * @param {object} b - Features from getMatchFeatures
+ * @returns {number} - 0 when they cannot be the same product, otherwise 0-1 confidence
+ */
+const scoreMatch = (a, b) => {
+  if (a.brand && b.brand && a.brand !== b.brand) return 0;
+  if (a.packSize !== b.packSize) return 0;
+  if (a.size && b.size) {
+    if (a.size.dimension !== b.size.dimension) return 0;
+    if (Math.abs(a.size.amount - b.size.amount) > SIZE_TOLERANCE * Math.max(a.size.amount, b.size.amount)) return 0;
+  }
+
+  const conflicting = VARIANT_SETS.some(set => {
+    const aWords = set.filter(word => a.tokens.has(word));
+    const bWords = set.filter(word => b.tokens.has(word));
+    return aWords.length > 0 && bWords.length > 0 && !aWords.some(word => bWords.includes(word));
+  });
+  if (conflicting) return 0;
+
+  if (a.model && b.model && a.model.name !== b.model.name) return 0;
+
+  const sharedModel = a.models.some(model => b.models.includes(model));
+  if (a.models.length > 0 && b.models.length > 0 && !sharedModel) return 0;
+
+  const overlap = jaccard(a.tokens, b.tokens);
+  if (sharedModel) return Math.max(0.9, overlap);
+  if (overlap < MATCH_THRESHOLD) return 0;
+
+  // Agreeing on a stated size makes a title match more trustworthy
+  const sizeBonus = a.size && b.size ? 0.2 : 0;
+  return Math.min(1, overlap * 0.8 + sizeBonus);
+};
+
+/**
+ * Builds an id for a product group from its attributes, independent of listing order
+ * @param {object} features - Features of the group's seed listing
+ * @param {Array} offers - The group's listings
+ * @returns {string} - Group id, e.g. "p-3f0c9a1b2d4e"
+ */
+const groupId = (features, offers) => {
+  const key = [
+    features.brand || '',
+    features.size ? `${features.size.amount}${features.size.dimension}` : '',
+    features.packSize,
+    offers.map(offer => offer.id).sort().join(',')
+  ].join('|');
+  return `p-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+};
+
+/**
+ * Orders offers by selling price, unpriced offers last
+ * @param {object} a - Offer
+ * @param {object} b - Offer
+ * @returns {number} - Sort comparator value
+ */
+const byPrice = (a, b) => {
+  const aPrice = a.pricing ? a.pricing.pricePaise : Infinity;
+  const bPrice = b.pricing ? b.pricing.pricePaise : Infinity;
+  return aPrice - bPrice;
+};
+
+/**
+ * Reduces a result to the fields a product group's offer needs
+ * @param {object} item - Search result
+ * @returns {object} - Offer
+ */
+const toOffer = (item) => {
+  const offer = {
+    id: item.id,
+    platform: item.platform,
+    title: item.title,
+    price: item.price,
+    pricing: item.pricing,
+    link: item.link
+  };
+  if (item.unitPriceFormatted) offer.unitPriceFormatted = item.unitPriceFormatted;
+  if (item.availability) offer.availability = item.availability;
+  if (item.deliverable !== undefined) offer.deliverable = item.deliverable;
+  return offer;
+};
+
+/**
+ * Groups listings from all platforms into canonical products
+ * Each listing joins the best-scoring group whose every member it is compatible
+ * with, or starts a new group. Groups sold on the most platforms come first,
+ * then the cheapest.
+ * @param {Array} results - Search results (with ids and pricing)
+ * @returns {Array} - [{ id, title, brand, size, packSize, matchConfidence, platforms, bestOffer, offers }]
+ */
+const groupProducts = (results) => {
+  if (!results || !Array.isArray(results)) return [];
+
+  const groups = [];
+  results.forEach(item => {
+    const features = getMatchFeatures(item);
+    let best = null;
+
+    groups.forEach(group => {
+      const scores = group.members.map(member => scoreMatch(features, member.features));
+      if (scores.some(score => score === 0)) return;
+      const score = Math.min(...scores);
+      if (!best || score > best.score) best = { group, score };
+    });
+
+    if (best) {
+      best.group.members.push({ item, features });
+      best.group.confidence = Math.min(best.group.confidence, best.score);
+    } else {
+      groups.push({ members: [{ item, features }], confidence: 1 });
+    }
+  });
+
+  return groups
+    .map(group => {
+      const offers = group.members.map(member => toOffer(member.item)).sort(byPrice);
+      const [seed] = group.members;
+      // The shortest title usually carries the least marketing filler
+      const title = group.members
+        .map(member => member.item.title)
+        .reduce((shortest, candidate) => (candidate.length < shortest.length ? candidate : shortest));
+      return {
+        id: groupId(seed.features, offers),
+        title,
+        brand: seed.item.brand || seed.features.brand,
+        size: seed.features.size ? seed.features.size.label : null,
+        packSize: seed.features.packSize,
+        matchConfidence: Math.round(group.confidence * 100) / 100,
+        platforms: [...new Set(offers.map(offer => offer.platform))],
+        bestOffer: { id: offers[0].id, platform: offers[0].platform, price: offers[0].price },
+        offers
+      };
+    })
+    .sort((a, b) => (b.platforms.length - a.platforms.length) || byPrice(a.offers[0], b.offers[0]));
+};
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normalizeSize,
+  extractModelNumbers,
+  tokenizeTitle,
+  getMatchFeatures,
+  scoreMatch,
+  groupProducts
+};
@@ -0,0 +1,165 @@
+/**
+ * Builds the OpenAPI 3.1 document served at /api/v2/openapi.json
+ *
+ * Request parameters and response bodies come from the JSON Schema in
+ * schemas/v2.json, so the document, the runtime validation and
+ * public/api-docs.html (which renders the document) describe the same API.
+ */
+
+const { schema } = require('./schemaUtils');
+
+const SCHEMA_REFS = '#/$defs/';
+const COMPONENT_REFS = '#/components/schemas/';
+
+// Either form of the API key is accepted (see apiKeyAuth in server.js)
+const API_KEY_SECURITY = [{ apiKeyHeader: [] }, { apiKeyQuery: [] }];
+
+/**
+ * Points the schema's $refs at the document's components
+ * @param {*} node - Schema or part of one
+ * @returns {*} - Copy with "#/$defs/X" refs rewritten to "#/components/schemas/X"
+ */
+const rewriteRefs = (node) => {
+  if (Array.isArray(node)) return node.map(rewriteRefs);
+  if (!node || typeof node !== 'object') return node;
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => (
+    key === '$ref' && value.startsWith(SCHEMA_REFS)
+      ? [key, COMPONENT_REFS + value.slice(SCHEMA_REFS.length)]
+      : [key, rewriteRefs(value)]
+  )));
+};
+
+/**
+ * Builds query parameters from a request definition
+ * The API key is left out: it is described as a security scheme.
+ * @param {object} definition - Request definition, such as SearchRequest
+ * @returns {Array} - OpenAPI parameter objects
+ */
+const toParameters = (definition) => Object.entries(definition.properties)
+  .filter(([name]) => name !== 'api_key')
+  .map(([name, { description, ...parameterSchema }]) => ({
+    name,
+    in: 'query',
+    required: (definition.required || []).includes(name),
+    description,
+    schema: rewriteRefs(parameterSchema)
+  }));
+
+/**
+ * Describes a JSON response
+ * @param {string} description - What the response means
+ * @param {object} responseSchema - Its schema
+ * @returns {object} - OpenAPI response object
+ */
+const jsonResponse = (description, responseSchema) => ({
+  description,
+  content: { 'application/json': { schema: responseSchema } }
+});
+
+const errorResponse = (description) => jsonResponse(description, { $ref: `${COMPONENT_REFS}Error` });
+
+/**
+ * Builds the OpenAPI document
+ * @returns {object} - OpenAPI 3.1 document
+ */
+const buildOpenApiDocument = () => {
+  const { SearchRequest } = schema.$defs;
+  const searchParameters = toParameters(SearchRequest);
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: schema.title,
+      version: schema.version,
+      description: schema.description
+    },
+    paths: {
+      '/api/v2/search': {
+        get: {
+          operationId: 'search',
+          summary: 'Search for a product across platforms',
+          description: 'Searches the platforms selling the query\'s category, or those named in platforms. Either product or cursor is required. Results are split into exact matches and alternatives by relevance, narrowed by the price, brand, rating and stock filters, ordered by sort and order, and the same item on several platforms is grouped into products.',
+          parameters: searchParameters,
+          security: API_KEY_SECURITY,
+          responses: {
+            200: jsonResponse('Search results', { $ref: `${COMPONENT_REFS}SearchResponse` }),
+            400: errorResponse('Invalid parameters'),
+            401: errorResponse('Invalid or missing API key'),
+            429: errorResponse('Too many requests'),
+            500: errorResponse('The search failed')
+          }
+        }
+      },
+      '/api/v2/openapi.json': {
+        get: {
+          operationId: 'openapi',
+          summary: 'This document',
+          security: [],
+          responses: {
+            200: jsonResponse('OpenAPI 3.1 document', { type: 'object' })
+          }
+        }
+      },
+      '/search': {
+        get: {
+          operationId: 'searchV1',
+          summary: 'Search for a product across platforms (v1)',
+          description: 'The v1 search, kept for existing clients. It takes the same parameters as /api/v2/search; its response also carries legacy copies of result fields (attributes, weightInfo, packInfo, features, unitPriceFormatted, sources, potentialBrands) and is not described by a schema.',
+          deprecated: true,
+          parameters: searchParameters,
+          security: API_KEY_SECURITY,
+          responses: {
+            200: jsonResponse('Search results in the v1 shape', { type: 'object' }),
+            400: errorResponse('Invalid parameters'),
+            500: errorResponse('The search failed')
+          }
+        }
+      },
+      '/health': {
+        get: {
+          operationId: 'health',
+          summary: 'Health of the API and its scrapers',
+          description: 'status is degraded when any scraper is degraded (see /admin/scrapers).',
+          security: [],
+          responses: {
+            200: jsonResponse('Health report', { type: 'object' })
+          }
+        }
+      },
+      '/admin/cache/clear': {
+        get: {
+          operationId: 'clearCache',
+          summary: 'Clear the search and product detail caches',
+          security: API_KEY_SECURITY,
+          responses: {
+            200: jsonResponse('Number of entries cleared', { type: 'object' }),
+            401: errorResponse('Invalid or missing API key')
+          }
+        }
+      },
+      '/admin/scrapers': {
+        get: {
+          operationId: 'scraperStats',
+          summary: 'Rolling per-platform scraper statistics',
+          description: 'A platform is degraded when product cards are found but no title or price can be extracted, or after SCRAPER_ZERO_THRESHOLD (default 5) consecutive zero-result queries. proxies lists the outbound proxy pool and politeness each host\'s request queue and cached robots.txt.',
+          security: API_KEY_SECURITY,
+          responses: {
+            200: jsonResponse('Scraper statistics', { type: 'object' }),
+            401: errorResponse('Invalid or missing API key')
+          }
+        }
+      }
+    },
+    components: {
+      schemas: rewriteRefs(schema.$defs),
+      securitySchemes: {
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+      }
+    }
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,120 @@
+/**
+ * Utility functions for result depth, paging and pagination cursors
+ */
+
+// Results per platform when the client does not ask for more
+const DEFAULT_RESULTS_PER_PLATFORM = 5;
+
+// Hard caps, regardless of what the client asks for
+const MAX_RESULTS_PER_PLATFORM = parseInt(process.env.MAX_RESULTS_PER_PLATFORM, 10) || 50;
+const MAX_TOTAL_RESULTS = parseInt(process.env.MAX_TOTAL_RESULTS, 10) || 100;
+const MAX_PAGES_PER_REQUEST = parseInt(process.env.MAX_PAGES_PER_REQUEST, 10) || 3;
+const MAX_START_PAGE = 20;
+
+/**
+ * Parses an optional positive integer query parameter
+ * @param {*} value - Raw query value
+ * @param {string} name - Parameter name (for error messages)
+ * @param {number} max - Largest accepted value
+ * @returns {number|undefined} - Parsed value, or undefined when not supplied
+ * @throws {Error} - If the value is not an integer between 1 and max
+ */
+const parseBoundedInt = (value, name, max) => {
+  if (value === undefined || value === '') return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+    throw new Error(`"${name}" must be an integer between 1 and ${max}`);
+  }
+  return parsed;
+};
+
+/**
+ * Splits a total result limit into per-platform quotas that add up to it
+ * @param {number} limit - Total results wanted
+ * @param {number} platformCount - Number of platforms being searched
+ * @returns {number[]} - Quota for each platform, in platform order
+ */
+const splitLimit = (limit, platformCount) => {
+  const base = Math.floor(limit / platformCount);
+  const remainder = limit % platformCount;
+  return Array.from({ length: platformCount }, (_, index) => base + (index < remainder ? 1 : 0));
+};
+
+/**
+ * Parses the limit, page and perPlatformLimit query parameters
+ * limit is split across the platforms, so it can't be combined with perPlatformLimit.
+ * @param {object} query - Express req.query
+ * @param {number} platformCount - Number of platforms being searched
+ * @returns {object} - { page, limit, quotas } where quotas[i] is the result
+ *   count requested from the i-th platform (0 when limit leaves it none)
+ * @throws {Error} - If a parameter is out of range, or both limits are given
+ */
+const parsePaginationParams = (query, platformCount) => {
+  const page = parseBoundedInt(query.page, 'page', MAX_START_PAGE) || 1;
+  const limit = parseBoundedInt(query.limit, 'limit', MAX_TOTAL_RESULTS);
+  const perPlatformLimit = parseBoundedInt(query.perPlatformLimit, 'perPlatformLimit', MAX_RESULTS_PER_PLATFORM);
+  if (limit && perPlatformLimit) throw new Error('"limit" and "perPlatformLimit" can\'t be combined');
+
+  let quotas;
+  if (perPlatformLimit) {
+    quotas = new Array(platformCount).fill(perPlatformLimit);
+  } else if (limit) {
+    quotas = splitLimit(limit, platformCount).map(quota => Math.min(quota, MAX_RESULTS_PER_PLATFORM));
+  } else {
+    quotas = new Array(platformCount).fill(DEFAULT_RESULTS_PER_PLATFORM);
+  }
+
+  return { page, limit: limit || null, quotas };
+};
+
+/**
+ * Encodes a cursor that resumes one platform's results
+ * @param {object} cursor - { platform, product, page, offset, limit }
+ * @returns {string} - Opaque base64url token
+ */
+const encodeCursor = ({ platform, product, page, offset, limit }) => {
+  return Buffer.from(JSON.stringify({ p: platform, q: product, pg: page, o: offset, n: limit }))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} token - Opaque cursor from a previous response
+ * @returns {object} - { platform, product, page, offset, limit }
+ * @throws {Error} - If the token is malformed
+ */
+const decodeCursor = (token) => {
+  let raw;
+  try {
+    // Node's base64 decoder also accepts the URL-safe alphabet
+    raw = JSON.parse(Buffer.from(String(token), 'base64').toString('utf8'));
+  } catch (err) {
+    raw = null;
+  }
+
+  const valid = raw &&
+    typeof raw.p === 'string' &&
+    typeof raw.q === 'string' && raw.q.trim() !== '' &&
+    Number.isInteger(raw.pg) && raw.pg >= 1 &&
+    Number.isInteger(raw.o) && raw.o >= 0 &&
+    Number.isInteger(raw.n) && raw.n >= 1 && raw.n <= MAX_RESULTS_PER_PLATFORM;
+  if (!valid) {
+    throw new Error('Invalid "cursor" parameter');
+  }
+
+  return { platform: raw.p, product: raw.q, page: raw.pg, offset: raw.o, limit: raw.n };
+};
+
+module.exports = {
+  DEFAULT_RESULTS_PER_PLATFORM,
+  MAX_RESULTS_PER_PLATFORM,
+  MAX_TOTAL_RESULTS,
+  MAX_PAGES_PER_REQUEST,
+  splitLimit,
+  parsePaginationParams,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,303 @@
+/**
+ * Utility functions for crawling politely: robots.txt and per-host rate limits
+ *
+ * Each platform's robots.txt is fetched once and cached; paths it disallows
+ * for our user-agent token (or "*") are never requested. Requests to a host go
+ * through a shared queue that keeps a minimum delay between them (raised to the
+ * host's Crawl-delay) and caps how many run at once.
+ */
+
+const { getFixtureMode, loadRobotsFixture, saveRobotsFixture } = require('./fixtureUtils');
+const { sendRequest } = require('./identityUtils');
+const { withRetry } = require('./resilienceUtils');
+
+const ROBOTS_USER_AGENT = (process.env.ROBOTS_USER_AGENT || 'WhereToBuyBot').toLowerCase();
+const ROBOTS_CACHE_TTL_MS = parseInt(process.env.ROBOTS_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const ROBOTS_RETRY_MS = parseInt(process.env.ROBOTS_RETRY_MS, 10) || 5 * 60 * 1000;
+const ROBOTS_TIMEOUT_MS = 5000;
+const HOST_MIN_DELAY_MS = parseInt(process.env.HOST_MIN_DELAY_MS, 10) || 1000;
+const HOST_MAX_CONCURRENCY = parseInt(process.env.HOST_MAX_CONCURRENCY, 10) || 2;
+
+// robots.txt per origin: { promise, expiresAt }
+const robotsCache = new Map();
+// Queue state per host: { active, lastStartAt, waiting, timer }
+const hostQueues = new Map();
+
+/**
+ * Parses robots.txt into user-agent groups
+ * Consecutive User-agent lines share one group; comments and unknown fields are ignored.
+ * @param {string} text - robots.txt body
+ * @returns {Array} - [{ agents, rules: [{ allow, path }], crawlDelayMs }]
+ */
+const parseRobots = (text) => {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text).split(/\r?\n/).forEach(rawLine => {
+    const match = rawLine.replace(/#.*$/, '').trim().match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+    // An empty Disallow means "allow everything", so it adds no rule
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && parseFloat(value) >= 0) {
+      current.crawlDelayMs = parseFloat(value) * 1000;
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * Picks the groups that apply to a user-agent token (its own groups, else "*")
+ * @param {Array} groups - Parsed robots.txt groups
+ * @param {string} [token] - Our user-agent token
+ * @returns {object} - { rules, crawlDelayMs } merged from the applicable groups
+ */
+const rulesFor = (groups, token = ROBOTS_USER_AGENT) => {
+  const own = groups.filter(group => group.agents.includes(token));
+  const applicable = own.length > 0 ? own : groups.filter(group => group.agents.includes('*'));
+  const delays = applicable.map(group => group.crawlDelayMs).filter(delay => delay !== null);
+  return {
+    rules: applicable.reduce((rules, group) => rules.concat(group.rules), []),
+    crawlDelayMs: delays.length > 0 ? Math.max(...delays) : null
+  };
+};
+
+/**
+ * Checks whether a robots.txt path pattern matches a path (supports * and a trailing $)
+ * @param {string} pattern - Allow/Disallow value
+ * @param {string} path - URL path plus query string
+ * @returns {boolean} - True if the rule applies
+ */
+const patternMatches = (pattern, path) => {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(path);
+};
+
+/**
+ * Decides whether a path may be crawled
+ * The longest matching rule wins; Allow wins a tie. No matching rule means allowed.
+ * @param {Array} groups - Parsed robots.txt groups
+ * @param {string} path - URL path plus query string
+ * @param {string} [token] - Our user-agent token
+ * @returns {object} - { allowed, rule } where rule is e.g. "Disallow: /search" (null if none matched)
+ */
+const isPathAllowed = (groups, path, token) => {
+  const matching = rulesFor(groups, token).rules
+    .filter(rule => patternMatches(rule.path, path))
+    .sort((a, b) => (b.path.length - a.path.length) || (Number(b.allow) - Number(a.allow)));
+
+  if (matching.length === 0) return { allowed: true, rule: null };
+  const [winner] = matching;
+  return { allowed: winner.allow, rule: `${winner.allow ? 'Allow' : 'Disallow'}: ${winner.path}` };
+};
+
+/**
+ * Fetches (or replays) a platform's robots.txt
+ * A missing file (4xx) allows everything; an unreachable one (5xx, network error)
+ * allows nothing until it can be read, as crawlers conventionally do.
+ * @param {object} adapter - Platform adapter
+ * @param {string} origin - Origin serving the robots.txt
+ * @returns {Promise<object>} - { status: 'ok'|'missing'|'unavailable', groups, fetchedAt, error? }
+ */
+const fetchRobots = async (adapter, origin) => {
+  const fetchedAt = new Date().toISOString();
+  const mode = getFixtureMode();
+
+  if (mode === 'replay') {
+    const text = loadRobotsFixture(adapter.id);
+    return { status: text === null ? 'missing' : 'ok', groups: text === null ? [] : parseRobots(text), fetchedAt };
+  }
+
+  try {
+    // Goes out like any other request, so a dead proxy is retried through another one
+    const response = await withRetry(() => sendRequest(adapter.id, `${origin}/robots.txt`, {
+      timeout: ROBOTS_TIMEOUT_MS,
+      responseType: 'text',
+      validateStatus: () => true
+    }));
+    if (response.status >= 500) {
+      return { status: 'unavailable', groups: [], fetchedAt, error: `robots.txt returned ${response.status}` };
+    }
+    if (response.status >= 400) {
+      return { status: 'missing', groups: [], fetchedAt };
+    }
+    if (mode === 'record') saveRobotsFixture(adapter.id, String(response.data));
+    return { status: 'ok', groups: parseRobots(response.data), fetchedAt };
+  } catch (err) {
+    return { status: 'unavailable', groups: [], fetchedAt, error: err.message };
+  }
+};
+
+/**
+ * Returns the cached robots.txt for a URL's origin, fetching it when stale
+ * @param {object} adapter - Platform adapter
+ * @param {string} url - Any URL on the platform
+ * @returns {Promise<object>} - See fetchRobots
+ */
+const getRobots = async (adapter, url) => {
+  const { origin } = new URL(url);
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  // Concurrent searches share one fetch
+  const entry = { promise: fetchRobots(adapter, origin), expiresAt: Date.now() + ROBOTS_CACHE_TTL_MS };
+  robotsCache.set(origin, entry);
+  const robots = await entry.promise;
+  if (robots.status === 'unavailable') entry.expiresAt = Date.now() + ROBOTS_RETRY_MS;
+  entry.robots = robots;
+  return robots;
+};
+
+/**
+ * Rejects URLs the platform's robots.txt does not let us crawl
+ * @param {object} adapter - Platform adapter
+ * @param {string} url - URL about to be fetched
+ * @returns {Promise<object>} - The platform's robots.txt (see fetchRobots) when allowed
+ * @throws {Error} - With `disallowed: true` if the path is disallowed or robots.txt is unavailable
+ */
+const assertAllowedByRobots = async (adapter, url) => {
+  const robots = await getRobots(adapter, url);
+  const { pathname, search } = new URL(url);
+
+  if (robots.status === 'unavailable') {
+    const err = new Error(`robots.txt could not be read (${robots.error}), not crawling until it can`);
+    err.disallowed = true;
+    throw err;
+  }
+
+  const { allowed, rule } = isPathAllowed(robots.groups, pathname + search);
+  if (!allowed) {
+    const err = new Error(`Disallowed by robots.txt (${rule})`);
+    err.disallowed = true;
+    throw err;
+  }
+  return robots;
+};
+
+/**
+ * Returns the queue limits for a host, honouring its robots.txt Crawl-delay
+ * @param {object} [robots] - The host's robots.txt (see fetchRobots)
+ * @returns {object} - { minDelayMs, maxConcurrency }
+ */
+const getHostLimits = (robots) => {
+  const { crawlDelayMs } = robots ? rulesFor(robots.groups) : { crawlDelayMs: null };
+  return {
+    minDelayMs: Math.max(HOST_MIN_DELAY_MS, crawlDelayMs || 0),
+    maxConcurrency: HOST_MAX_CONCURRENCY
+  };
+};
+
+/**
+ * Starts queued requests for a host as its delay and concurrency limits allow
+ * @param {string} host - Host name
+ */
+const drainHost = (host) => {
+  const queue = hostQueues.get(host);
+  if (queue.timer || queue.waiting.length === 0) return;
+
+  const { minDelayMs, maxConcurrency } = queue.waiting[0].limits;
+  // A finishing request drains the queue again
+  if (queue.active >= maxConcurrency) return;
+
+  const waitMs = queue.lastStartAt + minDelayMs - Date.now();
+  if (waitMs > 0) {
+    queue.timer = setTimeout(() => {
+      queue.timer = null;
+      drainHost(host);
+    }, waitMs);
+    return;
+  }
+
+  const job = queue.waiting.shift();
+  queue.active++;
+  queue.lastStartAt = Date.now();
+  Promise.resolve()
+    .then(job.task)
+    .then(job.resolve, job.reject)
+    .finally(() => {
+      queue.active--;
+      drainHost(host);
+    });
+  drainHost(host);
+};
+
+/**
+ * Runs a request through the host's shared queue
+ * @param {string} host - Host name the request goes to
+ * @param {Function} task - Starts the request, returning a promise
+ * @param {object} [limits] - { minDelayMs, maxConcurrency } (see getHostLimits)
+ * @returns {Promise<*>} - Whatever the task resolves to
+ */
+const scheduleForHost = (host, task, limits = getHostLimits()) => {
+  if (!hostQueues.has(host)) {
+    hostQueues.set(host, { active: 0, lastStartAt: 0, waiting: [], timer: null });
+  }
+  return new Promise((resolve, reject) => {
+    hostQueues.get(host).waiting.push({ task, resolve, reject, limits });
+    drainHost(host);
+  });
+};
+
+/**
+ * Returns per-host queue and robots.txt state for the admin endpoint
+ * @returns {object} - { hosts: { [host]: { active, queued } }, robots: { [origin]: { status, fetchedAt, crawlDelayMs, error } } }
+ */
+const getPolitenessStats = () => {
+  const hosts = {};
+  hostQueues.forEach((queue, host) => {
+    hosts[host] = { active: queue.active, queued: queue.waiting.length };
+  });
+
+  const robots = {};
+  robotsCache.forEach((entry, origin) => {
+    if (!entry.robots) return;
+    robots[origin] = {
+      status: entry.robots.status,
+      fetchedAt: entry.robots.fetchedAt,
+      crawlDelayMs: rulesFor(entry.robots.groups).crawlDelayMs
+    };
+    if (entry.robots.error) robots[origin].error = entry.robots.error;
+  });
+
+  return { userAgent: ROBOTS_USER_AGENT, minDelayMs: HOST_MIN_DELAY_MS, maxConcurrency: HOST_MAX_CONCURRENCY, hosts, robots };
+};
+
+/**
+ * Forgets cached robots.txt files (queues are left to drain)
+ */
+const clearRobotsCache = () => {
+  robotsCache.clear();
+};
+
+module.exports = {
+  ROBOTS_USER_AGENT,
+  HOST_MIN_DELAY_MS,
+  HOST_MAX_CONCURRENCY,
+  parseRobots,
+  isPathAllowed,
+  getRobots,
+  assertAllowedByRobots,
+  getHostLimits,
+  scheduleForHost,
+  getPolitenessStats,
+  clearRobotsCache
+};
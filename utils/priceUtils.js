@@ -1,20 +1,135 @@
 /**
  * Utility functions for price extraction and comparison
+ *
+ * Results carry a structured `pricing` object alongside the display string:
+ *   { pricePaise, mrpPaise, currency, discountPercent, confidence }
+ * Amounts are integer paise so comparisons never suffer float rounding.
+ * confidence is 'high' for numeric structured data or a lone currency amount,
+ * 'medium' when the text held more than one amount or no currency symbol,
+ * and 'low' for ranges and other guesses.
  */
 
+const DEFAULT_CURRENCY = 'INR';
+
+// "EMI from ₹1,083/month", "₹417/mo", "Save ₹50" and similar amounts that are not the price
+const NON_PRICE_FRAGMENTS = /(?:no cost\s+)?emi[^₹\d]*(?:₹|rs\.?|inr)?\s*[\d,]+(?:\.\d+)?(?:\s*\/\s*(?:month|mo))?|(?:₹|rs\.?|inr)\s*[\d,]+(?:\.\d+)?\s*(?:\/\s*(?:month|mo)|per\s+month)|(?:save|off|cashback)\s*(?:₹|rs\.?|inr)\s*[\d,]+(?:\.\d+)?/gi;
+const CURRENCY_AMOUNT = /(?:₹|rs\.?|inr)\s*([\d,]+(?:\.\d{1,2})?)/gi;
+const PLAIN_AMOUNT = /\d[\d,]*(?:\.\d{1,2})?/g;
+
+/**
+ * Converts a rupee amount to integer paise
+ * @param {number|string} rupees - Amount in rupees (e.g. 185.5 or "1,299")
+ * @returns {number|null} - Paise, or null if the amount is not a positive number
+ */
+const toPaise = (rupees) => {
+  const value = typeof rupees === 'string' ? parseFloat(rupees.replace(/,/g, '')) : rupees;
+  return Number.isFinite(value) && value > 0 ? Math.round(value * 100) : null;
+};
+
+/**
+ * Parses a scraped price string
+ * EMI, per-month and "save ₹x" figures are ignored; when several amounts remain
+ * the first one (the selling price in listing layouts) is used.
+ * @param {string} text - Price text (e.g. "₹1,299", "₹99₹125", "Rs. 450")
+ * @returns {object|null} - { paise, confidence } or null if no amount was found
+ */
+const parsePriceText = (text) => {
+  if (!text) return null;
+  const cleaned = String(text).replace(NON_PRICE_FRAGMENTS, ' ');
+
+  const amounts = [...cleaned.matchAll(CURRENCY_AMOUNT)].map(match => toPaise(match[1])).filter(Boolean);
+  if (amounts.length > 0) {
+    const isRange = /\d\s*(?:-|–|to)\s*(?:₹|rs\.?|inr)/i.test(cleaned);
+    return {
+      paise: amounts[0],
+      confidence: isRange ? 'low' : (amounts.length === 1 ? 'high' : 'medium')
+    };
+  }
+
+  const plain = (cleaned.match(PLAIN_AMOUNT) || []).map(toPaise).filter(Boolean);
+  if (plain.length === 0) return null;
+  return { paise: plain[0], confidence: plain.length === 1 ? 'medium' : 'low' };
+};
+
+/**
+ * Builds a result's pricing object
+ * An MRP that is not above the selling price is dropped (nothing was discounted),
+ * and one below it suggests the selectors picked the wrong amounts, so confidence drops to 'low'.
+ * @param {number|null} pricePaise - Selling price in paise
+ * @param {number|null} [mrpPaise] - Maximum retail price in paise
+ * @param {object} [options] - { currency, confidence }
+ * @returns {object|null} - { pricePaise, mrpPaise, currency, discountPercent, confidence } or null without a price
+ */
+const createPricing = (pricePaise, mrpPaise = null, { currency = DEFAULT_CURRENCY, confidence = 'high' } = {}) => {
+  if (!pricePaise) return null;
+
+  let mrp = mrpPaise && mrpPaise > pricePaise ? mrpPaise : null;
+  let level = confidence;
+  if (mrpPaise && mrpPaise < pricePaise) {
+    level = 'low';
+    mrp = null;
+  }
+
+  return {
+    pricePaise,
+    mrpPaise: mrp,
+    currency: currency || DEFAULT_CURRENCY,
+    discountPercent: mrp ? Math.round(((mrp - pricePaise) / mrp) * 100) : null,
+    confidence: level
+  };
+};
+
+/**
+ * Builds a pricing object from scraped price and MRP strings
+ * @param {string} priceText - Selling price text
+ * @param {string} [mrpText] - MRP text
+ * @returns {object|null} - See createPricing
+ */
+const pricingFromText = (priceText, mrpText) => {
+  const price = parsePriceText(priceText);
+  if (!price) return null;
+  const mrp = parsePriceText(mrpText);
+  return createPricing(price.paise, mrp ? mrp.paise : null, { confidence: price.confidence });
+};
+
+/**
+ * Returns a result's selling price in paise
+ * @param {object} item - Search result
+ * @returns {number|null} - Price in paise, or null if it has none
+ */
+const getPricePaise = (item) => (item && item.pricing ? item.pricing.pricePaise : null);
+
 /**
  * Extracts numeric price from a price string
  * @param {string} priceStr - Price string (e.g., "₹499.00")
- * @returns {number} - Extracted numeric price
+ * @returns {number|null} - Price in rupees, or null if none could be parsed
  */
 const extractNumericPrice = (priceStr) => {
-  if (!priceStr) return Number.MAX_VALUE;
-  
-  const matches = priceStr.match(/[\d,]+\.?\d*/g);
-  if (matches && matches.length > 0) {
-    return parseFloat(matches[0].replace(/,/g, ''));
+  const parsed = parsePriceText(priceStr);
+  return parsed ? parsed.paise / 100 : null;
+};
+
+/**
+ * Orders two results by unit price when both are quoted on the same basis, otherwise by selling price
+ * Results without a price sort last.
+ * @param {object} a - Search result
+ * @param {object} b - Search result
+ * @returns {number} - Sort comparator value
+ */
+const compareByPrice = (a, b) => {
+  // Unit prices only compare like with like (₹/100g with ₹/100g, ₹/tablet with ₹/tablet)
+  if (a.unitPrice && b.unitPrice && a.unitPriceBasis === b.unitPriceBasis) {
+    return a.unitPrice - b.unitPrice;
   }
-  return Number.MAX_VALUE; // If price can't be parsed
+  // If only one has unit price, prioritize the one with unit price
+  if (a.unitPrice && !b.unitPrice) return -1;
+  if (b.unitPrice && !a.unitPrice) return 1;
+
+  // Otherwise compare by total price
+  const aPrice = getPricePaise(a);
+  const bPrice = getPricePaise(b);
+  if (aPrice === null || bPrice === null) return (aPrice === null) - (bPrice === null);
+  return aPrice - bPrice;
 };
 
 /**
@@ -26,18 +141,7 @@ const categorizeByPrice = (products) => {
   if (!products || products.length === 0) return {};
   
   // Sort products by unit price (if available) or by total price
-  const sortedProducts = [...products].sort((a, b) => {
-    // If both have unit price, compare by unit price
-    if (a.unitPrice && b.unitPrice) {
-      return a.unitPrice - b.unitPrice;
-    }
-    // If only one has unit price, prioritize the one with unit price
-    if (a.unitPrice) return -1;
-    if (b.unitPrice) return 1;
-    
-    // Otherwise compare by total price
-    return extractNumericPrice(a.price) - extractNumericPrice(b.price);
-  });
+  const sortedProducts = [...products].sort(compareByPrice);
   
   // Categorize based on position in sorted array
   const result = {};
@@ -83,8 +187,23 @@ const formatPrice = (price) => {
   return `₹${numPrice.toFixed(2)}`;
 };
 
+/**
+ * Formats an amount in paise for display
+ * @param {number} paise - Amount in paise
+ * @returns {string} - Formatted price (e.g. "₹1299.00")
+ */
+const formatPaise = (paise) => formatPrice(paise / 100);
+
 module.exports = {
+  DEFAULT_CURRENCY,
+  toPaise,
+  parsePriceText,
+  createPricing,
+  pricingFromText,
+  getPricePaise,
   extractNumericPrice,
+  compareByPrice,
   categorizeByPrice,
-  formatPrice
+  formatPrice,
+  formatPaise
 };
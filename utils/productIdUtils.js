@@ -0,0 +1,72 @@
+/**
+ * Utility functions for giving every result a stable product id
+ *
+ * Ids look like "amazon-B07Q2YLD7W": the platform id plus the platform's own
+ * product identifier, read from the product link by the adapter's
+ * extractProductId hook. Results without one get a hash of their title and
+ * link path instead ("meesho-h-1c9e4b2a7f30"), so the same listing keeps the
+ * same id across searches and pages.
+ */
+
+const crypto = require('crypto');
+
+const HASH_LENGTH = 12;
+
+/**
+ * Reduces a native identifier to characters that are safe in URLs and HTML ids
+ * @param {string} value - Identifier as found in the link
+ * @returns {string} - Sanitised identifier ('' if nothing usable is left)
+ */
+const sanitizeId = (value) => String(value).trim().replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Hashes the parts of a result that stay the same between searches
+ * Prices and tracking query strings change, so neither is included.
+ * @param {object} item - Search result
+ * @returns {string} - Short hex hash
+ */
+const hashResult = (item) => {
+  let path = '';
+  try {
+    path = item.link ? new URL(item.link).pathname : '';
+  } catch (err) {
+    path = String(item.link);
+  }
+  const title = String(item.title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha1').update(`${title}|${path}`).digest('hex').slice(0, HASH_LENGTH);
+};
+
+/**
+ * Builds the product id for a result
+ * @param {object} adapter - Platform adapter (may declare extractProductId(link))
+ * @param {object} item - Search result with title and link
+ * @returns {string} - Product id, e.g. "flipkart-HWHFB7Z3GZQ8XJHY"
+ */
+const buildProductId = (adapter, item) => {
+  const nativeId = adapter.extractProductId && item.link ? adapter.extractProductId(item.link) : null;
+  const safeId = nativeId ? sanitizeId(nativeId) : '';
+  return safeId ? `${adapter.id}-${safeId}` : `${adapter.id}-h-${hashResult(item)}`;
+};
+
+/**
+ * Reads a path segment or query parameter from a link, tolerating malformed URLs
+ * @param {string} link - Product link
+ * @param {RegExp} pattern - Pattern whose first group is the identifier
+ * @returns {string|null} - The identifier, or null if the link has none
+ */
+const matchLink = (link, pattern) => {
+  let decoded = link;
+  try {
+    // Sponsored links carry the product URL percent-encoded in a query parameter
+    decoded = decodeURIComponent(link);
+  } catch (err) {
+    // Keep the raw link
+  }
+  const match = decoded.match(pattern);
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  buildProductId,
+  matchLink
+};
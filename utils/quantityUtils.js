@@ -0,0 +1,350 @@
+/**
+ * Utility functions for reading product quantities from titles
+ *
+ * Quantities are parsed against a unit registry and normalised to a base unit
+ * per dimension (grams, millilitres, metres, pieces, tons of cooling). Multipacks
+ * written as "3 x 500 ml", "500 ml x 3" or "200 ml (Pack of 3)" are read as one
+ * quantity so the pack count multiplies the right amount, and a further "Pack of
+ * 2" multiplies it again. Amounts added together ("150 g + 150 g", "500 g + 50 g
+ * free") are summed. Unit prices are then
+ * quoted per the basis shoppers compare on: per 100 g, per 100 ml, per metre,
+ * per piece (tablet, sheet, roll, ...) or per ton.
+ */
+
+// alias -> { dimension, factor to the dimension's base unit }
+const UNITS = {
+  // Mass (base: g). mg and mcg are deliberately absent: on tablets they are a strength, not a quantity.
+  g: { dimension: 'mass', factor: 1 },
+  gm: { dimension: 'mass', factor: 1 },
+  gms: { dimension: 'mass', factor: 1 },
+  gram: { dimension: 'mass', factor: 1 },
+  grams: { dimension: 'mass', factor: 1 },
+  gramme: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  kgs: { dimension: 'mass', factor: 1000 },
+  kilo: { dimension: 'mass', factor: 1000 },
+  kilogram: { dimension: 'mass', factor: 1000 },
+  kilograms: { dimension: 'mass', factor: 1000 },
+  oz: { dimension: 'mass', factor: 28.3495 },
+  ounce: { dimension: 'mass', factor: 28.3495 },
+  ounces: { dimension: 'mass', factor: 28.3495 },
+  lb: { dimension: 'mass', factor: 453.592 },
+  lbs: { dimension: 'mass', factor: 453.592 },
+  pound: { dimension: 'mass', factor: 453.592 },
+  pounds: { dimension: 'mass', factor: 453.592 },
+  // Volume (base: ml)
+  ml: { dimension: 'volume', factor: 1 },
+  millilitre: { dimension: 'volume', factor: 1 },
+  milliliter: { dimension: 'volume', factor: 1 },
+  cl: { dimension: 'volume', factor: 10 },
+  l: { dimension: 'volume', factor: 1000 },
+  ltr: { dimension: 'volume', factor: 1000 },
+  ltrs: { dimension: 'volume', factor: 1000 },
+  litre: { dimension: 'volume', factor: 1000 },
+  litres: { dimension: 'volume', factor: 1000 },
+  liter: { dimension: 'volume', factor: 1000 },
+  liters: { dimension: 'volume', factor: 1000 },
+  'fl oz': { dimension: 'volume', factor: 29.5735 },
+  // Length (base: m). Millimetres and inches are left to dimensions and screen sizes.
+  cm: { dimension: 'length', factor: 0.01 },
+  m: { dimension: 'length', factor: 1 },
+  mtr: { dimension: 'length', factor: 1 },
+  mtrs: { dimension: 'length', factor: 1 },
+  metre: { dimension: 'length', factor: 1 },
+  metres: { dimension: 'length', factor: 1 },
+  meter: { dimension: 'length', factor: 1 },
+  meters: { dimension: 'length', factor: 1 },
+  ft: { dimension: 'length', factor: 0.3048 },
+  feet: { dimension: 'length', factor: 0.3048 },
+  // Cooling capacity (base: ton)
+  ton: { dimension: 'capacity', factor: 1 },
+  tons: { dimension: 'capacity', factor: 1 },
+  tonne: { dimension: 'capacity', factor: 1 },
+  tr: { dimension: 'capacity', factor: 1 },
+  // Counted items (base: piece); `item` names the unit price basis. Singular "Tablet" is
+  // left out because it follows a strength in names like "Dolo 650 Tablet".
+  tablets: { dimension: 'count', factor: 1, item: 'tablet' },
+  tabs: { dimension: 'count', factor: 1, item: 'tablet' },
+  capsules: { dimension: 'count', factor: 1, item: 'capsule' },
+  caps: { dimension: 'count', factor: 1, item: 'capsule' },
+  softgels: { dimension: 'count', factor: 1, item: 'capsule' },
+  sheet: { dimension: 'count', factor: 1, item: 'sheet' },
+  sheets: { dimension: 'count', factor: 1, item: 'sheet' },
+  pulls: { dimension: 'count', factor: 1, item: 'sheet' },
+  roll: { dimension: 'count', factor: 1, item: 'roll' },
+  rolls: { dimension: 'count', factor: 1, item: 'roll' },
+  wipes: { dimension: 'count', factor: 1, item: 'wipe' },
+  pods: { dimension: 'count', factor: 1, item: 'pod' },
+  sachets: { dimension: 'count', factor: 1, item: 'sachet' },
+  bags: { dimension: 'count', factor: 1, item: 'bag' },
+  diapers: { dimension: 'count', factor: 1, item: 'diaper' },
+  pads: { dimension: 'count', factor: 1, item: 'pad' },
+  eggs: { dimension: 'count', factor: 1, item: 'egg' },
+  pairs: { dimension: 'count', factor: 1, item: 'pair' },
+  // Generic counts multiply a measured amount ("250 g, 4 pcs") and only stand alone without one
+  pc: { dimension: 'count', factor: 1, item: 'piece', generic: true },
+  pcs: { dimension: 'count', factor: 1, item: 'piece', generic: true },
+  piece: { dimension: 'count', factor: 1, item: 'piece', generic: true },
+  pieces: { dimension: 'count', factor: 1, item: 'piece', generic: true },
+  nos: { dimension: 'count', factor: 1, item: 'piece', generic: true },
+  units: { dimension: 'count', factor: 1, item: 'piece', generic: true },
+  count: { dimension: 'count', factor: 1, item: 'piece', generic: true },
+  ct: { dimension: 'count', factor: 1, item: 'piece', generic: true }
+};
+
+// Base unit and unit price basis per dimension
+const DIMENSIONS = {
+  mass: { unit: 'g', basis: '100g', per: 100 },
+  volume: { unit: 'ml', basis: '100ml', per: 100 },
+  length: { unit: 'm', basis: 'm', per: 1 },
+  capacity: { unit: 'ton', basis: 'ton', per: 1 },
+  count: { unit: 'pcs', basis: 'piece', per: 1 }
+};
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)';
+// Longest aliases first so "ltrs" is not read as "l"
+const UNIT_ALTERNATION = Object.keys(UNITS)
+  .sort((a, b) => b.length - a.length)
+  .map(alias => alias.replace(/ /g, '\\.?\\s*'))
+  .join('|');
+// A number and unit; the unit must not run on into a word ("10 Germ", "128GB")
+const AMOUNT = `${NUMBER}\\s*-?\\s*(${UNIT_ALTERNATION})(?![a-z])`;
+const MULTIPLY = '\\s*[x×*]\\s*';
+
+const COUNT_FIRST = new RegExp(`(\\d+)${MULTIPLY}${AMOUNT}`, 'i');
+// The trailing count must not itself carry a unit ("228 cm x 254 cm" is a dimension)
+const AMOUNT_FIRST = new RegExp(`${AMOUNT}${MULTIPLY}(\\d+)(?![\\d.])(?!\\s*(?:${UNIT_ALTERNATION})(?![a-z]))`, 'i');
+const AMOUNT_ANYWHERE = new RegExp(AMOUNT, 'gi');
+const PACK_PATTERNS = [
+  /\b(?:pack|set|combo|box|case)\s*of\s*(\d+)/i,
+  /\b(\d+)\s*-?\s*(?:pack|pk)\b/i,
+  /\bpack\s*(\d+)\b/i
+];
+
+/**
+ * Parses a number as written in a title ("1,000", "1.5")
+ * @param {string} text - Number text
+ * @returns {number} - The number
+ */
+const toNumber = (text) => parseFloat(String(text).replace(/,/g, ''));
+
+/**
+ * Rounds a normalised amount so unit conversions don't leave float noise
+ * @param {number} value - Amount
+ * @returns {number} - Amount rounded to 4 decimal places
+ */
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Looks up a unit alias
+ * @param {string} text - Unit as written (e.g. "Ltrs", "fl. oz")
+ * @returns {object|null} - Registry entry or null
+ */
+const lookupUnit = (text) => UNITS[String(text).toLowerCase().replace(/[\s.]+/g, ' ').trim()] || null;
+
+/**
+ * Checks whether a match is a network generation ("5G") rather than a mass
+ * @param {string} text - Matched amount text
+ * @returns {boolean} - True for 2G-5G written with a capital G and no space
+ */
+const isNetworkGeneration = (text) => /^[2-5]G$/.test(text);
+
+/**
+ * Finds every number + unit amount in a title
+ * @param {string} title - Product title
+ * @returns {Array} - [{ value, unit, text, index }] in title order
+ */
+const findAmounts = (title) => [...String(title).matchAll(AMOUNT_ANYWHERE)]
+  .filter(match => !isNetworkGeneration(match[0]))
+  .map(match => ({ value: toNumber(match[1]), unit: lookupUnit(match[2]), text: match[0].trim(), index: match.index }))
+  .filter(amount => amount.unit && amount.value > 0);
+
+/**
+ * Checks whether a length is one side of a dimension ("228 cm x 254 cm") rather than a length sold
+ * @param {string} title - Product title
+ * @param {object} amount - Amount from findAmounts
+ * @returns {boolean} - True for lengths multiplied by another number
+ */
+const isDimension = (title, amount) => amount.unit.dimension === 'length' && (
+  /^\s*[x×*]\s*\d/i.test(title.slice(amount.index + amount.text.length)) ||
+  /[x×*]\s*$/i.test(title.slice(0, amount.index))
+);
+
+/**
+ * Finds an explicit pack count ("Pack of 3", "3-pack", "combo of 2")
+ * @param {string} title - Product title
+ * @returns {number|null} - Pack count or null
+ */
+const findPackCount = (title) => {
+  for (const pattern of PACK_PATTERNS) {
+    const match = String(title).match(pattern);
+    if (match && parseInt(match[1], 10) > 1) return parseInt(match[1], 10);
+  }
+  return null;
+};
+
+/**
+ * Finds amounts added together ("150g + 150g", "1 L + 200 ml Free")
+ * @param {string} title - Product title
+ * @param {Array} amounts - Amounts from findAmounts, in title order
+ * @returns {object|null} - { parts, value, unit, text } with value in the dimension's base unit,
+ *   or null when no two amounts of one dimension are joined by "+"
+ */
+const findCombinedAmount = (title, amounts) => {
+  for (let start = 0; start < amounts.length - 1; start++) {
+    const parts = [amounts[start]];
+    for (let next = start + 1; next < amounts.length; next++) {
+      const previous = parts[parts.length - 1];
+      const between = title.slice(previous.index + previous.text.length, amounts[next].index);
+      if (!/^\s*\+\s*$/.test(between) || amounts[next].unit.dimension !== previous.unit.dimension) break;
+      parts.push(amounts[next]);
+    }
+    if (parts.length > 1) {
+      const { dimension, item } = parts[0].unit;
+      return {
+        parts,
+        value: round(parts.reduce((sum, part) => sum + part.value * part.unit.factor, 0)),
+        unit: { dimension, factor: 1, item },
+        text: parts.map(part => part.text).join(' + ')
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds a quantity from an amount and a pack count
+ * @param {object} amount - { value, unit, text } from findAmounts
+ * @param {number} packCount - Number of items in the pack
+ * @param {string} label - Text the quantity was read from
+ * @returns {object} - Normalised quantity (see parseQuantity)
+ */
+const buildQuantity = (amount, packCount, label) => {
+  const { dimension, factor, item } = amount.unit;
+  const perItem = round(amount.value * factor);
+  return {
+    dimension,
+    unit: DIMENSIONS[dimension].unit,
+    perItem,
+    packCount,
+    total: round(perItem * packCount),
+    item: item || null,
+    text: amount.text,
+    label
+  };
+};
+
+/**
+ * Reads a product title's quantity
+ * Specific counts (tablets, sheets, rolls) are what shoppers compare on, so they
+ * win over a measure; generic counts (pcs, units) instead multiply a measure.
+ * @param {string} title - Product title
+ * @returns {object|null} - { dimension, unit, perItem, packCount, total, item, text, label } or null
+ *   (text is the per-item amount as written, label the whole quantity)
+ *   e.g. "Surf Excel 3 x 500 ml" -> { dimension: 'volume', unit: 'ml', perItem: 500, packCount: 3, total: 1500, ... }
+ */
+const parseQuantity = (title) => {
+  if (!title) return null;
+  const text = String(title);
+
+  // "3 x 500 ml" / "500 ml x 3" tie the pack count to its amount; a pack phrase
+  // elsewhere in the title ("3 x 200 g, Pack of 2") multiplies the multipack
+  const multipack = (match, value, unitText, count, amountText) => {
+    const unit = lookupUnit(unitText);
+    if (!unit || !(count > 0)) return null;
+    const outerPack = findPackCount(text.replace(match[0], ' ')) || 1;
+    const label = outerPack > 1 ? `${match[0].trim()} x ${outerPack}` : match[0].trim();
+    return buildQuantity({ value: toNumber(value), unit, text: amountText }, count * outerPack, label);
+  };
+  const countFirst = text.match(COUNT_FIRST);
+  const countFirstAmount = countFirst ? countFirst[0].replace(/^\d+\s*[x×*]\s*/i, '').trim() : '';
+  if (countFirst && !isNetworkGeneration(countFirstAmount)) {
+    const quantity = multipack(countFirst, countFirst[2], countFirst[3], parseInt(countFirst[1], 10), countFirstAmount);
+    if (quantity) return quantity;
+  }
+  const amountFirst = text.match(AMOUNT_FIRST);
+  if (amountFirst) {
+    const amountText = amountFirst[0].replace(/\s*[x×*]\s*\d+$/i, '').trim();
+    const quantity = multipack(amountFirst, amountFirst[1], amountFirst[2], parseInt(amountFirst[3], 10), amountText);
+    if (quantity) return quantity;
+  }
+
+  const amounts = findAmounts(text).filter(amount => !isDimension(text, amount));
+
+  // "150g + 150g" is a pack of two; "500 g + 50 g free" is one 550 g item
+  const combined = findCombinedAmount(text, amounts);
+  if (combined) {
+    const packCount = findPackCount(text) || 1;
+    const equal = combined.parts.every(part => part.value * part.unit.factor === combined.parts[0].value * combined.parts[0].unit.factor);
+    if (equal) {
+      const [part] = combined.parts;
+      return buildQuantity(part, combined.parts.length * packCount, packCount > 1 ? `${combined.text} x ${packCount}` : combined.text);
+    }
+    return buildQuantity(combined, packCount, packCount > 1 ? `${combined.text} x ${packCount}` : combined.text);
+  }
+
+  const specificCount = amounts.find(amount => amount.unit.dimension === 'count' && !amount.unit.generic);
+  const measure = amounts.find(amount => amount.unit.dimension !== 'count');
+  const genericCount = amounts.find(amount => amount.unit.generic);
+  const packCount = findPackCount(text);
+
+  // A pack phrase stating the count itself ("Pack of 6 pcs", "Set of 6 Rolls") is not a further multiplier
+  const restates = (count) => packCount === count.value;
+
+  if (specificCount) {
+    const outerPack = restates(specificCount) ? null : packCount;
+    return buildQuantity(specificCount, outerPack || 1, outerPack ? `${specificCount.text} x ${outerPack}` : specificCount.text);
+  }
+  if (measure) {
+    const multiplier = packCount || (genericCount && genericCount.value > 1 ? genericCount.value : 1);
+    return buildQuantity(measure, multiplier, multiplier > 1 ? `${multiplier} x ${measure.text}` : measure.text);
+  }
+  if (genericCount) {
+    return buildQuantity(genericCount, restates(genericCount) ? 1 : packCount || 1, genericCount.text);
+  }
+  return null;
+};
+
+/**
+ * Calculates the price per comparison unit for a quantity
+ * @param {object|null} quantity - From parseQuantity
+ * @param {object|null} pricing - The result's pricing object (see utils/priceUtils.js)
+ * @returns {object} - { unitPrice (rupees), unitPriceBasis, unitPriceFormatted } (zero/null when unknown)
+ */
+const calculateUnitPrice = (quantity, pricing) => {
+  if (!quantity || !(quantity.total > 0) || !pricing || !(pricing.pricePaise > 0)) {
+    return { unitPrice: 0, unitPriceBasis: null, unitPriceFormatted: null };
+  }
+
+  const { per, basis } = DIMENSIONS[quantity.dimension];
+  const unitBasis = quantity.dimension === 'count' ? quantity.item || basis : basis;
+  const unitPrice = round((pricing.pricePaise / 100) * per / quantity.total);
+  return {
+    unitPrice,
+    unitPriceBasis: unitBasis,
+    unitPriceFormatted: `₹${unitPrice.toFixed(2)}/${unitBasis}`
+  };
+};
+
+/**
+ * Formats a normalised amount for display
+ * @param {object} quantity - From parseQuantity
+ * @returns {string} - Per-item amount, e.g. "1.5 kg", "200 ml", "60 tablets"
+ */
+const formatAmount = (quantity) => {
+  const { dimension, perItem, item } = quantity;
+  if (dimension === 'mass') return perItem >= 1000 ? `${round(perItem / 1000)} kg` : `${perItem} g`;
+  if (dimension === 'volume') return perItem >= 1000 ? `${round(perItem / 1000)} l` : `${perItem} ml`;
+  if (dimension === 'length') return `${perItem} m`;
+  if (dimension === 'capacity') return `${perItem} ton`;
+  return `${perItem} ${item || 'piece'}${perItem === 1 ? '' : 's'}`;
+};
+
+module.exports = {
+  UNITS,
+  DIMENSIONS,
+  findPackCount,
+  parseQuantity,
+  calculateUnitPrice,
+  formatAmount
+};
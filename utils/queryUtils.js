@@ -0,0 +1,296 @@
+/**
+ * Utility functions for understanding a free-text search query
+ *
+ * A query such as "samsung phone 8gb ram under 15000" is split into product
+ * terms ("phone"), the brand, and constraints: size, pack size, colour,
+ * storage/RAM and a price range or "cheapest" intent. Platforms are searched
+ * with the query minus the price and pack phrases they cannot interpret; the
+ * constraints are then applied to the results here. Hindi and Hinglish words
+ * are first rewritten into English (see languageUtils), so "haldi 500 se kam"
+ * reads as "turmeric powder" under ₹500.
+ */
+
+const { BRAND_MATCH_THRESHOLD, findBrands, normalizeBrandText } = require('./brandUtils');
+const { parseQuantity, findPackCount } = require('./quantityUtils');
+const { normalizeQuery } = require('./languageUtils');
+
+// Colour words, with spelling variants mapped to one name
+const COLOURS = {
+  black: 'black', white: 'white', blue: 'blue', navy: 'navy', red: 'red', maroon: 'maroon',
+  green: 'green', olive: 'olive', teal: 'teal', yellow: 'yellow', orange: 'orange', pink: 'pink',
+  purple: 'purple', violet: 'purple', lavender: 'lavender', brown: 'brown', beige: 'beige',
+  grey: 'grey', gray: 'grey', silver: 'silver', gold: 'gold', golden: 'gold', graphite: 'graphite',
+  midnight: 'midnight', starlight: 'starlight', cream: 'cream'
+};
+
+// Phrases where a colour word names the product rather than its colour
+const NON_COLOUR_PHRASES = [
+  'green tea', 'black tea', 'black coffee', 'black pepper', 'black salt', 'white pepper',
+  'white rice', 'brown rice', 'brown bread', 'brown sugar', 'white sugar', 'red chilli',
+  'green chilli', 'green peas', 'white vinegar', 'red wine', 'gold standard', 'orange juice',
+  'cold cream', 'face cream', 'hair cream'
+];
+
+// Pack phrases: "pack of 6", "set of 2", "3 pack", "4pk"
+const PACK_PHRASE = /\b(?:pack|set|combo|box|case)\s*of\s*\d+|\b\d+\s*-?\s*(?:pack|pk)\b/i;
+
+// Words that narrow the listing order rather than the product
+const SORT_WORDS = /\b(?:cheapest|cheap|lowest\s+price|low\s+price|best\s+price|affordable|(?:sabse\s+)?sasta)\b/gi;
+
+// Words left over from constraint phrases that say nothing about the product
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'for', 'with', 'of', 'in', 'and', 'or', 'buy', 'online', 'size',
+  'price', 'rs', 'inr', 'under', 'below', 'above', 'over', 'within', 'upto', 'ram', 'storage', 'rom',
+  // Hinglish connectives ("sarson ka tel", "chai wali patti")
+  'ka', 'ki', 'ke', 'wala', 'wali', 'wale', 'aur'
+]);
+
+// A rupee amount: "₹500", "rs. 1,299", "15k", "1.5 lakh", "2000 rupees"
+// It must not be followed by a unit, so "under 500 ml" is a size, not a price.
+const AMOUNT = '(?:₹|rs\\.?|inr)?\\s*(\\d+(?:,\\d{2,3})*(?:\\.\\d+)?)\\s*(k|thousand|lakhs?|lacs?)?\\b(?:\\s*(?:rupees|rs|inr|₹))?' +
+  '(?![\\d.]|\\s*(?:ml|l|ltr|litres?|liters?|g|gm|gms|grams?|kg|kgs|gb|tb|mb|mah|w|watts?|inch|inches|cm|m|mm|mp|hz|pcs|pieces?|tablets|x)\\b)';
+const PRICE_RANGE = new RegExp(`\\b(?:between|from|range|budget)\\s+${AMOUNT}\\s*(?:-|–|to|and)\\s*${AMOUNT}`, 'i');
+const PRICE_MAX = new RegExp(`(?:\\b(?:under|below|less\\s+than|within|up\\s*to|max(?:imum)?|not\\s+more\\s+than|budget(?:\\s+of)?)|<)\\s*${AMOUNT}`, 'i');
+// Hinglish puts the limit after the amount: "500 se kam", "2000 tak", "1000 se upar"
+const PRICE_MAX_AFTER = new RegExp(`(?<![\\d.,])${AMOUNT}\\s*(?:se\\s+kam|tak|ke\\s+andar|ke\\s+neeche)\\b`, 'i');
+const PRICE_MIN_AFTER = new RegExp(`(?<![\\d.,])${AMOUNT}\\s*(?:se\\s+(?:upar|zyada|jyada))\\b`, 'i');
+const PRICE_MIN = new RegExp(`(?:\\b(?:above|over|more\\s+than|at\\s+least|min(?:imum)?|starting(?:\\s+(?:at|from))?)|>)\\s*${AMOUNT}`, 'i');
+
+// "8gb ram", "ram 8 gb", "8/128gb", "8gb+128gb", "8/256", "128gb", "1 tb"
+const MEMORY_PAIR = /\b(\d{1,2})\s*(?:gb)?\s*[+/|]\s*(\d{2,4})\s*(gb|tb)?(?![\w.])/i;
+// The most RAM a phone or laptop listing plausibly states
+const MAX_RAM_GB = 64;
+const RAM_PATTERNS = [/\b(\d{1,2})\s*gb\s*ram\b/i, /\bram\s*(\d{1,2})\s*gb\b/i];
+const STORAGE = /\b(\d+(?:\.\d+)?)\s*(gb|tb)\b(?!\s*ram)/gi;
+
+/**
+ * Converts a matched amount to paise
+ * @param {string} number - Number as written ("1,299", "1.5")
+ * @param {string} [multiplier] - "k", "thousand", "lakh" or "lac"
+ * @returns {number} - Amount in paise
+ */
+const amountToPaise = (number, multiplier) => {
+  let rupees = parseFloat(number.replace(/,/g, ''));
+  if (multiplier) rupees *= /^(?:k|thousand)$/i.test(multiplier) ? 1000 : 100000;
+  return Math.round(rupees * 100);
+};
+
+/**
+ * Converts a storage amount to gigabytes
+ * @param {string} value - Number as written
+ * @param {string} unit - "gb" or "tb"
+ * @returns {number} - Gigabytes
+ */
+const toGigabytes = (value, unit) => parseFloat(value) * (unit.toLowerCase() === 'tb' ? 1024 : 1);
+
+/**
+ * Reads RAM and storage from a query or title
+ * @param {string} text - Query or product title
+ * @returns {object} - { ramGb, storageGb, matches } (null when absent; matches are the phrases read)
+ */
+const extractMemory = (text) => {
+  let rest = String(text || '');
+  let ramGb = null;
+  let storageGb = null;
+  const matches = [];
+
+  const pair = rest.match(MEMORY_PAIR);
+  if (pair && parseInt(pair[1], 10) < toGigabytes(pair[2], pair[3] || 'gb')) {
+    ramGb = parseInt(pair[1], 10);
+    storageGb = toGigabytes(pair[2], pair[3] || 'gb');
+    matches.push(pair[0]);
+    rest = rest.replace(pair[0], ' ');
+  }
+  if (ramGb === null) {
+    const ram = RAM_PATTERNS.map(pattern => rest.match(pattern)).find(Boolean);
+    if (ram) {
+      ramGb = parseInt(ram[1], 10);
+      matches.push(ram[0]);
+      rest = rest.replace(ram[0], ' ');
+    }
+  }
+  if (storageGb === null) {
+    // The largest remaining amount is the storage; a smaller one beside it is the RAM ("16GB, 1TB SSD")
+    const [storage, other] = [...rest.matchAll(STORAGE)]
+      .sort((a, b) => toGigabytes(b[1], b[2]) - toGigabytes(a[1], a[2]));
+    if (storage) {
+      storageGb = toGigabytes(storage[1], storage[2]);
+      matches.push(storage[0]);
+    }
+    if (other && ramGb === null && toGigabytes(other[1], other[2]) <= MAX_RAM_GB && toGigabytes(other[1], other[2]) < storageGb) {
+      ramGb = toGigabytes(other[1], other[2]);
+      matches.push(other[0]);
+    }
+  }
+  return { ramGb, storageGb, matches };
+};
+
+/**
+ * Finds the colours named in a query or title
+ * @param {string} text - Query or product title
+ * @returns {string[]} - Colour names, e.g. ['midnight']
+ */
+const extractColours = (text) => {
+  let lower = String(text || '').toLowerCase();
+  NON_COLOUR_PHRASES.forEach(phrase => {
+    lower = lower.replace(new RegExp(`\\b${phrase}\\b`, 'g'), ' ');
+  });
+  const colours = (lower.match(/[a-z]+/g) || []).filter(word => COLOURS[word]).map(word => COLOURS[word]);
+  return [...new Set(colours)];
+};
+
+/**
+ * Reads the price range asked for in a query
+ * @param {string} text - Query
+ * @returns {object} - { price: { minPaise, maxPaise } or null, matches }
+ */
+const extractPriceRange = (text) => {
+  const range = text.match(PRICE_RANGE);
+  if (range) {
+    const bounds = [amountToPaise(range[1], range[2]), amountToPaise(range[3], range[4])].sort((a, b) => a - b);
+    return { price: { minPaise: bounds[0], maxPaise: bounds[1] }, matches: [range[0]] };
+  }
+
+  const price = { minPaise: null, maxPaise: null };
+  const matches = [];
+  const max = text.match(PRICE_MAX) || text.match(PRICE_MAX_AFTER);
+  if (max) {
+    price.maxPaise = amountToPaise(max[1], max[2]);
+    matches.push(max[0]);
+  }
+  const min = text.match(PRICE_MIN) || text.match(PRICE_MIN_AFTER);
+  if (min) {
+    price.minPaise = amountToPaise(min[1], min[2]);
+    matches.push(min[0]);
+  }
+  return { price: matches.length > 0 ? price : null, matches };
+};
+
+/**
+ * Removes phrases from a query, leaving the rest of it intact
+ * @param {string} text - Query
+ * @param {string[]} phrases - Phrases to remove
+ * @returns {string} - Query without them, spaces collapsed
+ */
+const removePhrases = (text, phrases) => phrases
+  .reduce((rest, phrase) => rest.replace(phrase, ' '), text)
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Splits a search query into product terms, brand and constraints
+ * @param {string} query - Free-text search query
+ * @returns {object} - Parsed query:
+ *   { original, normalized, rewrites, searchText, terms, brands, size, packSize, colour, ramGb,
+ *     storageGb, price, sort }
+ *   normalized is the query rewritten into English and rewrites lists each change (see
+ *   normalizeQuery); searchText is what the platforms are searched with, '' when the query
+ *   is only constraints ("under 500", "cheapest"); price is
+ *   { minPaise, maxPaise } or null; sort is 'price' when the query asks for the cheapest option
+ */
+const parseQuery = (query) => {
+  const original = String(query || '').replace(/\s+/g, ' ').trim();
+  const { text: normalized, rewrites } = normalizeQuery(original);
+
+  const { price, matches: priceMatches } = extractPriceRange(normalized);
+  let rest = removePhrases(normalized, priceMatches);
+  const sort = rest.search(SORT_WORDS) !== -1 ? 'price' : null;
+  rest = rest.replace(SORT_WORDS, ' ');
+
+  // Pack phrases are applied as a filter; sizes stay in the platform query
+  const quantity = parseQuantity(rest);
+  const packMatch = rest.match(PACK_PHRASE);
+  const packSize = (quantity && quantity.packCount > 1 ? quantity.packCount : null) || findPackCount(rest);
+  const searchText = removePhrases(rest, packMatch ? [packMatch[0]] : []);
+
+  // Product terms: whatever is not a brand, size, colour or memory constraint
+  const brandMatches = findBrands(searchText).filter(match => match.confidence >= BRAND_MATCH_THRESHOLD);
+  const memory = extractMemory(searchText);
+  const sizePhrases = quantity ? [quantity.label, quantity.text] : [];
+  let remaining = normalizeBrandText(removePhrases(searchText, [...memory.matches, ...sizePhrases]));
+  brandMatches.forEach(match => {
+    remaining = ` ${remaining} `.replace(` ${match.matched} `, ' ').trim();
+  });
+  const colours = extractColours(searchText);
+  const terms = remaining.split(' ')
+    .filter(word => word && !FILLER_WORDS.has(word) && !COLOURS[word] && !/^\d+$/.test(word));
+
+  return {
+    original,
+    normalized,
+    rewrites,
+    searchText,
+    terms,
+    brands: brandMatches.map(match => match.name),
+    size: quantity ? { text: quantity.text, dimension: quantity.dimension, amount: quantity.perItem, unit: quantity.unit } : null,
+    packSize,
+    colour: colours[0] || null,
+    ramGb: memory.ramGb,
+    storageGb: memory.storageGb,
+    price,
+    sort
+  };
+};
+
+/**
+ * Checks a result against the constraints of a parsed query
+ * Brand and size are left to the exact/alternative split; a result is only ruled out
+ * here for a price outside the range, or for stating a different pack size, colour,
+ * RAM or storage than asked for.
+ * @param {object} item - Search result
+ * @param {object} parsedQuery - From parseQuery
+ * @returns {boolean} - True if the result satisfies every constraint
+ */
+const matchesConstraints = (item, parsedQuery) => {
+  const { price, packSize, colour, ramGb, storageGb } = parsedQuery;
+
+  if (price) {
+    const pricePaise = item.pricing ? item.pricing.pricePaise : null;
+    if (pricePaise === null) return false;
+    if (price.minPaise !== null && pricePaise < price.minPaise) return false;
+    if (price.maxPaise !== null && pricePaise > price.maxPaise) return false;
+  }
+
+  if (packSize) {
+    const quantity = parseQuantity(item.title);
+    const itemPack = quantity ? quantity.packCount : (findPackCount(item.title) || 1);
+    if (itemPack !== packSize) return false;
+  }
+
+  if (colour) {
+    const colours = extractColours(item.title);
+    if (colours.length > 0 && !colours.includes(colour)) return false;
+  }
+
+  if (ramGb !== null || storageGb !== null) {
+    const memory = extractMemory(item.title);
+    if (ramGb !== null && memory.ramGb !== null && memory.ramGb !== ramGb) return false;
+    if (storageGb !== null && memory.storageGb !== null && memory.storageGb !== storageGb) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Drops results that do not satisfy a parsed query's constraints
+ * @param {Array} results - Search results
+ * @param {object} parsedQuery - From parseQuery
+ * @returns {object} - { results, removed } where removed counts the dropped results
+ */
+const applyQueryConstraints = (results, parsedQuery) => {
+  if (!results || !Array.isArray(results)) return { results: [], removed: 0 };
+  const kept = results.filter(item => matchesConstraints(item, parsedQuery));
+  return { results: kept, removed: results.length - kept.length };
+};
+
+module.exports = {
+  COLOURS,
+  PACK_PHRASE,
+  removePhrases,
+  extractMemory,
+  extractColours,
+  extractPriceRange,
+  parseQuery,
+  matchesConstraints,
+  applyQueryConstraints
+};
@@ -0,0 +1,332 @@
+/**
+ * Utility functions for scoring how well a result answers the query
+ *
+ * Each result gets a relevanceScore from 0 to 1, a weighted sum of how many
+ * query terms its title covers, whether its brand, variant (size, or storage,
+ * model, screen size, ... for electronics) and pack size agree with the query,
+ * shared features ("original", "lemon") and whether its price is in line with
+ * the other results. matchReasons explains the score in a few short phrases.
+ * Results scoring EXACT_MATCH_THRESHOLD or more are exact matches; the rest
+ * are alternatives.
+ */
+
+const { isBrandMatch, normalizeBrandText } = require('./brandUtils');
+const { extractFeatures } = require('./featureUtils');
+const { formatAmount } = require('./quantityUtils');
+const { getPricePaise } = require('./priceUtils');
+const { getTermSynonyms } = require('./languageUtils');
+const { extractVariant, compareVariants } = require('./variantUtils');
+
+// Weight of each signal; they add up to 1
+const WEIGHTS = {
+  terms: 0.3,
+  brand: 0.3,
+  // Size, and the storage, RAM, colour, model, ... of electronics and appliances
+  variant: 0.2,
+  pack: 0.1,
+  features: 0.05,
+  price: 0.05
+};
+
+// Lowest score for an exact match: a differing brand or variant, or a title
+// missing every query term, each cost enough to fall below it
+const EXACT_MATCH_THRESHOLD = 0.85;
+// Sizes within this fraction of each other are the same (e.g. 1.5 kg vs 1500 g)
+const SIZE_TOLERANCE = 0.02;
+// Credit for a signal the result doesn't state (no brand recognised, no size or storage in the title)
+const UNKNOWN_CREDIT = 0.4;
+// Prices this far below or above the median are suspect (accessories, samples, bundles)
+const PRICE_OUTLIER_LOW = 0.25;
+const PRICE_OUTLIER_HIGH = 4;
+
+const SORT_ORDERS = ['relevance', 'price', 'unitPrice', 'discount'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+// Direction of each sort when the request doesn't give one: cheapest, or best, first
+const DEFAULT_DIRECTIONS = { relevance: 'desc', price: 'asc', unitPrice: 'asc', discount: 'desc' };
+
+/**
+ * Checks whether a title contains a query term, allowing for plurals and words
+ * written apart ("handwash" / "Hand Wash")
+ * @param {object} title - { words: Set, compact: string } from the normalised title
+ * @param {string} term - Normalised query term
+ * @returns {boolean} - True if the title covers the term
+ */
+const titleHasTerm = (title, term) => {
+  if (title.words.has(term)) return true;
+  const singular = term.replace(/(?:es|s)$/, '');
+  if (singular.length >= 3 && [...title.words].some(word => word.replace(/(?:es|s)$/, '') === singular)) return true;
+  return term.length >= 5 && title.compact.includes(term);
+};
+
+/**
+ * Finds the median of a list of numbers
+ * @param {number[]} values - Numbers
+ * @returns {number|null} - The median, or null for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Scores how many of the query terms the title covers
+ * @param {object} item - Search result
+ * @param {object} parsedQuery - From parseQuery
+ * @returns {object} - { credit (0-1), reason }
+ */
+const scoreTerms = (item, parsedQuery) => {
+  const terms = parsedQuery.terms || [];
+  if (terms.length === 0) return { credit: 1, reason: null };
+
+  const normalized = normalizeBrandText(item.title);
+  const title = { words: new Set(normalized.split(' ')), compact: normalized.replace(/ /g, '') };
+  // A term rewritten from Hindi ("turmeric" from "haldi") is also covered by the names it is sold under
+  const coveredBySynonym = (term) => (parsedQuery.rewrites || [])
+    .filter(rewrite => rewrite.to.toLowerCase().split(' ').includes(term))
+    .some(rewrite => getTermSynonyms(rewrite.to).some(synonym => synonym.split(' ').every(word => titleHasTerm(title, word))));
+  const missing = terms.filter(term => !titleHasTerm(title, term) && !coveredBySynonym(term));
+  if (missing.length === 0) return { credit: 1, reason: 'all query terms' };
+  return {
+    credit: (terms.length - missing.length) / terms.length,
+    reason: `missing: ${missing.join(', ')}`
+  };
+};
+
+/**
+ * Scores the result's brand against the brands in the query
+ * @param {object} item - Search result with brand
+ * @param {object} parsedQuery - From parseQuery
+ * @returns {object} - { credit (0-1), reason }
+ */
+const scoreBrand = (item, parsedQuery) => {
+  const brands = parsedQuery.brands || [];
+  if (brands.length === 0) return { credit: 1, reason: null };
+  if (!item.brand) return { credit: UNKNOWN_CREDIT, reason: 'brand unknown' };
+  if (isBrandMatch(item.brand, brands)) return { credit: 1, reason: 'brand match' };
+  return { credit: 0, reason: `brand differs: ${item.brand}` };
+};
+
+/**
+ * Scores the result's size against the size in the query
+ * @param {object} item - Search result with quantity
+ * @param {object} parsedQuery - From parseQuery
+ * @returns {object} - { credit (0-1), reason }
+ */
+const scoreSize = (item, parsedQuery) => {
+  const { size } = parsedQuery;
+  if (!size) return { credit: 1, reason: null };
+  const quantity = item.quantity;
+  if (!quantity) return { credit: UNKNOWN_CREDIT, reason: 'size not stated' };
+
+  const wanted = formatAmount({ dimension: size.dimension, perItem: size.amount, item: null });
+  const stated = formatAmount(quantity);
+  const sameSize = quantity.dimension === size.dimension &&
+    Math.abs(quantity.perItem - size.amount) <= SIZE_TOLERANCE * Math.max(quantity.perItem, size.amount);
+  if (sameSize) return { credit: 1, reason: 'size match' };
+  return { credit: 0, reason: `size differs: ${stated} vs ${wanted}` };
+};
+
+/**
+ * Scores the result's variant against the variant in the query
+ * The size and every electronics attribute the query names (storage, RAM, colour,
+ * screen, model, generation, wattage, capacity) count alike; any that differs
+ * makes the result another variant.
+ * @param {object} item - Search result with quantity and variant
+ * @param {object} parsedQuery - From parseQuery
+ * @param {object} wanted - From extractVariant on the query
+ * @returns {object} - { credit (0-1), reason } where reason may list several differences
+ */
+const scoreVariant = (item, parsedQuery, wanted) => {
+  const size = scoreSize(item, parsedQuery);
+  const comparison = compareVariants(wanted, item.variant || extractVariant(item.title));
+  const sizeChecks = parsedQuery.size ? 1 : 0;
+  const checks = sizeChecks + comparison.matched.length + comparison.differences.length + comparison.unknown.length;
+  if (checks === 0) return { credit: 1, reason: null };
+
+  const differences = comparison.differences.map(difference => `${difference.attribute} differs: ${difference.stated} vs ${difference.wanted}`);
+  const sizeDiffers = sizeChecks > 0 && size.credit === 0;
+  if (sizeDiffers || differences.length > 0) {
+    return { credit: 0, reason: [sizeDiffers ? size.reason : null, ...differences] };
+  }
+
+  const credit = (sizeChecks * size.credit + comparison.matched.length + UNKNOWN_CREDIT * comparison.unknown.length) / checks;
+  return {
+    credit,
+    reason: [size.reason, comparison.matched.length > 0 ? `variant match: ${comparison.matched.join(', ')}` : null]
+  };
+};
+
+/**
+ * Scores the result's pack size against the pack size in the query
+ * @param {object} item - Search result with quantity
+ * @param {object} parsedQuery - From parseQuery
+ * @returns {object} - { credit (0-1), reason }
+ */
+const scorePack = (item, parsedQuery) => {
+  if (!parsedQuery.packSize) return { credit: 1, reason: null };
+  const packCount = item.quantity ? item.quantity.packCount : 1;
+  if (packCount === parsedQuery.packSize) return { credit: 1, reason: `pack of ${packCount}` };
+  return { credit: 0, reason: `pack differs: ${packCount} vs ${parsedQuery.packSize}` };
+};
+
+/**
+ * Scores features named in both the query and the title
+ * @param {object} item - Search result with features
+ * @param {object} parsedQuery - From parseQuery
+ * @param {string|null} category - The query's category, which picks the feature taxonomy
+ * @returns {object} - { credit (0-1), reason }
+ */
+const scoreFeatures = (item, parsedQuery, category) => {
+  const wanted = extractFeatures(parsedQuery.normalized || parsedQuery.original, category);
+  if (wanted.length === 0) return { credit: 1, reason: null };
+  const features = item.features || extractFeatures(item.title, category);
+  const shared = wanted.filter(feature => features.includes(feature));
+  return {
+    credit: shared.length / wanted.length,
+    reason: shared.length > 0 ? `features: ${shared.join(', ')}` : null
+  };
+};
+
+/**
+ * Scores how plausible the result's price is next to the other results
+ * @param {object} item - Search result
+ * @param {number|null} medianPaise - Median price of all results
+ * @returns {object} - { credit (0-1), reason }
+ */
+const scorePrice = (item, medianPaise) => {
+  const pricePaise = getPricePaise(item);
+  if (!medianPaise || pricePaise === null) return { credit: 1, reason: null };
+  if (pricePaise < medianPaise * PRICE_OUTLIER_LOW) return { credit: 0, reason: 'price unusually low' };
+  if (pricePaise > medianPaise * PRICE_OUTLIER_HIGH) return { credit: 0, reason: 'price unusually high' };
+  return { credit: 1, reason: null };
+};
+
+/**
+ * Scores every result against the query
+ * Sets relevanceScore (0-1, two decimals) and matchReasons on each result.
+ * @param {Array} results - Search results (with brand, quantity, variant and features)
+ * @param {object} parsedQuery - From parseQuery
+ * @param {object} options - { category }: the query's category from classifyQuery
+ * @returns {Array} - The same results
+ */
+const scoreResults = (results, parsedQuery, { category = null } = {}) => {
+  if (!results || !Array.isArray(results)) return [];
+
+  // Too few prices make a meaningless median
+  const prices = results.map(getPricePaise).filter(price => price !== null);
+  const medianPaise = prices.length >= 3 ? median(prices) : null;
+
+  const wantedVariant = extractVariant(parsedQuery.searchText || parsedQuery.original);
+
+  results.forEach(item => {
+    const signals = {
+      brand: scoreBrand(item, parsedQuery),
+      terms: scoreTerms(item, parsedQuery),
+      variant: scoreVariant(item, parsedQuery, wantedVariant),
+      pack: scorePack(item, parsedQuery),
+      features: scoreFeatures(item, parsedQuery, category),
+      price: scorePrice(item, medianPaise)
+    };
+    const score = Object.entries(signals).reduce((sum, [signal, { credit }]) => sum + WEIGHTS[signal] * credit, 0);
+    item.relevanceScore = Math.round(score * 100) / 100;
+    item.matchReasons = Object.values(signals).flatMap(signal => signal.reason).filter(Boolean);
+  });
+  return results;
+};
+
+/**
+ * Compares two sort values, missing values last whichever the direction
+ * @param {number|null} aValue - Value of the first result
+ * @param {number|null} bValue - Value of the second result
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {number} - Sort comparator value
+ */
+const compareValues = (aValue, bValue, order) => {
+  const aMissing = aValue === null || aValue === undefined;
+  const bMissing = bValue === null || bValue === undefined;
+  if (aMissing || bMissing) return aMissing - bMissing;
+  return order === 'desc' ? bValue - aValue : aValue - bValue;
+};
+
+/**
+ * Orders results by unit price, keeping like with like
+ * Results quoted on the most common basis come first, then other bases, then
+ * results without a unit price by selling price.
+ * @param {Array} results - Search results
+ * @param {string} order - 'asc' (cheapest first) or 'desc'
+ * @returns {Array} - Sorted copy
+ */
+const sortByUnitPrice = (results, order) => {
+  const counts = {};
+  results.forEach(item => {
+    if (item.unitPrice) counts[item.unitPriceBasis] = (counts[item.unitPriceBasis] || 0) + 1;
+  });
+  const bases = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  const rank = (item) => (item.unitPrice ? bases.indexOf(item.unitPriceBasis) : bases.length);
+
+  return [...results].sort((a, b) => (rank(a) - rank(b)) ||
+    (a.unitPrice && b.unitPrice
+      ? compareValues(a.unitPrice, b.unitPrice, order)
+      : compareValues(getPricePaise(a), getPricePaise(b), order)));
+};
+
+// The value each sort orders by (unitPrice has its own, see sortByUnitPrice)
+const SORT_VALUES = {
+  relevance: (item) => item.relevanceScore || 0,
+  price: getPricePaise,
+  discount: (item) => (item.pricing ? item.pricing.discountPercent : null)
+};
+
+/**
+ * Orders results for display
+ * Results missing the value sorted on (no price, no discount) go last.
+ * @param {Array} results - Scored search results
+ * @param {string} sort - 'relevance' (ties keep the platforms' own ranking), 'price', 'unitPrice' or 'discount'
+ * @param {string} [order] - 'asc' or 'desc'; defaults to the sort's own direction (see DEFAULT_DIRECTIONS)
+ * @returns {Array} - Sorted copy
+ */
+const sortResults = (results, sort = 'relevance', order = DEFAULT_DIRECTIONS[sort]) => {
+  if (!results || !Array.isArray(results)) return [];
+  if (sort === 'unitPrice') return sortByUnitPrice(results, order);
+  const valueOf = SORT_VALUES[sort] || SORT_VALUES.relevance;
+  return [...results].sort((a, b) => compareValues(valueOf(a), valueOf(b), order || DEFAULT_DIRECTIONS.relevance));
+};
+
+/**
+ * Reads the sort parameter of a request
+ * @param {string|undefined} value - The `sort` query parameter
+ * @param {object} parsedQuery - From parseQuery ("cheapest ..." asks for price order)
+ * @returns {string} - One of SORT_ORDERS
+ * @throws {Error} - For an unknown sort order
+ */
+const parseSortParam = (value, parsedQuery) => {
+  if (value === undefined || value === '') return parsedQuery && parsedQuery.sort === 'price' ? 'price' : 'relevance';
+  if (!SORT_ORDERS.includes(value)) throw new Error(`"sort" must be one of ${SORT_ORDERS.join(', ')}`);
+  return value;
+};
+
+/**
+ * Reads the order parameter of a request
+ * @param {string|undefined} value - The `order` query parameter
+ * @param {string} sort - The sort it applies to, from parseSortParam
+ * @returns {string} - 'asc' or 'desc'
+ * @throws {Error} - For an unknown direction
+ */
+const parseOrderParam = (value, sort) => {
+  if (value === undefined || value === '') return DEFAULT_DIRECTIONS[sort];
+  if (!SORT_DIRECTIONS.includes(value)) throw new Error(`"order" must be one of ${SORT_DIRECTIONS.join(', ')}`);
+  return value;
+};
+
+module.exports = {
+  WEIGHTS,
+  EXACT_MATCH_THRESHOLD,
+  SORT_ORDERS,
+  SORT_DIRECTIONS,
+  scoreResults,
+  sortResults,
+  parseSortParam,
+  parseOrderParam
+};
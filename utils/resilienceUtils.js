@@ -0,0 +1,222 @@
+/**
+ * Utility functions for timeouts, retries and per-platform circuit breakers
+ */
+
+// Defaults, overridable through the environment
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.SCRAPER_TIMEOUT_MS, 10) || 8000;
+const DEFAULT_RETRIES = process.env.SCRAPER_RETRIES !== undefined ? parseInt(process.env.SCRAPER_RETRIES, 10) : 2;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.SCRAPER_RETRY_BASE_MS, 10) || 300;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.SCRAPER_RETRY_MAX_MS, 10) || 3000;
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 3;
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 60000;
+
+// Circuit state per platform name
+const circuits = new Map();
+
+/**
+ * Resolves the timeout and retry settings for a platform
+ * Precedence: SCRAPER_TIMEOUT_MS_<ID> / SCRAPER_RETRIES_<ID> env vars,
+ * then the adapter's timeoutMs / retries, then the global defaults.
+ * @param {object} adapter - Platform adapter
+ * @returns {object} - { timeoutMs, retries }
+ */
+const getPlatformConfig = (adapter) => {
+  const suffix = String(adapter.id).toUpperCase();
+  const envTimeout = parseInt(process.env[`SCRAPER_TIMEOUT_MS_${suffix}`], 10);
+  const envRetries = parseInt(process.env[`SCRAPER_RETRIES_${suffix}`], 10);
+
+  return {
+    timeoutMs: envTimeout || adapter.timeoutMs || DEFAULT_TIMEOUT_MS,
+    retries: !Number.isNaN(envRetries) ? envRetries : (adapter.retries !== undefined ? adapter.retries : DEFAULT_RETRIES)
+  };
+};
+
+/**
+ * Checks whether an error came from a request timing out
+ * @param {Error} err - The error thrown by axios or withDeadline
+ * @returns {boolean} - True for timeouts
+ */
+const isTimeoutError = (err) => {
+  return Boolean(err) && (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || err.timeout === true);
+};
+
+/**
+ * Checks whether a failed request is worth retrying (5xx, 429, a timeout, or a
+ * proxy failure, since the retry goes out through another proxy)
+ * @param {Error} err - The error thrown by axios
+ * @returns {boolean} - True if the request should be retried
+ */
+const isRetryableError = (err) => {
+  if (err && err.proxyFailure) return true;
+  const status = err && err.response && err.response.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return isTimeoutError(err);
+};
+
+/**
+ * Calculates a jittered exponential backoff delay ("full jitter")
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {number} [baseMs] - Base delay
+ * @param {number} [maxMs] - Upper bound for the delay
+ * @returns {number} - Delay in milliseconds
+ */
+const backoffDelay = (attempt, baseMs = RETRY_BASE_DELAY_MS, maxMs = RETRY_MAX_DELAY_MS) => {
+  const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt - 1));
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Reads a Retry-After header (seconds) from a 429/503 response
+ * @param {Error} err - The error thrown by axios
+ * @returns {number|null} - Delay in milliseconds, or null if absent
+ */
+const retryAfterMs = (err) => {
+  const header = err && err.response && err.response.headers && err.response.headers['retry-after'];
+  const seconds = parseInt(header, 10);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs an async function, retrying retryable failures with jittered backoff
+ * @param {Function} fn - Receives the attempt number (1-based), returns a promise
+ * @param {object} [options] - Retry options
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {Function} [options.onRetry] - Called with (err, attempt, delayMs) before each retry
+ * @returns {Promise<*>} - The function's result
+ */
+const withRetry = async (fn, { retries = DEFAULT_RETRIES, onRetry } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > retries || !isRetryableError(err)) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const delayMs = Math.min(retryAfterMs(err) || backoffDelay(attempt), RETRY_MAX_DELAY_MS);
+      if (onRetry) onRetry(err, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+};
+
+/**
+ * Races a promise against a deadline
+ * @param {Promise} promise - The work to wait for
+ * @param {number} ms - Deadline in milliseconds
+ * @param {string} [message] - Error message used on timeout
+ * @returns {Promise<*>} - Resolves with the promise, rejects with a timeout error
+ */
+const withDeadline = (promise, ms, message = `Timed out after ${ms}ms`) => {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(message);
+      err.timeout = true;
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Returns (creating if needed) the circuit for a platform
+ * @param {string} platform - Platform display name
+ * @returns {object} - Mutable circuit state
+ */
+const getCircuit = (platform) => {
+  if (!circuits.has(platform)) {
+    circuits.set(platform, { state: 'closed', failures: 0, openedAt: null, trialStartedAt: null });
+  }
+  return circuits.get(platform);
+};
+
+/**
+ * Checks whether requests to a platform should be skipped
+ * An open circuit moves to half-open once the cool-down has passed,
+ * letting a single trial request through; other callers are skipped until
+ * the trial is recorded as a success or failure. A trial that is never
+ * recorded gives way to another after a further cool-down.
+ * @param {string} platform - Platform display name
+ * @returns {boolean} - True while the circuit is open or a trial is in flight
+ */
+const isCircuitOpen = (platform) => {
+  const circuit = getCircuit(platform);
+  const now = Date.now();
+  if (circuit.state === 'closed') return false;
+  if (circuit.state === 'open' && now - circuit.openedAt < CIRCUIT_COOLDOWN_MS) return true;
+  if (circuit.state === 'half-open' && now - circuit.trialStartedAt < CIRCUIT_COOLDOWN_MS) return true;
+
+  circuit.state = 'half-open';
+  circuit.trialStartedAt = now;
+  return false;
+};
+
+/**
+ * Records a successful platform request, closing its circuit
+ * @param {string} platform - Platform display name
+ */
+const recordSuccess = (platform) => {
+  const circuit = getCircuit(platform);
+  circuit.state = 'closed';
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.trialStartedAt = null;
+};
+
+/**
+ * Records a failed platform request, opening its circuit after repeated failures
+ * @param {string} platform - Platform display name
+ */
+const recordFailure = (platform) => {
+  const circuit = getCircuit(platform);
+  circuit.failures++;
+  if (circuit.state === 'half-open' || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.trialStartedAt = null;
+    console.log(`Circuit opened for ${platform} after ${circuit.failures} failures`);
+  }
+};
+
+/**
+ * Describes a platform's circuit
+ * @param {string} platform - Platform display name
+ * @returns {object} - { state, failures, retryInMs }
+ */
+const getCircuitState = (platform) => {
+  const circuit = getCircuit(platform);
+  const retryInMs = circuit.state === 'open'
+    ? Math.max(0, CIRCUIT_COOLDOWN_MS - (Date.now() - circuit.openedAt))
+    : 0;
+  return { state: circuit.state, failures: circuit.failures, retryInMs };
+};
+
+/**
+ * Closes every circuit (used by tests and admin tooling)
+ */
+const resetCircuits = () => {
+  circuits.clear();
+};
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_RETRIES,
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_COOLDOWN_MS,
+  getPlatformConfig,
+  isTimeoutError,
+  isRetryableError,
+  backoffDelay,
+  withRetry,
+  withDeadline,
+  isCircuitOpen,
+  recordSuccess,
+  recordFailure,
+  getCircuitState,
+  resetCircuits
+};
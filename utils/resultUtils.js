@@ -2,18 +2,24 @@
  * Utility functions for search result categorization and processing
  */
 
-const { checkBrandMatch } = require('./brandUtils');
-const { extractWeight, extractPackSize, extractFeatures, calculateWeightAndPrice, compareSizes } = require('./attributeUtils');
-const { extractNumericPrice, categorizeByPrice } = require('./priceUtils');
+const { matchBrand } = require('./brandUtils');
+const { extractPackSize, calculateWeightAndPrice } = require('./attributeUtils');
+const { extractFacets } = require('./featureUtils');
+const { categorizeByPrice } = require('./priceUtils');
+const { parseQuantity } = require('./quantityUtils');
+const { extractVariant } = require('./variantUtils');
+const { EXACT_MATCH_THRESHOLD, scoreResults } = require('./relevanceUtils');
 
 /**
  * Categorizes search results into exact matches and alternatives
+ * Every result is scored against the query (see utils/relevanceUtils.js); those scoring
+ * EXACT_MATCH_THRESHOLD or more are exact matches.
  * @param {Array} results - Search results array
- * @param {Array} potentialBrands - Potential brand names from search query
- * @param {string} searchSize - Size from search query (if any)
+ * @param {object} parsedQuery - The parsed search query (see parseQuery)
+ * @param {object} options - { category }: the query's category from classifyQuery, which picks the feature taxonomy
  * @returns {Object} - Object with exactMatches and alternatives arrays
  */
-const categorizeResults = (results, potentialBrands, searchSize) => {
+const categorizeResults = (results, parsedQuery, { category = null } = {}) => {
   if (!results || !Array.isArray(results)) return { exactMatches: [], alternatives: [] };
   
   const exactMatches = [];
@@ -22,57 +28,58 @@ const categorizeResults = (results, potentialBrands, searchSize) => {
   results.forEach(item => {
     const title = item.title.toLowerCase();
     
-    // Check for brand match
-    const isExactBrandMatch = checkBrandMatch(title, potentialBrands);
-    console.log(`Title: ${title} | Brand match: ${isExactBrandMatch}`);
+    // Attribute the listing to a catalogue brand (a brand the platform declared wins)
+    const brandMatch = matchBrand(item.title, { declaredBrand: item.brand });
+    item.brand = brandMatch ? brandMatch.name : null;
+    item.brandConfidence = brandMatch ? brandMatch.confidence : 0;
     
     // Extract product attributes
-    const weightMatch = extractWeight(title);
     const packMatch = extractPackSize(title);
-    const priceValue = extractNumericPrice(item.price);
+    const quantity = parseQuantity(item.title);
     
-    // Calculate weight and unit price
+    // Calculate quantity and unit price
     const { 
       individualWeight, 
       totalWeight, 
       weightUnit, 
       packSize, 
       unitPrice, 
+      unitPriceBasis,
       unitPriceFormatted 
-    } = calculateWeightAndPrice(weightMatch, packMatch, priceValue);
+    } = calculateWeightAndPrice(quantity, item.pricing);
     
-    // Add weight and price info to the item in a backward-compatible way
+    // Add quantity and price info to the item in a backward-compatible way
     // Keep the new properties for future use
-    item.weightInfo = weightMatch ? weightMatch[0] : null;
+    item.quantity = quantity;
+    // Storage, RAM, colour, model, ... for electronics and appliances (empty for most groceries)
+    item.variant = extractVariant(item.title);
+    item.weightInfo = quantity ? quantity.text : null;
     item.packInfo = packMatch ? packMatch[0] : null;
-    item.features = extractFeatures(title);
+    // Features grouped by facet ({ flavour: ['lemon'], diet: ['sugar free'] }) for filter chips
+    item.facets = extractFacets(item.title, category);
+    item.features = Object.values(item.facets).flat();
     item.unitPrice = unitPrice;
+    item.unitPriceBasis = unitPriceBasis;
     item.unitPriceFormatted = unitPriceFormatted;
     
     // Also maintain the old attributes structure for backward compatibility with the frontend
     item.attributes = {
-      weight: weightMatch ? weightMatch[0] : null,
+      weight: quantity ? quantity.text : null,
       individualWeight: individualWeight,
       totalWeight: totalWeight,
       weightUnit: weightUnit,
       packSize: packSize,
-      priceValue: priceValue || 0,
+      priceValue: item.pricing ? item.pricing.pricePaise / 100 : 0,
       unitPrice: unitPrice,
       unitPriceFormatted: unitPriceFormatted,
       features: item.features || []
     };
-    
-    // Determine if this is an exact match (brand + attributes)
-    let isExactMatch = isExactBrandMatch;
-    
-    // If search included a specific size, check if this product matches that size
-    if (isExactMatch && searchSize && weightMatch) {
-      isExactMatch = compareSizes(weightMatch, searchSize);
-      console.log(`Size comparison for ${title}: ${isExactMatch}`);
-    }
-    
-    // Categorize based on matches
-    if (isExactMatch) {
+  });
+  
+  // Score against the query and split on the score
+  scoreResults(results, parsedQuery, { category }).forEach(item => {
+    console.log(`Title: ${item.title} | Score: ${item.relevanceScore} | ${item.matchReasons.join('; ')}`);
+    if (item.relevanceScore >= EXACT_MATCH_THRESHOLD) {
       exactMatches.push(item);
     } else {
       alternatives.push(item);
@@ -95,6 +102,27 @@ const categorizeResults = (results, potentialBrands, searchSize) => {
   return { exactMatches, alternatives };
 };
 
+/**
+ * Filters out results with empty or invalid links, titles or prices
+ * @param {Array} results - Array of product results
+ * @returns {Array} - Valid results
+ */
+const validateResults = (results) => {
+  if (!results || !Array.isArray(results)) return [];
+
+  return results.filter(item => {
+    // Check if link exists and is valid
+    return item.link &&
+           item.link.trim() !== '' &&
+           item.link.startsWith('http') &&
+           item.title &&
+           item.title.trim() !== '' &&
+           item.price &&
+           item.price.trim() !== '' &&
+           Boolean(item.pricing);
+  });
+};
+
 /**
  * Removes duplicate products from results
  * @param {Array} results - Array of product results
@@ -105,8 +133,8 @@ const removeDuplicates = (results) => {
   
   const seen = new Set();
   return results.filter(item => {
-    // Create a key based on title and price
-    const key = `${item.title.toLowerCase()}_${item.price}`;
+    // The same listing keeps its id (e.g. a sponsored and an organic slot); older results fall back to title and price
+    const key = item.id || `${item.title.toLowerCase()}_${item.price}`;
     if (seen.has(key)) return false;
     seen.add(key);
     return true;
@@ -156,6 +184,7 @@ const simplifyTitle = (title) => {
 
 module.exports = {
   categorizeResults,
+  validateResults,
   removeDuplicates,
   simplifyTitle
 };
@@ -0,0 +1,143 @@
+/**
+ * Utility functions for validating values against the API's JSON Schema
+ *
+ * schemas/v2.json describes the v2 requests and responses. This is a small
+ * validator for the keywords that file uses ($ref, type, const, enum,
+ * minimum, maximum, minLength, pattern, properties, required,
+ * additionalProperties, items, anyOf); annotations such as description and
+ * format are not checked.
+ */
+
+const schema = require('../schemas/v2.json');
+
+/**
+ * Resolves a local $ref such as "#/$defs/Result"
+ * @param {object} root - The schema document
+ * @param {string} ref - JSON pointer into the document
+ * @returns {object} - The referenced schema
+ * @throws {Error} - For a reference outside the document or to a missing definition
+ */
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+  const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) throw new Error(`Unresolved $ref ${ref}`);
+  return target;
+};
+
+/**
+ * Names the JSON type of a value
+ * @param {*} value - Any value
+ * @returns {string} - null, array, integer, number, string, boolean or object
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Checks a value's type against a schema type (an integer is also a number)
+ * @param {*} value - Any value
+ * @param {string} type - Schema type
+ * @returns {boolean} - True if the value has that type
+ */
+const hasType = (value, type) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - The value to check
+ * @param {object} node - Schema, or a definition within it
+ * @param {string} path - Where the value sits, for error messages ("response.exactMatches[0].pricing")
+ * @param {object} root - The document $refs resolve against
+ * @returns {string[]} - One message per problem; empty when the value is valid
+ */
+const validateNode = (value, node, path, root) => {
+  if (node.$ref) return validateNode(value, resolveRef(root, node.$ref), path, root);
+
+  const errors = [];
+  if (node.anyOf) {
+    // Report the closest option when none matches: the one with the fewest problems
+    const [closest] = node.anyOf
+      .map(option => validateNode(value, option, path, root))
+      .sort((a, b) => a.length - b.length);
+    errors.push(...closest);
+  }
+
+  if (node.const !== undefined && value !== node.const) return [...errors, `${path} must be ${JSON.stringify(node.const)}`];
+
+  if (node.type) {
+    const types = [].concat(node.type);
+    if (!types.some(type => hasType(value, type))) return [...errors, `${path} must be ${types.join(' or ')}`];
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    return [...errors, `${path} must be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) errors.push(`${path} must be at least ${node.minimum}`);
+    if (node.maximum !== undefined && value > node.maximum) errors.push(`${path} must be at most ${node.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) errors.push(`${path} must not be empty`);
+    if (node.pattern && !new RegExp(node.pattern, 'u').test(value)) errors.push(`${path} must match ${node.pattern}`);
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => errors.push(...validateNode(item, node.items, `${path}[${index}]`, root)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = node.properties || {};
+    (node.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (propertyValue === undefined) return;
+      if (properties[key]) {
+        errors.push(...validateNode(propertyValue, properties[key], `${path}.${key}`, root));
+      } else if (node.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof node.additionalProperties === 'object') {
+        errors.push(...validateNode(propertyValue, node.additionalProperties, `${path}.${key}`, root));
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a value against one of the API's schema definitions
+ * @param {string} name - Definition name in schemas/v2.json ("SearchRequest", "SearchResponse", ...)
+ * @param {*} value - The value to check
+ * @param {string} [path] - Name of the value in error messages
+ * @returns {string[]} - One message per problem; empty when the value is valid
+ */
+const validate = (name, value, path = name) => validateNode(value, resolveRef(schema, `#/$defs/${name}`), path, schema);
+
+/**
+ * Converts query string parameters to the types a definition declares
+ * "5" becomes 5 for integer and number properties and "true"/"false" become booleans;
+ * values that don't convert are left as strings for validate to report.
+ * @param {string} name - Definition name in schemas/v2.json
+ * @param {object} params - Query string parameters
+ * @returns {object} - Converted copy
+ */
+const coerceParams = (name, params) => {
+  const { properties = {} } = resolveRef(schema, `#/$defs/${name}`);
+  return Object.fromEntries(Object.entries(params).map(([key, value]) => {
+    const type = properties[key] && properties[key].type;
+    if ((type === 'integer' || type === 'number') && value !== '' && !Number.isNaN(Number(value))) return [key, Number(value)];
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return [key, value === 'true'];
+    return [key, value];
+  }));
+};
+
+module.exports = {
+  schema,
+  validate,
+  coerceParams
+};
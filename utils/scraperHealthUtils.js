@@ -0,0 +1,175 @@
+/**
+ * Utility functions for tracking scraper runs and detecting broken scrapers
+ */
+
+// Number of recent runs kept per platform
+const STATS_WINDOW = parseInt(process.env.SCRAPER_STATS_WINDOW, 10) || 50;
+
+// Consecutive zero-result queries after which a platform is flagged degraded
+const ZERO_RESULT_THRESHOLD = parseInt(process.env.SCRAPER_ZERO_THRESHOLD, 10) || 5;
+
+// Rolling state per platform name
+const platformStats = new Map();
+
+/**
+ * Returns (creating if needed) the rolling state for a platform
+ * @param {string} platform - Platform display name
+ * @returns {object} - Mutable state for the platform
+ */
+const getState = (platform) => {
+  if (!platformStats.has(platform)) {
+    platformStats.set(platform, {
+      totalRuns: 0,
+      consecutiveZero: 0,
+      runs: []
+    });
+  }
+  return platformStats.get(platform);
+};
+
+/**
+ * Records the outcome of one scrape run
+ * @param {string} platform - Platform display name
+ * @param {object} run - Run details
+ * @param {string} run.query - The search query
+ * @param {boolean} run.downloaded - Whether the page was fetched
+ * @param {number} run.cardCount - Number of product card elements matched
+ * @param {number} run.withTitle - Cards that yielded a title
+ * @param {number} run.withPrice - Cards that yielded a price
+ * @param {number} run.withTitleAndPrice - Cards that yielded both
+ * @param {number} run.resultCount - Results returned after filtering
+ * @param {boolean} [run.noResults] - The platform itself reported no matches for the query
+ * @param {number} run.durationMs - Time taken by the run
+ * @param {string} [run.error] - Error message if the run failed
+ */
+const recordScrapeRun = (platform, run) => {
+  const state = getState(platform);
+  const entry = { timestamp: new Date().toISOString(), ...run };
+
+  state.totalRuns++;
+  // A "no matches" page is a genuine answer (e.g. groceries on a fashion site), not breakage
+  if (!entry.noResults) {
+    state.consecutiveZero = entry.resultCount > 0 ? 0 : state.consecutiveZero + 1;
+  }
+  state.runs.push(entry);
+  if (state.runs.length > STATS_WINDOW) {
+    state.runs.shift();
+  }
+};
+
+/**
+ * Works out why a platform should be considered degraded
+ * @param {object} state - Rolling state for the platform
+ * @returns {string[]} - Reasons (empty when healthy)
+ */
+const getDegradedReasons = (state) => {
+  const reasons = [];
+  const lastRun = state.runs[state.runs.length - 1];
+
+  // Cards matched but no title/price extracted: selectors for the fields have drifted
+  if (lastRun && lastRun.cardCount > 0 && lastRun.withTitleAndPrice === 0) {
+    reasons.push(`${lastRun.cardCount} cards found but no title/price extracted`);
+  }
+
+  if (state.consecutiveZero >= ZERO_RESULT_THRESHOLD) {
+    reasons.push(`zero results for ${state.consecutiveZero} consecutive queries`);
+  }
+
+  return reasons;
+};
+
+/**
+ * Averages a numeric field over a list of runs
+ * @param {Array} runs - Recorded runs
+ * @param {string} field - Field to average
+ * @returns {number} - Average rounded to two decimals (0 for no runs)
+ */
+const average = (runs, field) => {
+  if (runs.length === 0) return 0;
+  const total = runs.reduce((sum, run) => sum + (run[field] || 0), 0);
+  return Math.round((total / runs.length) * 100) / 100;
+};
+
+/**
+ * Builds the rolling statistics for one platform
+ * @param {string} platform - Platform display name
+ * @returns {object} - Status, reasons, aggregates and recent runs
+ */
+const getPlatformStats = (platform) => {
+  const state = getState(platform);
+  const { runs } = state;
+  const reasons = getDegradedReasons(state);
+
+  let status = 'ok';
+  if (runs.length === 0) {
+    status = 'unknown';
+  } else if (reasons.length > 0) {
+    status = 'degraded';
+  }
+
+  return {
+    platform,
+    status,
+    reasons,
+    totalRuns: state.totalRuns,
+    consecutiveZero: state.consecutiveZero,
+    window: {
+      runs: runs.length,
+      downloadRate: runs.length ? Math.round((runs.filter(run => run.downloaded).length / runs.length) * 100) / 100 : 0,
+      avgCardCount: average(runs, 'cardCount'),
+      avgResultCount: average(runs, 'resultCount'),
+      avgDurationMs: average(runs, 'durationMs')
+    },
+    lastRun: runs[runs.length - 1] || null,
+    recentRuns: runs.slice(-10).reverse()
+  };
+};
+
+/**
+ * Returns rolling statistics for the given platforms
+ * @param {string[]} platforms - Platform display names to report on
+ * @returns {object} - Stats keyed by platform name
+ */
+const getScraperStats = (platforms) => {
+  const stats = {};
+  platforms.forEach(platform => {
+    stats[platform] = getPlatformStats(platform);
+  });
+  return stats;
+};
+
+/**
+ * Returns a compact scraper health summary suitable for /health
+ * @param {string[]} platforms - Platform display names to report on
+ * @returns {object} - Overall status, degraded platform list and per-platform status
+ */
+const getScraperHealthSummary = (platforms) => {
+  const stats = getScraperStats(platforms);
+  const degraded = platforms.filter(platform => stats[platform].status === 'degraded');
+  const statuses = {};
+  platforms.forEach(platform => {
+    statuses[platform] = stats[platform].status;
+  });
+
+  return {
+    status: degraded.length > 0 ? 'degraded' : 'ok',
+    degraded,
+    platforms: statuses
+  };
+};
+
+/**
+ * Clears all recorded runs (used by tests and admin tooling)
+ */
+const resetScraperStats = () => {
+  platformStats.clear();
+};
+
+module.exports = {
+  STATS_WINDOW,
+  ZERO_RESULT_THRESHOLD,
+  recordScrapeRun,
+  getScraperStats,
+  getScraperHealthSummary,
+  resetScraperStats
+};
@@ -0,0 +1,394 @@
+/**
+ * Utility functions for fetching and parsing platform search pages
+ */
+
+const cheerio = require('cheerio');
+const { getFixtureMode, loadFixture, saveFixture } = require('./fixtureUtils');
+const { recordScrapeRun } = require('./scraperHealthUtils');
+const { extractStructuredResults } = require('./structuredDataUtils');
+const { getLocationHeaders } = require('./locationUtils');
+const { pricingFromText } = require('./priceUtils');
+const { buildProductId } = require('./productIdUtils');
+const { sendRequest } = require('./identityUtils');
+const { assertAllowedByRobots, getHostLimits, scheduleForHost } = require('./politenessUtils');
+const { DEFAULT_RESULTS_PER_PLATFORM, MAX_RESULTS_PER_PLATFORM, MAX_PAGES_PER_REQUEST } = require('./paginationUtils');
+const {
+  getPlatformConfig,
+  isTimeoutError,
+  withRetry,
+  isCircuitOpen,
+  recordSuccess,
+  recordFailure,
+  getCircuitState
+} = require('./resilienceUtils');
+
+/**
+ * Formats a search query for use in a platform search URL
+ * @param {string} query - The search query
+ * @returns {string} - Query with whitespace collapsed to '+'
+ */
+const formatQuery = (query) => query.trim().replace(/\s+/g, '+');
+
+/**
+ * Checks whether a product title is relevant to the search query
+ * @param {string} title - The product title
+ * @param {string} query - The search query
+ * @returns {boolean} - True if the title contains the query or any of its words
+ */
+const isRelevantTitle = (title, query) => {
+  const lowerTitle = title.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  return lowerTitle.includes(lowerQuery) ||
+    lowerQuery.split(' ').some(word => lowerTitle.includes(word));
+};
+
+/**
+ * Returns the text of the first element matching any of the selectors
+ * @param {object} $ - Cheerio instance
+ * @param {object} el - Card element
+ * @param {string|string[]} selectors - Selector or list of selectors to try in order
+ * @returns {string} - Trimmed text, or '' if nothing matched
+ */
+const findText = ($, el, selectors) => {
+  for (const selector of [].concat(selectors || [])) {
+    const text = $(el).find(selector).first().text().trim();
+    if (text) return text;
+  }
+  return '';
+};
+
+/**
+ * Returns the href of the first element matching any of the selectors
+ * @param {object} $ - Cheerio instance
+ * @param {object} el - Card element
+ * @param {string|string[]} selectors - Selector or list of selectors to try in order
+ * @returns {string} - The href, or '' if nothing matched
+ */
+const findHref = ($, el, selectors) => {
+  for (const selector of [].concat(selectors || [])) {
+    const href = $(el).find(selector).attr('href');
+    if (href) return href;
+  }
+  return '';
+};
+
+/**
+ * Parses a search results page using an adapter's declarative selectors
+ * @param {object} $ - Cheerio instance loaded with the page
+ * @param {object} adapter - Platform adapter
+ * @param {string} product - The search query
+ * @param {object} [run] - Run stats object, filled with card and field counts
+ * @returns {Array} - Array of {platform, title, price, mrp?, pricing, link} results
+ */
+const parseWithSelectors = ($, adapter, product, run = {}) => {
+  const { selectors } = adapter;
+  const results = [];
+
+  // A card selector may be a function when cards need traversal (e.g. .parent())
+  const searchResults = typeof selectors.card === 'function' ? selectors.card($) : $(selectors.card);
+  console.log(`${adapter.name} found ${searchResults.length} search result elements`);
+
+  run.cardCount = searchResults.length;
+  run.withTitle = 0;
+  run.withPrice = 0;
+  run.withTitleAndPrice = 0;
+
+  searchResults.each((_, el) => {
+    const title = findText($, el, selectors.title);
+    const price = findText($, el, selectors.price);
+    const href = findHref($, el, selectors.link);
+    const link = adapter.normalizeLink(href, title);
+
+    console.log(`${adapter.name} item found: ${title ? 'Title: ' + title : 'No title'}, ${price ? 'Price: ' + price : 'No price'}`);
+
+    if (title) run.withTitle++;
+    if (price) run.withPrice++;
+    if (!title || !price) return;
+    run.withTitleAndPrice++;
+
+    const item = { platform: adapter.name, title, price, link, source: 'selectors' };
+    const mrp = findText($, el, selectors.mrp);
+    if (mrp) item.mrp = mrp;
+    item.pricing = pricingFromText(price, mrp);
+    if (adapter.filterResult && !adapter.filterResult(item, product)) return;
+
+    results.push(item);
+  });
+
+  return results;
+};
+
+/**
+ * Parses a search results page with the first strategy that finds products
+ * @param {object} $ - Cheerio instance loaded with the page
+ * @param {object} adapter - Platform adapter
+ * @param {string} product - The search query
+ * @param {object} run - Run stats object, filled with strategy, card and field counts
+ * @returns {Array} - Array of results
+ */
+const parseWithStrategies = ($, adapter, product, run) => {
+  const structured = extractStructuredResults($, adapter);
+
+  if (structured.items.length > 0) {
+    console.log(`${adapter.name} found ${structured.items.length} products via ${structured.source}`);
+    run.strategy = structured.source;
+    run.cardCount = structured.items.length;
+    run.withTitle = structured.items.filter(item => item.title).length;
+    run.withPrice = structured.items.filter(item => item.price).length;
+
+    const complete = structured.items.filter(item => item.title && item.price);
+    run.withTitleAndPrice = complete.length;
+    return adapter.filterResult ? complete.filter(item => adapter.filterResult(item, product)) : complete;
+  }
+
+  if (adapter.parse) {
+    const results = adapter.parse($, product).map(item => ({
+      source: 'parser',
+      ...item,
+      pricing: item.pricing || pricingFromText(item.price, item.mrp)
+    }));
+    // Custom parsers only report results, so count those as cards with fields
+    run.strategy = 'parser';
+    run.cardCount = run.withTitle = run.withPrice = run.withTitleAndPrice = results.length;
+    return results;
+  }
+
+  run.strategy = 'selectors';
+  return parseWithSelectors($, adapter, product, run);
+};
+
+/**
+ * Parses a search results page, preferring structured data over CSS selectors
+ * Each result records the strategy that produced it in its `source` field and
+ * gets a stable `id` (see utils/productIdUtils.js).
+ * @param {object} $ - Cheerio instance loaded with the page
+ * @param {object} adapter - Platform adapter
+ * @param {string} product - The search query
+ * @param {object} [run] - Run stats object, filled with strategy, card and field counts
+ * @returns {Array} - Array of results
+ */
+const parsePage = ($, adapter, product, run = {}) => parseWithStrategies($, adapter, product, run)
+  .map(item => ({ id: buildProductId(adapter, item), ...item }));
+
+/**
+ * Marks whether results from a location-aware platform can be delivered
+ * A page the platform flags as unserviceable makes every result undeliverable;
+ * otherwise out-of-stock items at the local store are undeliverable.
+ * @param {object} $ - Cheerio instance loaded with the page
+ * @param {object} adapter - Location-aware platform adapter
+ * @param {object|null} location - Delivery location, if the client gave one
+ * @param {Array} results - Results parsed from the page (modified in place)
+ * @param {object} outcome - Scrape outcome; gets `serviceable` set
+ */
+const markDeliverability = ($, adapter, location, results, outcome) => {
+  let serviceable = null;
+  if (location && location.resolved) {
+    serviceable = adapter.location.isServiceable ? adapter.location.isServiceable($) : true;
+  }
+  if (outcome.serviceable === undefined || outcome.serviceable === null) {
+    outcome.serviceable = serviceable;
+  }
+
+  results.forEach(item => {
+    item.deliverable = serviceable === null ? null : serviceable && item.availability !== 'out_of_stock';
+  });
+};
+
+/**
+ * Fetches a platform page, honouring the fixture record/replay mode
+ * Network requests get the platform's timeout and retry 5xx/429/timeouts with backoff.
+ * Each attempt presents a fresh browser identity and, when a proxy pool is
+ * configured, goes through the platform's sticky proxy (see identityUtils).
+ * URLs the platform's robots.txt disallows are refused, and requests wait their
+ * turn in the host's queue (see politenessUtils).
+ * @param {object} adapter - Platform adapter
+ * @param {string} url - URL to fetch
+ * @param {string} product - The search query (used as the fixture key)
+ * @param {object} [options] - Request options
+ * @param {number} [options.page] - Results page (used as part of the fixture key)
+ * @param {object} [options.location] - Delivery location; location-aware adapters get
+ *   its cookies/headers, and it becomes part of their fixture key
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {Function} [options.onRetry] - Called with (err, attempt, delayMs) before each retry
+ * @returns {Promise<string>} - The page HTML
+ * @throws {Error} - With `disallowed: true` when robots.txt does not allow the URL
+ */
+const fetchPage = async (adapter, url, product, options = {}) => {
+  const mode = getFixtureMode();
+  const { location } = options;
+  const variant = {
+    page: options.page || 1,
+    location: adapter.location && location ? location.key : undefined
+  };
+
+  const robots = await assertAllowedByRobots(adapter, url);
+
+  if (mode === 'replay') {
+    return loadFixture(adapter.id, product, variant);
+  }
+
+  const { timeoutMs, retries } = { ...getPlatformConfig(adapter), ...options };
+  const locationHeaders = getLocationHeaders(adapter, location);
+  const { host } = new URL(url);
+  const hostLimits = getHostLimits(robots);
+  const { data } = await withRetry(
+    () => scheduleForHost(host, () => sendRequest(adapter.id, url, {
+      headers: { ...adapter.headers, ...locationHeaders },
+      timeout: timeoutMs
+    }), hostLimits),
+    { retries, onRetry: options.onRetry }
+  );
+
+  if (mode === 'record') {
+    saveFixture(adapter.id, product, data, variant);
+  }
+
+  return data;
+};
+
+/**
+ * Scrapes a platform's search results for a product, following pagination
+ * Pages are fetched until `limit` results are collected, the platform runs out
+ * of results, or the page cap is reached. Platforms whose circuit is open are
+ * skipped; every attempted run is recorded with the scraper health tracker.
+ * @param {object} adapter - Platform adapter from the registry
+ * @param {string} product - The search query
+ * @param {object} [options] - Paging options
+ * @param {number} [options.page] - First results page to fetch
+ * @param {number} [options.offset] - Results to skip on the first page (from a cursor)
+ * @param {number} [options.limit] - Results wanted from this platform
+ * @param {object} [options.location] - Delivery location (see locationUtils.parseLocationParams)
+ * @returns {Promise<object>} - Outcome: { platform, status, results, attempts, durationMs, error,
+ *   pagination, serviceable } where status is 'ok', 'timeout', 'error', 'skipped' or
+ *   'disallowed' (robots.txt). Never rejects.
+ *   For location-aware platforms each result gets `deliverable` (null when no location was given).
+ */
+const scrapePlatform = async (adapter, product, options = {}) => {
+  const startPage = options.page || 1;
+  const limit = Math.min(options.limit === undefined ? DEFAULT_RESULTS_PER_PLATFORM : options.limit, MAX_RESULTS_PER_PLATFORM);
+  // Adapters declare how deep their pagination goes; non-paginated ones only have page 1
+  const platformMaxPages = adapter.maxPages || 1;
+  const lastAllowedPage = Math.min(platformMaxPages, startPage + MAX_PAGES_PER_REQUEST - 1);
+
+  if (isCircuitOpen(adapter.name)) {
+    const { retryInMs } = getCircuitState(adapter.name);
+    console.log(`Skipping ${adapter.name}: circuit open for another ${retryInMs}ms`);
+    return {
+      platform: adapter.name,
+      status: 'skipped',
+      results: [],
+      attempts: 0,
+      durationMs: 0,
+      error: 'Circuit open after repeated failures',
+      retryInMs,
+      pagination: { page: startPage, pagesFetched: 0, hasMore: false, next: null }
+    };
+  }
+
+  const startedAt = Date.now();
+  const outcome = { platform: adapter.name, status: 'ok', results: [], attempts: 1, durationMs: 0 };
+  const pagination = { page: startPage, pagesFetched: 0, hasMore: false, next: null };
+  const run = {
+    query: product,
+    downloaded: false,
+    pages: 0,
+    cardCount: 0,
+    withTitle: 0,
+    withPrice: 0,
+    withTitleAndPrice: 0,
+    resultCount: 0
+  };
+
+  const onRetry = (err, attempt, delayMs) => {
+    outcome.attempts = Math.max(outcome.attempts, attempt + 1);
+    console.log(`${adapter.name} attempt ${attempt} failed (${err.message}), retrying in ${delayMs}ms`);
+  };
+
+  try {
+    let offset = options.offset || 0;
+
+    for (let page = startPage; page <= lastAllowedPage; page++) {
+      const url = adapter.buildSearchUrl(product, page);
+      console.log(`Scraping ${adapter.name} with URL: ${url}`);
+
+      let data;
+      try {
+        data = await fetchPage(adapter, url, product, { page, location: options.location, onRetry });
+      } catch (err) {
+        // Only the first page decides success; a later page failing just ends pagination
+        if (page === startPage) throw err;
+        console.log(`${adapter.name} stopped paginating at page ${page}: ${err.message}`);
+        break;
+      }
+
+      if (!run.downloaded) recordSuccess(adapter.name);
+      run.downloaded = true;
+      console.log(`${adapter.name} response received, length:`, data.length);
+
+      const $ = cheerio.load(data);
+      const pageRun = {};
+      const pageResults = parsePage($, adapter, product, pageRun);
+
+      if (adapter.location) {
+        markDeliverability($, adapter, options.location, pageResults, outcome);
+      }
+      if (page === startPage && pageResults.length === 0 && adapter.noResults && adapter.noResults($)) {
+        run.noResults = true;
+      }
+      run.pages++;
+      run.strategy = run.strategy || pageRun.strategy;
+      ['cardCount', 'withTitle', 'withPrice', 'withTitleAndPrice'].forEach(field => {
+        run[field] += pageRun[field] || 0;
+      });
+      run.resultCount += pageResults.length;
+      pagination.pagesFetched++;
+
+      const available = pageResults.slice(offset);
+      const room = limit - outcome.results.length;
+      outcome.results.push(...available.slice(0, room));
+
+      if (available.length > room) {
+        // Stopped part-way through this page: resume from the next unread result
+        pagination.next = { page, offset: offset + room };
+        break;
+      }
+      if (pageResults.length === 0) break;
+      if (outcome.results.length >= limit || page === lastAllowedPage) {
+        if (page < platformMaxPages) pagination.next = { page: page + 1, offset: 0 };
+        break;
+      }
+      offset = 0;
+    }
+
+    console.log(`${adapter.name} scraping complete, found ${run.resultCount} valid results`);
+  } catch (err) {
+    console.error(`${adapter.name} error:`, err.message);
+    if (err.disallowed) {
+      // Our own choice not to crawl, so neither the circuit nor the health stats count it
+      outcome.status = 'disallowed';
+    } else {
+      if (!run.downloaded) recordFailure(adapter.name);
+      outcome.status = isTimeoutError(err) ? 'timeout' : 'error';
+    }
+    outcome.error = err.message;
+    run.error = err.message;
+  }
+
+  pagination.hasMore = pagination.next !== null;
+  outcome.pagination = pagination;
+  outcome.durationMs = run.durationMs = Date.now() - startedAt;
+  if (outcome.status !== 'disallowed') recordScrapeRun(adapter.name, run);
+  return outcome;
+};
+
+module.exports = {
+  formatQuery,
+  isRelevantTitle,
+  findText,
+  findHref,
+  parseWithSelectors,
+  parsePage,
+  fetchPage,
+  scrapePlatform
+};
@@ -0,0 +1,190 @@
+/**
+ * Utility functions for spelling correction and zero-result recovery
+ *
+ * Query words are checked against a local vocabulary: the brand catalogue,
+ * the category lexicon and the product words of earlier searches that found
+ * something. A misspelled brand ("surf exel") becomes the catalogue name and
+ * an unknown product word ("handwsh") becomes the closest known word within
+ * a small edit distance. When a search finds nothing, getRecoveryQueries
+ * lists what to try next: the corrected query, then the query without its
+ * size, then without its brand.
+ */
+
+const catalogue = require('../data/brands.json');
+const lexicon = require('../data/lexicon.json');
+const { BRAND_MATCH_THRESHOLD, normalizeBrandText, maxEdits, editDistance, findBrands } = require('./brandUtils');
+const { PACK_PHRASE, parseQuery, removePhrases } = require('./queryUtils');
+const { parseQuantity } = require('./quantityUtils');
+
+// Most words remembered from successful searches; the oldest are forgotten first
+const MAX_LEARNED_WORDS = 5000;
+
+/**
+ * Splits catalogue spellings into the Latin words they are made of
+ * @param {string[]} spellings - Brand names, lexicon terms, ...
+ * @returns {string[]} - Lower-case words
+ */
+const toWords = (spellings) => spellings
+  .flatMap(spelling => normalizeBrandText(spelling).split(' '))
+  .filter(word => /^[a-z]+$/.test(word));
+
+const knownWords = new Set([
+  ...toWords(Object.values(catalogue).flat().flatMap(entry => [entry.name, ...(entry.aliases || [])])),
+  ...toWords(Object.values(lexicon).flat().flatMap(entry => [entry.english, ...(entry.hinglish || []), ...(entry.synonyms || [])]))
+]);
+
+// word -> number of successful searches it appeared in
+const learnedWords = new Map();
+
+/**
+ * Builds a pattern for a normalised phrase as it may be written in the query
+ * @param {string} phrase - Normalised words
+ * @returns {RegExp} - Case-insensitive pattern matching the words with any separators
+ */
+const phrasePattern = (phrase) => new RegExp(
+  `(?<![\\p{L}\\p{N}])${phrase.split(' ').join('[^\\p{L}\\p{N}]+')}(?![\\p{L}\\p{N}])`,
+  'iu'
+);
+
+/**
+ * Checks whether a word is in the vocabulary
+ * @param {string} word - Lower-case word
+ * @returns {boolean} - True for catalogue, lexicon and learned words
+ */
+const isKnownWord = (word) => knownWords.has(word) || learnedWords.has(word);
+
+/**
+ * Finds the vocabulary word closest to a misspelled one
+ * Fewer edits win, then the word earlier searches used most.
+ * @param {string} word - Lower-case word
+ * @returns {string|null} - The correction, or null when nothing is close enough
+ */
+const closestWord = (word) => {
+  let best = null;
+  new Set([...knownWords, ...learnedWords.keys()]).forEach(candidate => {
+    const limit = Math.min(maxEdits(word.length), maxEdits(candidate.length));
+    if (limit === 0) return;
+    const edits = editDistance(word, candidate, limit);
+    if (edits > limit) return;
+    const uses = learnedWords.get(candidate) || 0;
+    if (!best || edits < best.edits || (edits === best.edits && (uses > best.uses ||
+      (uses === best.uses && candidate < best.word)))) {
+      best = { word: candidate, edits, uses };
+    }
+  });
+  return best ? best.word : null;
+};
+
+/**
+ * Corrects the likely misspellings in a parsed query
+ * @param {object} parsedQuery - From parseQuery
+ * @returns {object|null} - { text, corrections: [{ from, to }] }, or null when nothing looks misspelled
+ */
+const correctQuery = (parsedQuery) => {
+  let text = parsedQuery.normalized;
+  const corrections = [];
+  const replace = (phrase, correction) => {
+    const pattern = phrasePattern(phrase);
+    const found = text.match(pattern);
+    if (!found) return;
+    corrections.push({ from: found[0], to: correction });
+    text = text.replace(pattern, correction);
+  };
+
+  // Brands recognised only through a misspelling, spacing or edit distance
+  findBrands(text)
+    .filter(match => match.confidence >= BRAND_MATCH_THRESHOLD && match.confidence < 1)
+    .forEach(match => replace(match.matched, match.name));
+
+  (parsedQuery.terms || [])
+    .filter(term => /^[a-z]+$/.test(term) && maxEdits(term.length) > 0 && !isKnownWord(term))
+    .forEach(term => {
+      const correction = closestWord(term);
+      if (correction) replace(term, correction);
+    });
+
+  return corrections.length > 0 ? { text, corrections } : null;
+};
+
+/**
+ * Lists the queries to try when a search finds nothing, most faithful first
+ * Each step keeps the previous ones: the corrected query, then without its
+ * size or pack size, then without its brand (only while product words remain).
+ * Price limits stay in every step.
+ * @param {object} parsedQuery - From parseQuery
+ * @returns {Array} - [{ query, changes }] where changes lists 'spelling', 'size' and 'brand'
+ */
+const getRecoveryQueries = (parsedQuery) => {
+  const steps = [];
+  const changes = [];
+  const correction = correctQuery(parsedQuery);
+  let text = parsedQuery.normalized;
+
+  if (correction) {
+    text = correction.text;
+    changes.push('spelling');
+    steps.push({ query: text, changes: [...changes] });
+  }
+
+  const quantity = parseQuantity(text);
+  const pack = text.match(PACK_PHRASE);
+  const sizePhrases = [quantity && quantity.label, quantity && quantity.text, pack && pack[0]].filter(Boolean);
+  const withoutSize = removePhrases(text, sizePhrases);
+  // Dropping the size must leave something to search ("10 kg under 500" does not)
+  if (sizePhrases.length > 0 && parseQuery(withoutSize).searchText) {
+    text = withoutSize;
+    changes.push('size');
+    steps.push({ query: text, changes: [...changes] });
+  }
+
+  if (parseQuery(text).terms.length > 0) {
+    const brands = findBrands(text).filter(match => match.confidence >= BRAND_MATCH_THRESHOLD);
+    if (brands.length > 0) {
+      text = brands.reduce((rest, match) => rest.replace(phrasePattern(match.matched), ' '), text).replace(/\s+/g, ' ').trim();
+      changes.push('brand');
+      steps.push({ query: text, changes: [...changes] });
+    }
+  }
+
+  return steps;
+};
+
+/**
+ * Remembers the product words of a search that found what was asked for
+ * Only words that appear in a matching title are learned, so a misspelling a
+ * forgiving platform answered anyway never becomes vocabulary.
+ * @param {object} parsedQuery - From parseQuery
+ * @param {Array} matches - The search's exact matches
+ * @returns {string[]} - The words learned
+ */
+const learnFromResults = (parsedQuery, matches) => {
+  if (!matches || matches.length === 0) return [];
+  const titleWords = new Set(matches.flatMap(item => normalizeBrandText(item.title).split(' ')));
+  const words = (parsedQuery.terms || []).filter(term => /^[a-z]+$/.test(term) && titleWords.has(term));
+
+  words.forEach(word => {
+    const uses = (learnedWords.get(word) || 0) + 1;
+    learnedWords.delete(word);
+    learnedWords.set(word, uses);
+    if (learnedWords.size > MAX_LEARNED_WORDS) learnedWords.delete(learnedWords.keys().next().value);
+  });
+  return words;
+};
+
+/**
+ * Forgets every word learned from earlier searches
+ * @returns {number} - Number of words forgotten
+ */
+const clearLearnedWords = () => {
+  const count = learnedWords.size;
+  learnedWords.clear();
+  return count;
+};
+
+module.exports = {
+  isKnownWord,
+  correctQuery,
+  getRecoveryQueries,
+  learnFromResults,
+  clearLearnedWords
+};
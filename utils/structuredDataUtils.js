@@ -0,0 +1,292 @@
+/**
+ * Utility functions for extracting products from machine-readable page data
+ *
+ * Strategies, in the order they are tried:
+ *   json-ld       - schema.org Product / ItemList blocks
+ *   next-data     - Next.js __NEXT_DATA__ blob (mapped by the platform adapter)
+ *   initial-state - window.__INITIAL_STATE__ blob (mapped by the platform adapter)
+ * Pages where none of these yield products fall back to the adapter's CSS selectors.
+ */
+
+const { formatPrice, toPaise, createPricing } = require('./priceUtils');
+
+// schema.org availability URLs mapped to our availability values
+const availabilityMap = {
+  instock: 'in_stock',
+  instoreonly: 'in_stock',
+  onlineonly: 'in_stock',
+  limitedavailability: 'in_stock',
+  preorder: 'preorder',
+  presale: 'preorder',
+  backorder: 'backorder',
+  outofstock: 'out_of_stock',
+  soldout: 'out_of_stock',
+  discontinued: 'out_of_stock'
+};
+
+/**
+ * Parses JSON without throwing
+ * @param {string} text - JSON text
+ * @returns {*} - Parsed value, or null if the text is not valid JSON
+ */
+const safeJsonParse = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Walks an object tree collecting every node that satisfies a predicate
+ * @param {*} root - Object to walk
+ * @param {Function} predicate - (node) => boolean
+ * @param {number} [maxDepth] - Depth limit to guard against huge blobs
+ * @returns {Array} - Matching nodes, in document order
+ */
+const collectObjects = (root, predicate, maxDepth = 25) => {
+  const found = [];
+  const walk = (node, depth) => {
+    if (!node || typeof node !== 'object' || depth > maxDepth) return;
+    if (!Array.isArray(node) && predicate(node)) {
+      found.push(node);
+      return;
+    }
+    Object.values(node).forEach(child => walk(child, depth + 1));
+  };
+  walk(root, 0);
+  return found;
+};
+
+/**
+ * Normalises a schema.org or platform availability value
+ * @param {string|boolean} value - e.g. "https://schema.org/InStock", "IN_STOCK"
+ * @returns {string|null} - 'in_stock', 'out_of_stock', 'preorder', 'backorder' or null
+ */
+const normalizeAvailability = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const key = String(value).split('/').pop().toLowerCase().replace(/[^a-z]/g, '');
+  return availabilityMap[key] || null;
+};
+
+/**
+ * Returns the JSON-LD blocks on a page, with @graph containers flattened
+ * @param {object} $ - Cheerio instance
+ * @returns {Array} - Parsed JSON-LD objects
+ */
+const extractJsonLd = ($) => {
+  const blocks = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    const parsed = safeJsonParse($(el).contents().text());
+    [].concat(parsed || []).forEach(block => {
+      if (block && Array.isArray(block['@graph'])) {
+        blocks.push(...block['@graph']);
+      } else if (block) {
+        blocks.push(block);
+      }
+    });
+  });
+  return blocks;
+};
+
+/**
+ * Checks a JSON-LD node's @type
+ * @param {object} node - JSON-LD node
+ * @param {string} type - Type to look for (e.g. 'Product')
+ * @returns {boolean} - True if the node has the type
+ */
+const hasType = (node, type) => [].concat(node['@type'] || []).includes(type);
+
+/**
+ * Converts a schema.org Product node into a raw structured item
+ * @param {object} product - JSON-LD Product
+ * @param {string} [fallbackUrl] - URL from the enclosing ListItem
+ * @returns {object} - Raw item ({ title, price, mrp, rating, ... })
+ */
+const fromJsonLdProduct = (product, fallbackUrl) => {
+  const offers = [].concat(product.offers || []);
+  // AggregateOffer carries lowPrice/highPrice instead of price
+  const offer = offers[0] || {};
+  const rating = product.aggregateRating || {};
+  // The MRP is published as a list/strikethrough price specification
+  const listPrice = [].concat(offer.priceSpecification || [])
+    .find(spec => /ListPrice|StrikethroughPrice/i.test(spec.priceType || ''));
+  const brand = product.brand && (product.brand.name || product.brand);
+  const seller = offer.seller && (offer.seller.name || offer.seller);
+  const specs = {};
+  [].concat(product.additionalProperty || []).forEach(property => {
+    if (property && property.name && property.value !== undefined) {
+      specs[property.name] = String(property.value);
+    }
+  });
+
+  return {
+    title: product.name,
+    price: offer.price !== undefined ? offer.price : offer.lowPrice,
+    mrp: listPrice && listPrice.price,
+    currency: offer.priceCurrency,
+    rating: rating.ratingValue,
+    reviewCount: rating.reviewCount || rating.ratingCount,
+    availability: offer.availability,
+    brand: typeof brand === 'string' ? brand : undefined,
+    sku: product.sku,
+    seller: typeof seller === 'string' ? seller : undefined,
+    specs,
+    link: product.url || offer.url || fallbackUrl
+  };
+};
+
+/**
+ * Finds products in JSON-LD Product and ItemList blocks
+ * @param {Array} blocks - Parsed JSON-LD objects
+ * @returns {Array} - Raw structured items
+ */
+const findJsonLdProducts = (blocks) => {
+  const items = [];
+  blocks.forEach(block => {
+    if (hasType(block, 'Product')) {
+      items.push(fromJsonLdProduct(block));
+    } else if (hasType(block, 'ItemList')) {
+      [].concat(block.itemListElement || []).forEach(element => {
+        const product = element.item && typeof element.item === 'object' ? element.item : element;
+        if (hasType(product, 'Product')) {
+          items.push(fromJsonLdProduct(product, element.url));
+        }
+      });
+    }
+  });
+  return items;
+};
+
+/**
+ * Returns the parsed Next.js __NEXT_DATA__ blob
+ * @param {object} $ - Cheerio instance
+ * @returns {object|null} - Parsed data, or null if absent
+ */
+const extractNextData = ($) => {
+  const text = $('script#__NEXT_DATA__').contents().text();
+  return text ? safeJsonParse(text) : null;
+};
+
+/**
+ * Returns the parsed window.__INITIAL_STATE__ blob (or another window state variable)
+ * The assignment's object literal is located by balancing braces, so trailing
+ * statements in the same script tag are ignored.
+ * @param {object} $ - Cheerio instance
+ * @param {string} [variable] - Global the page assigns its state to
+ * @returns {object|null} - Parsed state, or null if absent
+ */
+const extractInitialState = ($, variable = '__INITIAL_STATE__') => {
+  let state = null;
+  $('script:not([src])').each((_, el) => {
+    const text = $(el).contents().text();
+    const marker = text.indexOf(variable);
+    if (marker === -1) return;
+
+    const start = text.indexOf('{', marker);
+    if (start === -1) return;
+
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        state = safeJsonParse(text.slice(start, i + 1));
+        break;
+      }
+    }
+    if (state) return false;
+  });
+  return state;
+};
+
+/**
+ * Converts a raw structured item into a search result
+ * @param {object} raw - Raw item from a strategy
+ * @param {object} adapter - Platform adapter
+ * @param {string} source - Strategy that produced the item
+ * @returns {object} - Result with platform, title, price, pricing, link and any optional fields
+ */
+const toResult = (raw, adapter, source) => {
+  const title = raw.title ? String(raw.title).trim() : '';
+  const hasPrice = raw.price !== undefined && raw.price !== null && raw.price !== '';
+  const result = {
+    platform: adapter.name,
+    title,
+    price: hasPrice ? formatPrice(raw.price) : '',
+    link: adapter.normalizeLink(raw.link || '', title),
+    source
+  };
+
+  const mrp = parseFloat(raw.mrp);
+  if (mrp > 0 && (!hasPrice || mrp > parseFloat(raw.price))) result.mrp = formatPrice(mrp);
+
+  // Structured data carries plain numbers, so there is nothing ambiguous to parse
+  result.pricing = createPricing(hasPrice ? toPaise(raw.price) : null, toPaise(raw.mrp), { currency: raw.currency });
+
+  const rating = parseFloat(raw.rating);
+  if (rating > 0) result.rating = Math.round(rating * 10) / 10;
+
+  const reviewCount = parseInt(raw.reviewCount, 10);
+  if (reviewCount >= 0) result.reviewCount = reviewCount;
+
+  const availability = normalizeAvailability(raw.availability);
+  if (availability) result.availability = availability;
+
+  return result;
+};
+
+/**
+ * Tries each structured-data strategy in turn and returns the first that yields products
+ * @param {object} $ - Cheerio instance loaded with the page
+ * @param {object} adapter - Platform adapter; may declare structuredData.nextData /
+ *   structuredData.initialState mappers returning raw items, and structuredData.stateVariable
+ *   when the page state is not assigned to window.__INITIAL_STATE__
+ * @returns {object} - { source, items } where source is null if nothing was found
+ */
+const extractStructuredResults = ($, adapter) => {
+  const mappers = adapter.structuredData || {};
+  const strategies = [
+    ['json-ld', () => findJsonLdProducts(extractJsonLd($))],
+    ['next-data', () => {
+      const data = mappers.nextData && extractNextData($);
+      return data ? mappers.nextData(data) : [];
+    }],
+    ['initial-state', () => {
+      const state = mappers.initialState && extractInitialState($, mappers.stateVariable);
+      return state ? mappers.initialState(state) : [];
+    }]
+  ];
+
+  for (const [source, extract] of strategies) {
+    let rawItems = [];
+    try {
+      rawItems = extract() || [];
+    } catch (err) {
+      console.error(`${adapter.name} ${source} extraction failed:`, err.message);
+    }
+    if (rawItems.length > 0) {
+      return { source, items: rawItems.map(raw => toResult(raw, adapter, source)) };
+    }
+  }
+
+  return { source: null, items: [] };
+};
+
+module.exports = {
+  safeJsonParse,
+  collectObjects,
+  normalizeAvailability,
+  extractJsonLd,
+  findJsonLdProducts,
+  extractNextData,
+  extractInitialState,
+  extractStructuredResults
+};
@@ -0,0 +1,217 @@
+/**
+ * Utility functions for electronics and appliance variants
+ *
+ * A phone, laptop or appliance listing names its variant in the title:
+ * storage and RAM ("8/128GB"), colour, screen size ("108 cm (43 inch)"),
+ * model ("iPhone 15 Plus", "Galaxy S23 Ultra"), generation ("5th Gen"),
+ * wattage ("750 W") and battery capacity ("5000 mAh"). The same extractor
+ * reads the query, so a result can be told apart from the variant asked for
+ * and the attribute that differs named.
+ */
+
+const { normalizeBrandText, getCategoryBrands } = require('./brandUtils');
+const { extractMemory, extractColours } = require('./queryUtils');
+
+// Product lines a model number follows ("galaxy s23", "redmi note 13", "thinkpad e14")
+const SERIES_WORDS = new Set([
+  'iphone', 'ipad', 'macbook', 'imac', 'airpods', 'galaxy', 'note', 'tab', 'pixel', 'redmi', 'poco',
+  'nord', 'narzo', 'reno', 'iqoo', 'moto', 'edge', 'razr', 'thinkpad', 'ideapad', 'legion', 'yoga',
+  'vivobook', 'zenbook', 'rog', 'tuf', 'pavilion', 'victus', 'omen', 'envy', 'inspiron', 'vostro',
+  'latitude', 'xps', 'aspire', 'nitro', 'swift', 'predator', 'airdopes', 'rockerz', 'buds', 'watch',
+  'bravia', 'playstation', 'ps', 'echo', 'dot', 'kindle', 'fire'
+]);
+
+// Words after a model number that name a different model ("15 Plus", "S23 Ultra", "13 Pro Max")
+const TIER_WORDS = new Set(['pro', 'max', 'plus', 'ultra', 'mini', 'lite', 'air', 'fe', 'neo', 'prime', 'se', 'fold', 'flip']);
+
+// Brands whose names a model number may follow directly ("OnePlus 12", "Realme 12 Pro")
+const MODEL_BRAND_WORDS = new Set(
+  [...getCategoryBrands('electronics'), ...getCategoryBrands('appliances')]
+    .flatMap(name => normalizeBrandText(name).split(' '))
+);
+
+// A model number: digits, optionally with a letter prefix or suffix ("15", "s23", "8a", "m2", "e14")
+const MODEL_NUMBER = /^[a-z]{0,3}\d{1,4}[a-z]{0,2}$/;
+// ...that is not an amount ("128gb", "5g", "1000w", "43in")
+const AMOUNT_TOKEN = /^\d+(?:gb|tb|mb|g|kg|l|ml|w|mah|mp|hz|in|k|x|th|st|nd|rd)$/;
+// ...or followed by a unit ("108 cm", "1 ton")
+const UNIT_WORDS = new Set(['gb', 'tb', 'mb', 'g', 'kg', 'l', 'ml', 'ltr', 'litre', 'liter', 'w', 'watt', 'watts', 'mah', 'mp', 'hz', 'inch', 'inches', 'in', 'cm', 'mm', 'ton']);
+
+const SCREEN_INCHES = /(\d{1,3}(?:\.\d{1,2})?)\s*(?:-\s*)?(?:inch(?:es)?|in\b|"|”|″)/i;
+const SCREEN_CM = /(\d{2,3}(?:\.\d{1,2})?)\s*cm\b/i;
+const WATTAGE = /(\d{1,5}(?:\.\d+)?)\s*(?:-\s*)?(?:w|watts?)\b/i;
+const CAPACITY_MAH = /(\d{3,5})\s*mah\b/i;
+const GENERATION = /\b(\d{1,2})(?:st|nd|rd|th)\s*gen(?:eration)?\b|\bgen(?:eration)?\s*(\d{1,2})\b/i;
+
+// Screens within this many inches of each other are the same size (TVs are sold as 42.5" and 43")
+const SCREEN_TOLERANCE_INCHES = 0.5;
+const CM_PER_INCH = 2.54;
+
+/**
+ * Reads the model named in a text
+ * A model is a product line or electronics brand, a model number and any tier words after it;
+ * a trailing "+" is read as the tier word "plus".
+ * @param {string} text - Query or product title
+ * @returns {object|null} - { name, series, number, tier }, series and tier '' when not named
+ */
+const extractModel = (text) => {
+  // "Pro+" is the Pro Plus; a "+" standing apart ("150 g + 150 g") is not a tier
+  // Decimals stay whole, so "1.5 Ton" has no model "1"
+  const tokens = String(text).toLowerCase()
+    .replace(/([\p{L}\p{N}])\+(?![\p{L}\p{N}])/gu, '$1 plus')
+    .split(/[^\p{L}\p{N}.]+/u)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+
+  for (let start = 0; start < tokens.length; start++) {
+    if (!SERIES_WORDS.has(tokens[start]) && !MODEL_BRAND_WORDS.has(tokens[start])) continue;
+
+    let index = start;
+    const series = [];
+    while (index < tokens.length && (SERIES_WORDS.has(tokens[index]) || MODEL_BRAND_WORDS.has(tokens[index]))) {
+      if (SERIES_WORDS.has(tokens[index])) series.push(tokens[index]);
+      index++;
+    }
+    const number = tokens[index];
+    if (!number || !MODEL_NUMBER.test(number) || AMOUNT_TOKEN.test(number) || UNIT_WORDS.has(tokens[index + 1])) continue;
+
+    const tier = [];
+    for (index++; index < tokens.length && TIER_WORDS.has(tokens[index]); index++) tier.push(tokens[index]);
+    return {
+      name: [...series, number, ...tier].join(' '),
+      series: series.join(' '),
+      number,
+      tier: tier.join(' ')
+    };
+  }
+  return null;
+};
+
+/**
+ * Reads the screen size from a text
+ * @param {string} text - Query or product title
+ * @returns {number|null} - Diagonal in inches
+ */
+const extractScreenInches = (text) => {
+  const inches = text.match(SCREEN_INCHES);
+  if (inches) return parseFloat(inches[1]);
+  // TVs and monitors are often listed in centimetres only
+  const cm = text.match(SCREEN_CM);
+  return cm ? Math.round(parseFloat(cm[1]) / CM_PER_INCH) : null;
+};
+
+/**
+ * Reads the variant of an electronics or appliance listing
+ * @param {string} text - Query or product title
+ * @returns {object} - Only the attributes the text states, of:
+ *   { storageGb, ramGb, colour, screenInches, model, generation, wattage, capacityMah }
+ */
+const extractVariant = (text) => {
+  const source = String(text || '');
+  const memory = extractMemory(source);
+  const [colour] = extractColours(source);
+  const wattage = source.match(WATTAGE);
+  const capacity = source.match(CAPACITY_MAH);
+  const generation = source.match(GENERATION);
+
+  const variant = {
+    storageGb: memory.storageGb,
+    ramGb: memory.ramGb,
+    colour: colour || null,
+    screenInches: extractScreenInches(source),
+    model: extractModel(source),
+    generation: generation ? parseInt(generation[1] || generation[2], 10) : null,
+    wattage: wattage ? parseFloat(wattage[1]) : null,
+    capacityMah: capacity ? parseInt(capacity[1], 10) : null
+  };
+  return Object.fromEntries(Object.entries(variant).filter(([, value]) => value !== null));
+};
+
+/**
+ * Formats a variant attribute for a match reason
+ * @param {string} attribute - Attribute name from extractVariant
+ * @param {*} value - Its value
+ * @returns {string} - E.g. "256 GB", "43 inch", "iphone 15 plus"
+ */
+const formatVariantValue = (attribute, value) => {
+  switch (attribute) {
+    case 'storageGb':
+    case 'ramGb':
+      return value >= 1024 && value % 1024 === 0 ? `${value / 1024} TB` : `${value} GB`;
+    case 'screenInches':
+      return `${value} inch`;
+    case 'model':
+      return value.name;
+    case 'generation':
+      return `gen ${value}`;
+    case 'wattage':
+      return `${value} W`;
+    case 'capacityMah':
+      return `${value} mAh`;
+    default:
+      return String(value);
+  }
+};
+
+// Attribute names as they appear in match reasons
+const ATTRIBUTE_LABELS = {
+  storageGb: 'storage',
+  ramGb: 'RAM',
+  colour: 'colour',
+  screenInches: 'screen',
+  model: 'model',
+  generation: 'generation',
+  wattage: 'wattage',
+  capacityMah: 'capacity'
+};
+
+/**
+ * Checks whether a stated model is the model asked for
+ * A series is only compared when both name one ("S23 Ultra" is a "Galaxy S23 Ultra").
+ * @param {object} wanted - Model from the query
+ * @param {object} stated - Model from the title
+ * @returns {boolean} - True for the same model
+ */
+const sameModel = (wanted, stated) => wanted.number === stated.number &&
+  wanted.tier === stated.tier &&
+  (!wanted.series || !stated.series || wanted.series === stated.series);
+
+/**
+ * Compares a listing's variant with the variant asked for
+ * Only attributes stated in both are compared.
+ * @param {object} wanted - From extractVariant on the query
+ * @param {object} stated - From extractVariant on the title
+ * @returns {object} - { matched: [label], differences: [{ attribute, wanted, stated }], unknown: [label] }
+ *   differences carry formatted values; unknown lists attributes the title does not state
+ */
+const compareVariants = (wanted, stated) => {
+  const result = { matched: [], differences: [], unknown: [] };
+  Object.entries(wanted).forEach(([attribute, value]) => {
+    const label = ATTRIBUTE_LABELS[attribute];
+    if (stated[attribute] === undefined) {
+      result.unknown.push(label);
+      return;
+    }
+    let same;
+    if (attribute === 'model') same = sameModel(value, stated.model);
+    else if (attribute === 'screenInches') same = Math.abs(value - stated.screenInches) <= SCREEN_TOLERANCE_INCHES;
+    else same = value === stated[attribute];
+
+    if (same) {
+      result.matched.push(label);
+    } else {
+      result.differences.push({
+        attribute: label,
+        wanted: formatVariantValue(attribute, value),
+        stated: formatVariantValue(attribute, stated[attribute])
+      });
+    }
+  });
+  return result;
+};
+
+module.exports = {
+  extractModel,
+  extractVariant,
+  compareVariants
+};